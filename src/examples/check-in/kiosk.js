@@ -0,0 +1,330 @@
+/**
+ * This file contains the logic for the check-in kiosk. The kiosk is for one building, given in the URL as
+ * ?building=<buildingId>, and waits for people to scan their badge. Scanners that act as a keyboard type what they scan
+ * followed by Enter, so we listen for key presses anywhere on the page rather than needing a focused input.
+ *
+ * The check in itself is done by the server (POST /api/check-in, see ./src/lib/CheckInService.js) so the kiosk follows
+ * the same rules as every other way of checking in. We only send the building so that bookings in other buildings are
+ * left alone.
+ *
+ * Optional URL parameters:
+ *
+ *  - reset: how many seconds the result is shown for before the kiosk resets (defaults to 10).
+ *  - method: the check-in method recorded against bookings (defaults to doorAccess).
+ *
+ * To get started building applications with this API we recommend the following resources:
+ *
+ *  1. Getting Started Guide (https://help.kadence.co/kb/guide/en/api-getting-started-developer-guide-yUYh7DBxBW/Steps/2372425)
+ *  2. API specification (https://api.kadence.co/)
+ */
+
+window.addEventListener('load', function () {
+
+    const params = new URLSearchParams(window.location.search);
+    const BUILDING_ID = params.get('building');
+    const RESET_TIMEOUT = (parseInt(params.get('reset'), 10) || 10) * 1000;
+    const CHECK_IN_METHOD = params.get('method') || 'doorAccess';
+
+    // Scanners type much faster than people. If there's a longer gap than this between key presses we start again, so
+    // stray key presses on the kiosk don't end up at the start of the next scan.
+    const SCAN_KEY_INTERVAL = 100;
+    const MINIMUM_SCAN_LENGTH = 3;
+    const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+    // These match the results returned by CheckInService (see ./src/lib/CheckInService.js).
+    const RESULT_CHECKED_IN = 'checked_in';
+    const RESULT_FAILED = 'failed';
+    const RESULT_NO_BOOKINGS = 'no_bookings';
+    const REASON_ALREADY_COMPLETED = 'already_completed';
+    const REASON_ALREADY_CHECKED_IN = 'already_checked_in';
+    const REASON_BOOKING_CANCELLED = 'booking_cancelled';
+    const REASON_UNSUPPORTED_STATUS = 'unsupported_status';
+    const REASON_ROOM_BOOKING = 'room_booking';
+    const REASON_TOO_EARLY = 'too_early';
+    const REASON_TOO_LATE = 'too_late';
+
+    let building = null;
+    let scanBuffer = '';
+    let lastKeyAt = 0;
+    let busy = false;
+    let resetTimer = null;
+
+    /**
+     * Start of Kadence API helpers - i.e. functions that are used to retrieve data from the Kadence API
+     */
+
+    async function getBuildings() {
+        /**
+         * This is where we call the Kadence API to retrieve information about buildings. For the full API definition you
+         * can refer to the following link:
+         *
+         * https://api.kadence.co/#tag/Building/operation/api_v1publicbuildings_get_collection
+         */
+        const buildingsResponse = await axios.get('/v1/public/buildings');
+        return buildingsResponse.data['hydra:member'];
+    }
+
+    async function getBuilding(buildingId) {
+        const buildingResponse = await axios.get(`/v1/public/buildings/${buildingId}`);
+        return buildingResponse.data;
+    }
+
+    async function checkIn(identity) {
+
+        /**
+         * This isn't part of the Kadence API. The server finds the user for the email address, user ID or badge number
+         * and checks them in to their bookings today in this building, see ./src/lib/CheckInService.js.
+         */
+
+        const checkInResponse = await axios.post('/api/check-in', {
+            ...identity,
+            method: CHECK_IN_METHOD,
+            buildingId: BUILDING_ID
+        });
+        return checkInResponse.data;
+    }
+
+    /**
+     * Start of UI utility functions - i.e. functions used the core UI of the application.
+     */
+
+    function show(section) {
+        ['#kioskWelcome', '#kioskBusy', '#kioskResult'].forEach((selector) => {
+            document.querySelector(selector).style.display = selector === section ? 'flex' : 'none';
+        });
+    }
+
+    function updateClock() {
+        document.querySelector('#kioskClock').textContent = luxon.DateTime.now()
+            .setZone(building.timeZone)
+            .toFormat('cccc d LLLL, HH:mm');
+    }
+
+    // The QR code opens the normal check-in page on the person's phone, scoped to this building.
+    function showQrCode() {
+        const url = `${window.location.origin}/check-in/?` + KadenceQueryString.stringify({ building: BUILDING_ID });
+
+        new QRCode(document.querySelector('#kioskQrCode'), {
+            text: url,
+            width: 220,
+            height: 220
+        });
+    }
+
+    // Scans can be an email address (optionally as a mailto: link), a Kadence user ID or a badge number.
+    function toIdentity(scan) {
+        const value = scan.trim().replace(/^mailto:/i, '');
+
+        if (value.indexOf('@') >= 0) {
+            return { email: value };
+        }
+
+        if (UUID.test(value)) {
+            return { userId: value };
+        }
+
+        return { badge: value };
+    }
+
+    function getBookingLabel(booking) {
+        switch (booking.result) {
+            case RESULT_CHECKED_IN:
+                return '✅ Checked in';
+            case RESULT_FAILED:
+                return '⛔️ Check in failed';
+            case REASON_ALREADY_CHECKED_IN:
+                return '✅ Already checked in';
+            case REASON_ALREADY_COMPLETED:
+                return '⏭️ Completed';
+            case REASON_BOOKING_CANCELLED:
+                return '⏭️ Cancelled';
+            case REASON_ROOM_BOOKING:
+                return '⏭️ Check in at the room';
+            case REASON_TOO_EARLY:
+                return '⏳ Opens at ' + luxon.DateTime.fromISO(booking.checkInOpensAt).setZone(booking.timeZone).toFormat('HH:mm');
+            case REASON_TOO_LATE:
+                return '⏭️ Too late';
+            case REASON_UNSUPPORTED_STATUS:
+            default:
+                return '⏭️ Not checked in';
+        }
+    }
+
+    // Returns the style, icon, title and message of the result card for the overall result.
+    function getResultSummary(result) {
+        const firstName = result.user.name.split(' ')[0];
+
+        switch (result.result) {
+            case RESULT_CHECKED_IN:
+                return ['success', '✅', `Welcome, ${firstName}`, 'You\'re checked in.'];
+            case REASON_ALREADY_CHECKED_IN:
+                return ['success', '✅', `Welcome back, ${firstName}`, 'You\'re already checked in.'];
+            case REASON_TOO_EARLY:
+                return ['warning', '⏳', `Hi ${firstName}`, 'You\'re a little early, please scan again closer to the start of your booking.'];
+            case REASON_TOO_LATE:
+                return ['warning', '⌛️', `Hi ${firstName}`, 'Check in for your booking has closed.'];
+            case REASON_ALREADY_COMPLETED:
+                return ['warning', '⏭️', `Hi ${firstName}`, 'Your bookings for today have finished.'];
+            case REASON_ROOM_BOOKING:
+                return ['warning', '🚪', `Hi ${firstName}`, 'Please check in to your room booking at the room.'];
+            case REASON_BOOKING_CANCELLED:
+                return ['warning', '🗓️', `Hi ${firstName}`, 'Your booking for today has been cancelled.'];
+            case RESULT_NO_BOOKINGS:
+                return ['warning', '🗓️', `Hi ${firstName}`, 'You don\'t have a booking in this building today.'];
+            default:
+                return ['error', '⛔️', `Sorry ${firstName}`, 'We couldn\'t check you in, please ask at reception.'];
+        }
+    }
+
+    function showResultCard(style, icon, title, message, bookings) {
+        const card = document.querySelector('#kioskResultCard');
+        const list = document.querySelector('#kioskResultBookings');
+
+        card.className = `kiosk-result-card kiosk-result-${style}`;
+        document.querySelector('#kioskResultIcon').textContent = icon;
+        document.querySelector('#kioskResultTitle').textContent = title;
+        document.querySelector('#kioskResultMessage').textContent = message;
+        list.replaceChildren();
+
+        (bookings || []).forEach((booking) => {
+            const item = document.createElement('li');
+            const description = document.createElement('span');
+            const status = document.createElement('span');
+            const start = luxon.DateTime.fromISO(booking.startDate).setZone(booking.timeZone).toFormat('HH:mm');
+            const end = luxon.DateTime.fromISO(booking.endDate).setZone(booking.timeZone).toFormat('HH:mm');
+
+            description.textContent = [booking.space || booking.type, booking.floor, `${start} - ${end}`]
+                .filter(Boolean)
+                .join(' · ');
+            status.textContent = getBookingLabel(booking);
+
+            item.append(description, status);
+            list.append(item);
+        });
+
+        show('#kioskResult');
+        startResetTimer();
+    }
+
+    // The bar empties over the reset timeout so people can see how long the result will be shown for.
+    function startResetTimer() {
+        const progress = document.querySelector('#kioskResetProgress');
+
+        clearTimeout(resetTimer);
+
+        progress.style.transition = 'none';
+        progress.style.width = '100%';
+        progress.getBoundingClientRect();
+        progress.style.transition = `width ${RESET_TIMEOUT}ms linear`;
+        progress.style.width = '0%';
+
+        resetTimer = setTimeout(reset, RESET_TIMEOUT);
+    }
+
+    function reset() {
+        clearTimeout(resetTimer);
+        show('#kioskWelcome');
+    }
+
+    /**
+     * Start application code - this will register a key listener for scans, and check in whoever was scanned.
+     */
+
+    async function handleScan(scan) {
+        busy = true;
+        clearTimeout(resetTimer);
+        show('#kioskBusy');
+
+        try {
+            const result = await checkIn(toIdentity(scan));
+            const [style, icon, title, message] = getResultSummary(result);
+
+            showResultCard(style, icon, title, message, result.bookings);
+        } catch (e) {
+            // Errors from the server are returned as problem details, see the error handler in ./src/index.js.
+            if (e.response && e.response.status === 404) {
+                showResultCard('error', '🤔', 'We don\'t recognise that badge', 'Please ask at reception.');
+            } else {
+                showResultCard('error', '⛔️', 'Something went wrong', e.response ? e.response.data.detail : e.message);
+            }
+        } finally {
+            busy = false;
+        }
+    }
+
+    function handleKey(e) {
+        if (e.ctrlKey || e.altKey || e.metaKey) {
+            return;
+        }
+
+        const now = Date.now();
+
+        if (now - lastKeyAt > SCAN_KEY_INTERVAL) {
+            scanBuffer = '';
+        }
+        lastKeyAt = now;
+
+        if (e.key === 'Enter') {
+            const scan = scanBuffer;
+            scanBuffer = '';
+            e.preventDefault();
+
+            // Ignore scans while we're still checking in the last person.
+            if (scan.length >= MINIMUM_SCAN_LENGTH && !busy) {
+                handleScan(scan);
+            }
+            return;
+        }
+
+        if (e.key.length === 1) {
+            scanBuffer += e.key;
+            e.preventDefault();
+        }
+    }
+
+    async function showBuildingPicker() {
+        const list = document.querySelector('#kioskBuildingList');
+        const buildings = await getBuildings();
+
+        buildings.forEach((candidate) => {
+            const link = document.createElement('a');
+            link.className = 'list-group-item list-group-item-action';
+            link.href = '?' + KadenceQueryString.stringify({ building: candidate.id });
+            link.textContent = candidate.name;
+            list.append(link);
+        });
+    }
+
+    async function startKiosk() {
+        building = await getBuilding(BUILDING_ID);
+
+        document.querySelector('#kioskBuildingPicker').style.display = 'none';
+        document.querySelector('#kiosk').style.display = 'flex';
+        document.querySelector('#kioskBuildingName').textContent = building.name;
+
+        updateClock();
+        setInterval(updateClock, 1000);
+        showQrCode();
+        show('#kioskWelcome');
+
+        // Browsers only allow full screen after someone has interacted with the page, so it needs a button.
+        const fullScreenButton = document.querySelector('#kioskFullScreenButton');
+
+        fullScreenButton.addEventListener('click', () => {
+            // Otherwise the Enter typed by the scanner would press the button again.
+            fullScreenButton.blur();
+            document.documentElement.requestFullscreen();
+        });
+        document.addEventListener('fullscreenchange', () => {
+            fullScreenButton.style.display = document.fullscreenElement ? 'none' : '';
+        });
+        document.addEventListener('keydown', handleKey);
+    }
+
+    if (BUILDING_ID) {
+        // If the building can't be found (e.g. an old link) ask which building the kiosk is in instead.
+        startKiosk().catch(showBuildingPicker);
+    } else {
+        showBuildingPicker();
+    }
+});
@@ -3,9 +3,10 @@
  * room bookings differently to other bookings by not automatically checking them in. This is because we want to
  * allow users to check themselves in to a room booking when they arrive at the room.
  *
- * We recommend that you hide all Kadence API calls in your chosen backend service. In this code sample
- * we are deliberately exposing the direct Kadence API & responses to demonstrate how you can use the API without
- * the addition of another abstraction layer making it harder.
+ * We recommend that you hide all Kadence API calls in your chosen backend service, and that's what we do for the check
+ * in itself: the rules for which bookings to check in to live in ./src/lib/CheckInService.js so that other integrations
+ * (e.g. WiFi or door access systems) can use them too. The page sends the email address to /api/check-in and displays
+ * the result for each booking. We still call the Kadence API directly for the building names.
  *
  * To get started building applications with this API we recommend the following resources:
  *
@@ -19,12 +20,23 @@ window.addEventListener('load', function () {
     const buildings = {};
     const buildingPromise = getBuildings();
 
-    // These are used for message generation for the dialog that is displayed to the user.
+    // The QR code on the kiosk (see ./kiosk.js) opens this page with ?building=<buildingId>, in which case we only check
+    // in to bookings in that building.
+    const BUILDING_ID = new URLSearchParams(window.location.search).get('building');
+
+    // These are used for message generation for the dialog that is displayed to the user, they match the results
+    // returned by CheckInService (see ./src/lib/CheckInService.js).
+    const RESULT_CHECKED_IN = 'checked_in';
+    const RESULT_FAILED = 'failed';
+    const RESULT_NO_BOOKINGS = 'no_bookings';
+    const RESULT_USER_NOT_FOUND = 'user_not_found';
     const REASON_ALREADY_COMPLETED = 'already_completed';
     const REASON_ALREADY_CHECKED_IN = 'already_checked_in';
     const REASON_BOOKING_CANCELLED = 'booking_cancelled';
     const REASON_UNSUPPORTED_STATUS = 'unsupported_status';
     const REASON_ROOM_BOOKING = 'room_booking';
+    const REASON_TOO_EARLY = 'too_early';
+    const REASON_TOO_LATE = 'too_late';
 
     /**
      * Start of Kadence API helpers - i.e. functions that are used to retrieve data from the Kadence API
@@ -57,80 +69,42 @@ window.addEventListener('load', function () {
         return buildings[buildingUri];
     }
 
-    async function getUserByEmailAddress(emailAddress) {
+    async function checkIn(emailAddress, source) {
 
         /**
-         * Here we're going to the Kadence API and attempting to find a user with the email address that's been supplied.
-         * For more information on other prorerties you can search by please see:
+         * This isn't part of the Kadence API. The server in ./src/index.js finds the user with the email address, looks
+         * up their bookings for today and checks them in to the ones that should be checked in, see
+         * ./src/lib/CheckInService.js. Under the hood it uses these Kadence API endpoints:
          *
          * https://api.kadence.co/#tag/User/operation/api_v1publicusers_get_collection
-         */
-
-        const userResponse = await axios.get('/v1/public/users?email=' + emailAddress);
-        const data = userResponse.data;
-
-        if (data['hydra:member'].length) {
-            return data['hydra:member'][0];
-        }
-
-        return null;
-    }
-
-    async function getBookingByUserForToday(userId) {
-
-        function getDate(tomorrow) {
-            const date = new Date();
-
-            if (tomorrow) {
-                date.setDate(date.getDate() + 1);
-            }
-
-            const year = date.getFullYear();
-            const month = String(date.getMonth() + 1).padStart(2, '0'); // Months are 0-indexed
-            const day = String(date.getDate()).padStart(2, '0');
-            return `${year}-${month}-${day}`;
-        }
-
-        const today = getDate();
-        const tomorrow = getDate(true);
-
-        /**
-         * Here we're going to the Kadence API and attempting to find all bookings for a specific user for today.
-         * For more information on other properties you can search by please see:
-         *
          * https://api.kadence.co/#tag/Booking/operation/api_v1publicusers_idbookings_get_collection
-         *
-         * In this example we're limiting results that span 'today' and order them by startDateTime ascending.
-         * We're using 'local_after' and 'local_before' to ensure we're getting bookings back within the timezone that
-         * for the building the booking was made in.
+         * https://api.kadence.co/#tag/Booking/operation/api_v1publicbookings_idcheck-in_post
          */
-        const bookingResponse = await axios.get(`/v1/public/users/${userId}/bookings?order[startDateTime]=asc&startDateTime[local_after]=${today}T00:00:00Z&endDateTime[local_before]=${tomorrow}T00:00:00Z`);
-        const data = bookingResponse.data;
 
-        if (data['hydra:member'].length) {
-            return data['hydra:member'];
-        }
-
-        return [];
+        // The server works out what 'today' is in the time zone of each booking's building, so we don't send the
+        // browser's date.
+        const checkInResponse = await axios.post('/api/check-in', {
+            email: emailAddress,
+            method: source,
+            buildingId: BUILDING_ID
+        });
+        return checkInResponse.data;
     }
 
-    async function bookingCheckin(bookingId, userId, source) {
+    async function bulkCheckIn(file, source) {
 
         /**
-         * Here we're going to the Kadence API and attempting to check a user into a booking. For more information on
-         * post data please see:
-         *
-         * https://api.kadence.co/#tag/Booking/operation/api_v1publicbookings_idcheck-in_post
+         * This isn't part of the Kadence API. The server in ./src/index.js checks in everyone in a log of door access
+         * events using the same rules as this page, see ./src/lib/BulkCheckIn.js. We send the CSV file as it is and
+         * get back a report of what happened for each user.
          */
 
-        const checkinResponse = await axios.post(
-            `/v1/public/bookings/${bookingId}/check-in`,
-            {
-                userId: userId,
-                method: source
-            }
-        );
-        return checkinResponse.data;
+        const bulkResponse = await axios.post('/api/check-ins/bulk?' + KadenceQueryString.stringify({
+            method: source
+        }), await file.text(), {
+            headers: { 'Content-Type': 'text/csv' }
+        });
+        return bulkResponse.data;
     }
 
     /**
@@ -155,6 +129,14 @@ window.addEventListener('load', function () {
         });
     }
 
+    // The messages are plain text, which can include names and errors from the API, so they're escaped before being
+    // added to a dialog.
+    function escapeHtml(text) {
+        const element = document.createElement('div');
+        element.textContent = text;
+        return element.innerHTML;
+    }
+
     function getBookingInformationHTML(messages) {
         if (messages.length === 0) {
             return '';
@@ -163,7 +145,7 @@ window.addEventListener('load', function () {
         let html = '<br /><br />';
 
         for (let i = 0; i < messages.length; i++) {
-            html += `<br />${messages[i]}`;
+            html += `<br />${escapeHtml(messages[i])}`;
         }
 
         return html;
@@ -175,7 +157,9 @@ window.addEventListener('load', function () {
         const startDate = luxon.DateTime.fromISO(booking.startDate).setZone(building.timeZone).toFormat('HH:mm');
         const endDate = luxon.DateTime.fromISO(booking.endDate).setZone(building.timeZone).toFormat('HH:mm');
 
-        let message = '<span style="text-transform: capitalize;">' + booking.type + `</span> Booking - ${startDate} - ${endDate} - ${building.name}`;
+        const type = booking.type.charAt(0).toUpperCase() + booking.type.substring(1);
+
+        let message = `${type} Booking - ${startDate} - ${endDate} - ${building.name}`;
 
         switch (reason) {
             case REASON_ALREADY_COMPLETED:
@@ -193,6 +177,12 @@ window.addEventListener('load', function () {
             case REASON_UNSUPPORTED_STATUS:
                 message += ' - ⏭️ Unsupported Status';
                 break;
+            case REASON_TOO_EARLY:
+                message += ' - ⏭️ Too Early, Check In Opens At ' + luxon.DateTime.fromISO(booking.checkInOpensAt).setZone(building.timeZone).toFormat('HH:mm');
+                break;
+            case REASON_TOO_LATE:
+                message += ' - ⏭️ Too Late, Check In Closed At ' + luxon.DateTime.fromISO(booking.checkInClosesAt).setZone(building.timeZone).toFormat('HH:mm');
+                break;
             default:
                 if (reason) {
                     message += ` - ⛔️ Check In Failed - "${reason}"`;
@@ -205,10 +195,134 @@ window.addEventListener('load', function () {
         return message;
     }
 
+    async function getBookingResultMessage(booking) {
+        // Failures have the error in the message, otherwise the result is a reason the booking was skipped.
+        switch (booking.result) {
+            case RESULT_CHECKED_IN:
+                return await getBookingMessage(booking);
+            case RESULT_FAILED:
+                return await getBookingMessage(booking, booking.message);
+            default:
+                return await getBookingMessage(booking, booking.result);
+        }
+    }
+
+    function getBulkResultLabel(result) {
+        switch (result) {
+            case RESULT_CHECKED_IN:
+                return '✅ Checked In';
+            case REASON_ALREADY_CHECKED_IN:
+                return '⏭️️ Already Checked In';
+            case REASON_ALREADY_COMPLETED:
+                return '⏭️️ Already Completed';
+            case REASON_TOO_EARLY:
+                return '⏭️ Too Early';
+            case REASON_TOO_LATE:
+                return '⏭️ Too Late';
+            case REASON_ROOM_BOOKING:
+                return '⏭️ Room Booking';
+            case REASON_BOOKING_CANCELLED:
+                return '⏭️ Booking Cancelled';
+            case REASON_UNSUPPORTED_STATUS:
+                return '⏭️ Unsupported Status';
+            case RESULT_NO_BOOKINGS:
+                return '⏭️ No Bookings';
+            case RESULT_USER_NOT_FOUND:
+                return '⛔️ User Not Found';
+            default:
+                return '⛔️ Check In Failed';
+        }
+    }
+
+    // Shows each message on its own line. The messages include values from the uploaded file (e.g. email addresses), so
+    // they're added as text rather than HTML.
+    function formatLines(cell) {
+        const element = document.createElement('div');
+
+        cell.getValue().forEach((line, index) => {
+            if (index > 0) {
+                element.appendChild(document.createElement('br'));
+            }
+            element.appendChild(document.createTextNode(line));
+        });
+
+        return element;
+    }
+
+    async function showBulkCheckInReport(report) {
+        const data = [];
+
+        for (let i = 0; i < report.users.length; i++) {
+            const user = report.users[i];
+            const messages = [];
+
+            for (let j = 0; j < user.bookings.length; j++) {
+                messages.push(await getBookingResultMessage(user.bookings[j]));
+            }
+
+            data.push({
+                email: user.email,
+                name: user.name || '',
+                date: user.date,
+                firstSeen: luxon.DateTime.fromISO(user.firstSeen, { setZone: true }).toFormat('HH:mm'),
+                events: user.events,
+                doors: user.doors.join(', '),
+                result: getBulkResultLabel(user.result),
+                bookings: user.message ? [user.message] : messages
+            });
+        }
+
+        // Rows of the file that couldn't be used are listed at the end, so they can be fixed and uploaded again.
+        for (let i = 0; i < report.rejected.length; i++) {
+            const rejected = report.rejected[i];
+
+            data.push({
+                email: rejected.email || '',
+                name: '',
+                date: '',
+                firstSeen: rejected.timestamp || '',
+                events: '',
+                doors: '',
+                result: `⛔️ Line ${rejected.line} Rejected`,
+                bookings: [rejected.message]
+            });
+        }
+
+        const summary = report.summary;
+        document.querySelector('#bulkCheckInSummary').textContent = `${summary.events} event(s) for ${summary.users} user(s): ` +
+            `${summary.checked_in || 0} checked in, ${summary.already_checked_in || 0} already checked in, ` +
+            `${summary.user_not_found || 0} not found, ${summary.failed || 0} failed and ${summary.rejected} rejected line(s).`;
+
+        new Tabulator('#bulkCheckInTable', {
+            data: data,
+            layout: 'fitColumns',
+            columns: [
+                { title: 'Email', field: 'email' },
+                { title: 'Name', field: 'name' },
+                { title: 'Date', field: 'date', width: 110 },
+                { title: 'First Seen', field: 'firstSeen', width: 110 },
+                { title: 'Events', field: 'events', width: 90 },
+                { title: 'Doors', field: 'doors' },
+                { title: 'Result', field: 'result' },
+                { title: 'Bookings', field: 'bookings', formatter: formatLines, variableHeight: true, widthGrow: 3 }
+            ]
+        });
+    }
+
     /**
      * Start application code - this will register a submit listener for the check in form and trigger a check in.
      */
 
+    if (BUILDING_ID) {
+        buildingPromise.then(() => {
+            const building = buildings[`/v1/public/buildings/${BUILDING_ID}`];
+            const scope = document.querySelector('#buildingScope');
+
+            scope.textContent = `Only bookings in ${building ? building.name : 'this building'} will be checked in.`;
+            scope.style.display = 'block';
+        });
+    }
+
     document.querySelector('#checkinForm')
         .addEventListener('submit', async function(e) {
             e.preventDefault();
@@ -227,85 +341,30 @@ window.addEventListener('load', function () {
                 return;
             }
 
-            // Check if we can find a user with the given email address.
-            let user = await getUserByEmailAddress(EMAIL_ADDRESS);
+            // Check the user in, the server finds the user and decides which of their bookings to check in to.
+            let result;
 
-            // No user, exit early and show a warning to the user.
-            if (!user) {
-                showErrorMessage(`Unable to find user with email address ${EMAIL_ADDRESS}`);
+            try {
+                result = await checkIn(EMAIL_ADDRESS, CHECK_IN_SOURCE);
+            } catch (e) {
+                // Errors from the server are returned as problem details, see the error handler in ./src/index.js.
+                showErrorMessage(e.response ? e.response.data.detail : e.message);
                 return;
             }
 
-            // We have a user, now we need to check if they have any booking to see we can check them in.
-
-            let bookings = await getBookingByUserForToday(user.id);
-            let hasCheckedIn = false;
-            let hasAlreadyCheckedIn = false;
-            let hasCompletedBooking = false;
             let messages = [];
-            let checkinError = false;
-
-            for (let i = 0; i < bookings.length; i++) {
-                const booking = bookings[i];
-
-                // We don't want to check in room bookings automatically, skipping.
-                if (booking.type === 'room') {
-                    messages.push(
-                        await getBookingMessage(booking, REASON_ROOM_BOOKING)
-                    );
-                    continue;
-                }
-
-                // We want to skip bookings that the user has already checked into.
-                if (booking.status === 'checkedIn') {
-                    hasAlreadyCheckedIn = true;
-                    messages.push(
-                        await getBookingMessage(booking, REASON_ALREADY_CHECKED_IN)
-                    );
-                    continue;
-                }
 
-                // We want to skip bookings that the user has already checked into.
-                if (['checkedOut', 'completed'].indexOf(booking.status) >= 0) {
-                    hasCompletedBooking = true;
-                    messages.push(
-                        await getBookingMessage(booking, REASON_ALREADY_COMPLETED)
-                    );
-                    continue;
-                }
-
-                // Check for cancellations to provide better feedback to the user.
-                if (booking.status === 'cancelled') {
-                    messages.push(
-                        await getBookingMessage(booking, REASON_BOOKING_CANCELLED)
-                    );
-                    continue;
-                }
-
-                // We only want to check in bookings in the status 'booked'.
-                if (booking.status !== 'booked') {
-                    messages.push(
-                        await getBookingMessage(booking, REASON_UNSUPPORTED_STATUS)
-                    );
-                    continue;
-                }
-
-                // Attempt to check in to the booking.
-                try {
-                    await bookingCheckin(booking.id, user.id, CHECK_IN_SOURCE);
-                    hasCheckedIn = true;
-                    messages.push(
-                        await getBookingMessage(booking)
-                    );
-                } catch (e) {
-                    const errorMessage = e.response.data['hydra:description'];
-                    messages.push(
-                        await getBookingMessage(booking, errorMessage)
-                    );
-                    checkinError = true;
-                }
+            for (let i = 0; i < result.bookings.length; i++) {
+                messages.push(
+                    await getBookingResultMessage(result.bookings[i])
+                );
             }
 
+            const hasCheckedIn = result.bookings.some((booking) => booking.result === RESULT_CHECKED_IN);
+            const checkinError = result.result === RESULT_FAILED;
+            const hasAlreadyCheckedIn = result.result === REASON_ALREADY_CHECKED_IN;
+            const hasCompletedBooking = result.result === REASON_ALREADY_COMPLETED;
+
             const bookingHTML = getBookingInformationHTML(messages);
 
             // We now display a message to the user based on the results of the check in attempts.
@@ -335,14 +394,55 @@ window.addEventListener('load', function () {
                     showErrorMessage(`This user has no active desk or onsite bookings, their previous bookings have completed. ${bookingHTML}`);
                     return;
                 }
+
+                // If the user has arrived outside the check in window of their booking(s) tell them which, the window
+                // is shown next to each booking.
+                if (result.result === REASON_TOO_EARLY) {
+                    showErrorMessage(`This user is too early to check into their booking(s). ${bookingHTML}`);
+                    return;
+                }
+
+                if (result.result === REASON_TOO_LATE) {
+                    showErrorMessage(`This user is too late to check into their booking(s). ${bookingHTML}`);
+                    return;
+                }
             }
 
             if (hasCheckedIn) {
                 // This is the simplest success path, we have checked in the user to their booking(s).
                 showSuccessMessage(`User has been checked into their booking(s). ${bookingHTML}`);
             } else {
-                // We've not checked in the user to any bookings, this is because they have no bookings for today.
+                // We've not checked in the user to any bookings, as they have no bookings for today or none that can be
+                // checked in to here (e.g. a room booking), the reason is shown next to each booking.
                 showErrorMessage(`Unable to find any active booking(s) for this user today. ${bookingHTML}`);
             }
         });
+
+    document.querySelector('#bulkCheckInForm')
+        .addEventListener('submit', async function(e) {
+            e.preventDefault();
+
+            await buildingPromise;
+
+            const FILE = document.querySelector('#bulkCheckInFile').files[0];
+            const CHECK_IN_SOURCE = document.querySelector('#bulkCheckInSource').value;
+            const button = document.querySelector('#bulkCheckInButton');
+
+            if (!FILE) {
+                showErrorMessage('Please select a CSV file of door access events to check in.');
+                return;
+            }
+
+            // Checking in a large file can take a while, so stop it being uploaded twice.
+            button.disabled = true;
+
+            try {
+                await showBulkCheckInReport(await bulkCheckIn(FILE, CHECK_IN_SOURCE));
+            } catch (e) {
+                // Errors from the server are returned as problem details, see the error handler in ./src/index.js.
+                showErrorMessage(e.response ? e.response.data.detail : e.message);
+            } finally {
+                button.disabled = false;
+            }
+        });
 });
\ No newline at end of file
@@ -17,7 +17,35 @@ window.addEventListener('load', async function () {
     // Colours constants for the floorplan display
     const COLOR_AVAILABLE = '#60D27B';
     const COLOR_BOOKED = '#FF9B53';
-        
+    const COLOR_CHECKED_IN = '#5B8DEF';
+    const COLOR_HIDDEN = '#E9ECEF';
+
+    // Neighborhoods are given these colours in the order they're returned by the API, the heatmap goes from the first
+    // colour at 0% utilisation to the second at 100%.
+    const NEIGHBORHOOD_COLORS = ['#4E79A7', '#F28E2B', '#E15759', '#76B7B2', '#59A14F', '#EDC948', '#B07AA1', '#FF9DA7', '#9C755F', '#BAB0AC'];
+    const HEATMAP_COLORS = ['#FFF5EB', '#D94801'];
+
+    // Utilisation is the share of the working day a space is booked for, on every weekday of the selected range.
+    const WORKING_DAY_START = 8;
+    const WORKING_DAY_END = 18;
+    const HEATMAP_DEFAULT_DAYS = 30;
+
+    // Cancelled bookings don't occupy their space. Bookings in one of the checked in statuses have been checked in to,
+    // even if the user has since checked out.
+    const CANCELLED_STATUSES = ['cancelled', 'autoCancelled'];
+    const CHECKED_IN_STATUSES = ['checkedIn', 'checkedOut', 'completed'];
+
+    // The time slider moves in steps of this many minutes, the animation takes one step every ANIMATION_INTERVAL ms.
+    const TIME_STEP = 15;
+    const ANIMATION_INTERVAL = 250;
+
+    // How far you can zoom in on the floorplan, and how much each step of the mouse wheel or the keyboard zooms by.
+    const MAX_ZOOM = 8;
+    const ZOOM_STEP = 1.25;
+
+    // A pointer has to move this many pixels before we treat it as panning rather than clicking on a space.
+    const DRAG_THRESHOLD = 4;
+
     // UI Elements
     const loadingSpinner = document.getElementById('loadingSpinner');
     const mainContentContainer = document.getElementById('mainContentContainer');
@@ -25,6 +53,59 @@ window.addEventListener('load', async function () {
     const floorplanLoadingSpinner = document.getElementById('floorplanLoadingSpinner');
     const floorplanContainer = document.getElementById('floorplanContainer');
     const noFloorplanContainer = document.getElementById('noFloorplanContainer');
+    const lastUpdated = document.getElementById('lastUpdated');
+
+    const datePicker = document.getElementById('date');
+    const timeSlider = document.getElementById('time');
+    const timeLabel = document.getElementById('timeLabel');
+    const playButton = document.getElementById('play');
+
+    const spaceTooltip = document.getElementById('spaceTooltip');
+    const spacePanel = document.getElementById('spacePanel');
+    const searchInput = document.getElementById('search');
+    const searchResults = document.getElementById('searchResults');
+    const minimapContainer = document.getElementById('minimap');
+
+    const modeSelector = document.getElementById('mode');
+    const timeControls = document.getElementById('timeControls');
+    const heatmapControls = document.getElementById('heatmapControls');
+    const heatmapFrom = document.getElementById('heatmapFrom');
+    const heatmapTo = document.getElementById('heatmapTo');
+    const availabilityLegend = document.getElementById('availabilityLegend');
+    const neighborhoodLegend = document.getElementById('neighborhoodLegend');
+    const heatmapLegend = document.getElementById('heatmapLegend');
+
+    // These variables are used to cache responses from the Kadence API, keyed by ID. We cache the promises so that
+    // hovering over the same space twice doesn't send two requests.
+    const spaceDetails = {};
+    const neighborhoods = {};
+    const users = {};
+
+    // The building and floor currently shown on the floorplan, the bookings on that floor for the selected date, and
+    // the socket we receive live booking updates on. See the "Live updates" section in ./src/index.js for the server
+    // side of this.
+    let currentBuilding = null;
+    let currentFloor = null;
+    let floorBookings = [];
+    let floorSpaces = {};
+
+    // How the floorplan is coloured: 'availability' at the selected time, by 'neighborhoods' or as a 'heatmap' of
+    // utilisation over a date range. The neighborhoods on the floor (with their colour and whether they're shown) and
+    // the utilisation of each space are loaded when the mode is first used on a floor.
+    let mode = 'availability';
+    let floorNeighborhoods = null;
+    let floorUtilisation = null;
+    let selectedSpaceId = null;
+
+    // The part of the floorplan that's currently shown (in SVG coordinates), the whole floorplan, and the pointers that
+    // are currently down on it. Two pointers at once are a pinch to zoom.
+    let viewBox = null;
+    let initialViewBox = null;
+    const pointers = new Map();
+    let pinchDistance = null;
+    let dragged = false;
+    let animationTimer = null;
+    const socket = io();
 
     /**
      * Start of Kadence API helpers - i.e. functions that are used to retrieve data from the Kadence API
@@ -43,11 +124,13 @@ window.addEventListener('load', async function () {
         const data = buildingsResponse.data['hydra:member'];
         const buildingsMap = {};
 
+        // The floors of every building are requested at the same time rather than one building after another.
+        await Promise.all(data.map(async (building) => {
+            building.floors = await getFloors(building.id);
+        }));
+
         for (const building of data) {
-            const buildingId = building.id;
-            const floors = await getFloors(buildingId);
-            building.floors = floors;
-            buildingsMap[buildingId] = building;
+            buildingsMap[building.id] = building;
         }
 
         return buildingsMap;
@@ -62,28 +145,239 @@ window.addEventListener('load', async function () {
          *
          * In this example, we're not doing any filtering or paging.
          */
-        const floorsResponse = await axios.get(`/v1/public/floors?buildingId=${buildingId}`);
+        const floorsResponse = await axios.get('/v1/public/floors?' + KadenceQueryString.stringify({ buildingId }));
         return floorsResponse.data['hydra:member'];
     }
 
-    async function getBookingsForToday(floorId) {
+    async function getBookingsForDate(floorId, date) {
         /**
          * This is where we call the Kadence API to retrieve information about bookings for a floor. For the full API definition you
          * can refer to the following link:
          *
          * https://api.kadence.co/#tag/Booking/operation/api_v1publicbookings_get_collection
+         *
+         * The local_* filters compare against the time in the building's time zone, so we ask for every booking that
+         * overlaps the selected day there. This includes bookings that started the day before and run past midnight.
          */
-        const today = getDateToday();
-        const bookingsResponse = await axios.get(`/v1/public/bookings?itemsPerPage=500&floorId=${floorId}&order[startDateTime]=asc&startDateTime[local_after]=${today}T00:00:00Z&startDateTime[local_before]=${today}T23:59:59Z`);
-        return bookingsResponse.data['hydra:member'];
+        const bookingsResponse = await axios.get('/v1/public/bookings?' + KadenceQueryString.stringify({
+            all: true,
+            floorId: floorId,
+            order: { startDateTime: 'asc' },
+            startDateTime: { local_before: `${date}T23:59:59Z` },
+            endDateTime: { local_after: `${date}T00:00:00Z` }
+        }));
+        return bookingsResponse.data['hydra:member'].map((booking) => ({
+            id: booking.id,
+            spaceId: booking.space ? booking.space.id : null,
+            userId: booking.userId,
+            status: booking.status,
+            startDate: booking.startDate,
+            endDate: booking.endDate,
+            checkInDate: booking.checkInDate
+        }));
     }
 
-    function getDateToday() {
-        const today = new Date();
-        const year = today.getFullYear();
-        const month = String(today.getMonth() + 1).padStart(2, '0'); // Months are 0-indexed
-        const day = String(today.getDate()).padStart(2, '0');
-        return `${year}-${month}-${day}`;
+    async function getNeighborhoodsOnFloor(floorId) {
+        /**
+         * This is where we call the Kadence API to retrieve the neighborhoods on a floor. For the full API definition you
+         * can refer to the following link:
+         *
+         * https://api.kadence.co/#tag/Neighborhood/operation/api_v1publicneighborhoods_get_collection
+         */
+        const neighborhoodsResponse = await axios.get('/v1/public/neighborhoods?' + KadenceQueryString.stringify({
+            all: true,
+            floorId: floorId
+        }));
+        return neighborhoodsResponse.data['hydra:member'];
+    }
+
+    async function getBookingsForRange(floorId, from, to) {
+        /**
+         * This is where we retrieve every booking on a floor over a range of dates for the heatmap. This can be a lot of
+         * bookings, so rather than asking for them all at once we follow the `hydra:next` link of each page until we've
+         * got them all. For more information on paging please see:
+         *
+         * https://api.kadence.co/#tag/Booking/operation/api_v1publicbookings_get_collection
+         */
+        const bookings = [];
+        let uri = '/v1/public/bookings?' + KadenceQueryString.stringify({
+            itemsPerPage: 100,
+            floorId: floorId,
+            order: { startDateTime: 'asc' },
+            startDateTime: { local_before: `${to}T23:59:59Z` },
+            endDateTime: { local_after: `${from}T00:00:00Z` }
+        });
+
+        while (uri) {
+            const bookingsResponse = await axios.get(uri);
+            const view = bookingsResponse.data['hydra:view'];
+
+            bookings.push(...bookingsResponse.data['hydra:member']);
+            uri = view && view['hydra:next'] ? view['hydra:next'] : null;
+        }
+
+        return bookings;
+    }
+
+    async function getSpacesOnFloor(floorId) {
+        /**
+         * This is where we call the Kadence API to retrieve every space on a floor, we use their names for the tooltips
+         * and the search box. For the full API definition you can refer to the following link:
+         *
+         * https://api.kadence.co/#tag/Space/operation/api_v1publicspaces_get_collection
+         */
+        const spacesResponse = await axios.get('/v1/public/spaces?' + KadenceQueryString.stringify({
+            all: true,
+            floorId: floorId
+        }));
+        const spaces = {};
+
+        spacesResponse.data['hydra:member'].forEach((space) => {
+            spaces[space.id] = space;
+        });
+
+        return spaces;
+    }
+
+    function getSpace(spaceId) {
+        // https://api.kadence.co/#tag/Space/operation/api_v1publicspaces_id_get
+        if (!spaceDetails[spaceId]) {
+            spaceDetails[spaceId] = axios.get(`/v1/public/spaces/${spaceId}`).then((response) => response.data);
+        }
+        return spaceDetails[spaceId];
+    }
+
+    function getNeighborhood(neighborhoodId) {
+        // https://api.kadence.co/#tag/Neighborhood/operation/api_v1publicneighborhoods_id_get
+        if (!neighborhoods[neighborhoodId]) {
+            neighborhoods[neighborhoodId] = axios.get(`/v1/public/neighborhoods/${neighborhoodId}`).then((response) => response.data);
+        }
+        return neighborhoods[neighborhoodId];
+    }
+
+    function getUser(userId) {
+        // https://api.kadence.co/#tag/User/operation/api_v1publicusers_id_get
+        if (!users[userId]) {
+            users[userId] = axios.get(`/v1/public/users/${userId}`).then((response) => response.data);
+        }
+        return users[userId];
+    }
+
+    // Related resources are referenced by their IRI, e.g. /v1/public/users/<id>, the ID is the last part of it.
+    function getIdFromIri(iri) {
+        return iri ? String(iri).split('/').pop() : null;
+    }
+
+    /**
+     * Start of occupancy helpers - i.e. functions that work out who is in which space at the selected time.
+     */
+
+    // Dates and times on this page are always in the time zone of the building, not the time zone of your browser.
+    function getTimeZone() {
+        return currentBuilding && currentBuilding.timeZone ? currentBuilding.timeZone : 'UTC';
+    }
+
+    function getToday() {
+        return luxon.DateTime.now().setZone(getTimeZone()).toFormat('yyyy-MM-dd');
+    }
+
+    // The slider holds the number of minutes since midnight, so the selected instant is that many minutes into the day.
+    function getSelectedInstant() {
+        return luxon.DateTime.fromISO(datePicker.value, { zone: getTimeZone() })
+            .startOf('day')
+            .plus({ minutes: parseInt(timeSlider.value, 10) });
+    }
+
+    function getOccupancyStatus(booking, instant) {
+        const start = luxon.DateTime.fromISO(booking.startDate);
+        const end = luxon.DateTime.fromISO(booking.endDate);
+
+        if (CANCELLED_STATUSES.includes(booking.status) || instant < start || instant >= end) {
+            return null;
+        }
+
+        // We only know when a booking was checked in to if the API tells us, otherwise we go by its status.
+        if (booking.checkInDate) {
+            return instant >= luxon.DateTime.fromISO(booking.checkInDate) ? 'checkedIn' : 'booked';
+        }
+
+        return CHECKED_IN_STATUSES.includes(booking.status) ? 'checkedIn' : 'booked';
+    }
+
+    // A space can have more than one booking at a time (e.g. a room), it's checked in if any of them are.
+    function getSpaceStatuses(instant) {
+        const spaceStatuses = {};
+
+        for (const booking of floorBookings) {
+            const status = getOccupancyStatus(booking, instant);
+
+            if (status && spaceStatuses[booking.spaceId] !== 'checkedIn') {
+                spaceStatuses[booking.spaceId] = status;
+            }
+        }
+
+        return spaceStatuses;
+    }
+
+    // Works out the share of working hours each space was booked for between two dates. Bookings are clipped to the
+    // working day, and overlapping bookings (e.g. of a room) are only counted once.
+    function getUtilisation(bookings, from, to) {
+        const timeZone = getTimeZone();
+        const workingDays = [];
+
+        for (let day = luxon.DateTime.fromISO(from, { zone: timeZone }); day.toISODate() <= to; day = day.plus({ days: 1 })) {
+            if (day.weekday <= 5) {
+                workingDays.push({
+                    start: day.set({ hour: WORKING_DAY_START }),
+                    end: day.set({ hour: WORKING_DAY_END })
+                });
+            }
+        }
+
+        const workingMinutes = workingDays.length * (WORKING_DAY_END - WORKING_DAY_START) * 60;
+        const intervalsBySpace = {};
+
+        for (const booking of bookings) {
+            const spaceId = booking.space ? booking.space.id : null;
+
+            if (!spaceId || CANCELLED_STATUSES.includes(booking.status)) {
+                continue;
+            }
+
+            const start = luxon.DateTime.fromISO(booking.startDate);
+            const end = luxon.DateTime.fromISO(booking.endDate);
+
+            for (const workingDay of workingDays) {
+                const clippedStart = start > workingDay.start ? start : workingDay.start;
+                const clippedEnd = end < workingDay.end ? end : workingDay.end;
+
+                if (clippedEnd > clippedStart) {
+                    (intervalsBySpace[spaceId] = intervalsBySpace[spaceId] || []).push([clippedStart.toMillis(), clippedEnd.toMillis()]);
+                }
+            }
+        }
+
+        const utilisation = {};
+
+        for (const spaceId in intervalsBySpace) {
+            const intervals = intervalsBySpace[spaceId].sort((a, b) => a[0] - b[0]);
+            let bookedMillis = 0;
+            let [currentStart, currentEnd] = intervals[0];
+
+            for (const [start, end] of intervals.slice(1)) {
+                if (start > currentEnd) {
+                    bookedMillis += currentEnd - currentStart;
+                    [currentStart, currentEnd] = [start, end];
+                } else if (end > currentEnd) {
+                    currentEnd = end;
+                }
+            }
+
+            bookedMillis += currentEnd - currentStart;
+            utilisation[spaceId] = workingMinutes ? Math.min(bookedMillis / 60000 / workingMinutes, 1) : 0;
+        }
+
+        return utilisation;
     }
 
     /**
@@ -122,10 +416,717 @@ window.addEventListener('load', async function () {
         showHideFloorplanLoadingSpinner(false);
     }
 
-    function handleBuildingChange() {
+    // In the SVG the space ID is part of the ID attribute, this is the format: space::<space_type>::<spaceId>
+    function getSpaceIdFromElement(svgSpace) {
+        return svgSpace.id.split('::')[2];
+    }
+
+    function getSpaceElement(spaceId) {
+        return Array.from(floorplanContainer.querySelectorAll('g[id^="space::"]'))
+            .find((svgSpace) => getSpaceIdFromElement(svgSpace) === spaceId);
+    }
+
+    // Colours every space on the floorplan, how depends on the selected mode.
+    function colourSpaces() {
+        const instant = getSelectedInstant();
+        timeLabel.textContent = instant.toFormat('HH:mm');
+
+        let getColour = null;
+
+        if (mode === 'neighborhoods' && floorNeighborhoods) {
+            getColour = getNeighborhoodColour;
+        } else if (mode === 'heatmap' && floorUtilisation) {
+            getColour = (spaceId) => getHeatmapColour(floorUtilisation[spaceId] || 0);
+        } else {
+            // Spaces are free, booked or checked in at the selected time.
+            const spaceStatuses = getSpaceStatuses(instant);
+            getColour = (spaceId) => {
+                if (spaceStatuses[spaceId] === 'checkedIn') {
+                    return COLOR_CHECKED_IN;
+                }
+                return spaceStatuses[spaceId] === 'booked' ? COLOR_BOOKED : COLOR_AVAILABLE;
+            };
+        }
+
+        const svgSpaces = floorplanContainer.querySelectorAll('g[id^="space::"]');
+        for (const svgSpace of svgSpaces) {
+            svgSpace.style.fill = getColour(getSpaceIdFromElement(svgSpace));
+        }
+    }
+
+    function setFloorBookings(bookings) {
+        floorBookings = bookings;
+        lastUpdated.textContent = `Last updated at ${new Date().toLocaleTimeString()}`;
+        colourSpaces();
+
+        if (selectedSpaceId) {
+            showSpacePanel(selectedSpaceId).catch((e) => console.error('Unable to show space', e));
+        }
+    }
+
+    // Moves the slider to the current time if today is selected, otherwise to the start of the working day.
+    function resetTimeSlider() {
+        if (datePicker.value === getToday()) {
+            const now = luxon.DateTime.now().setZone(getTimeZone());
+            timeSlider.value = Math.floor((now.hour * 60 + now.minute) / TIME_STEP) * TIME_STEP;
+        } else {
+            timeSlider.value = 9 * 60;
+        }
+    }
+
+    // Plays the selected day from the current position of the slider, one step at a time, until the end of the day.
+    function toggleAnimation() {
+        if (animationTimer) {
+            stopAnimation();
+            return;
+        }
+
+        if (parseInt(timeSlider.value, 10) >= parseInt(timeSlider.max, 10)) {
+            timeSlider.value = 0;
+        }
+
+        playButton.textContent = 'Pause';
+        animationTimer = setInterval(() => {
+            const minutes = parseInt(timeSlider.value, 10) + TIME_STEP;
+
+            if (minutes > parseInt(timeSlider.max, 10)) {
+                stopAnimation();
+                return;
+            }
+
+            timeSlider.value = minutes;
+            colourSpaces();
+        }, ANIMATION_INTERVAL);
+    }
+
+    function stopAnimation() {
+        clearInterval(animationTimer);
+        animationTimer = null;
+        playButton.textContent = 'Play';
+    }
+
+    async function handleDateChange() {
+        if (!currentFloor || !currentFloor.floorPlanUrl || !datePicker.value) {
+            return;
+        }
+
+        stopAnimation();
+        resetTimeSlider();
+        setFloorBookings(await getBookingsForDate(currentFloor.id, datePicker.value));
+    }
+
+    /**
+     * Start of colour mode functions - i.e. the neighborhood overlay and the utilisation heatmap.
+     */
+
+    function getSpaceNeighborhoodId(spaceId) {
+        const space = floorSpaces[spaceId];
+        return space && space.neighborhood ? getIdFromIri(space.neighborhood) : null;
+    }
+
+    // Spaces in a neighborhood that has been toggled off, or that aren't in a neighborhood, are greyed out.
+    function getNeighborhoodColour(spaceId) {
+        const neighborhood = floorNeighborhoods[getSpaceNeighborhoodId(spaceId)];
+        return neighborhood && neighborhood.visible ? neighborhood.colour : COLOR_HIDDEN;
+    }
+
+    // Blends between the two heatmap colours, a utilisation of 0 is the first colour and 1 is the second.
+    function getHeatmapColour(utilisation) {
+        const [from, to] = HEATMAP_COLORS.map((colour) => [1, 3, 5].map((i) => parseInt(colour.substring(i, i + 2), 16)));
+        return '#' + from.map((value, i) => Math.round(value + (to[i] - value) * utilisation).toString(16).padStart(2, '0')).join('');
+    }
+
+    async function loadNeighborhoods() {
+        const floor = currentFloor;
+        const neighborhoods = await getNeighborhoodsOnFloor(floor.id);
+
+        // The floor may have changed while we were waiting for the API.
+        if (floor !== currentFloor) {
+            return;
+        }
+
+        floorNeighborhoods = {};
+
+        neighborhoods.forEach((neighborhood, index) => {
+            floorNeighborhoods[neighborhood.id] = {
+                name: neighborhood.name,
+                colour: NEIGHBORHOOD_COLORS[index % NEIGHBORHOOD_COLORS.length],
+                visible: true
+            };
+        });
+
+        renderNeighborhoodLegend();
+    }
+
+    // The legend doubles as the toggles for each neighborhood.
+    function renderNeighborhoodLegend() {
+        neighborhoodLegend.innerHTML = '';
+
+        if (!Object.keys(floorNeighborhoods).length) {
+            neighborhoodLegend.appendChild(createElement('span', 'text-muted', 'This floor has no neighborhoods.'));
+            return;
+        }
+
+        for (const neighborhoodId in floorNeighborhoods) {
+            const neighborhood = floorNeighborhoods[neighborhoodId];
+            const label = createElement('label', 'form-check form-check-inline');
+            const checkbox = createElement('input', 'form-check-input');
+            const swatch = createElement('span', 'floorplan-legend-swatch');
+
+            checkbox.type = 'checkbox';
+            checkbox.checked = neighborhood.visible;
+            checkbox.addEventListener('change', () => {
+                neighborhood.visible = checkbox.checked;
+                colourSpaces();
+            });
+            swatch.style.background = neighborhood.colour;
+
+            label.appendChild(checkbox);
+            label.appendChild(swatch);
+            label.appendChild(document.createTextNode(neighborhood.name));
+            neighborhoodLegend.appendChild(label);
+        }
+    }
+
+    async function loadUtilisation() {
+        if (!heatmapFrom.value || !heatmapTo.value || heatmapFrom.value > heatmapTo.value) {
+            throw new Error('Please choose a date range where the start is before the end.');
+        }
+
+        const floor = currentFloor;
+        const bookings = await getBookingsForRange(floor.id, heatmapFrom.value, heatmapTo.value);
+
+        if (floor === currentFloor) {
+            floorUtilisation = getUtilisation(bookings, heatmapFrom.value, heatmapTo.value);
+        }
+    }
+
+    // Loads what the selected mode needs for the current floor, if it hasn't been loaded already, and recolours it.
+    async function refreshMode() {
+        timeControls.style.display = mode === 'availability' ? '' : 'none';
+        availabilityLegend.style.display = mode === 'availability' ? '' : 'none';
+        neighborhoodLegend.style.display = mode === 'neighborhoods' ? '' : 'none';
+        heatmapControls.style.display = mode === 'heatmap' ? '' : 'none';
+        heatmapLegend.style.display = mode === 'heatmap' ? '' : 'none';
+
+        if (mode !== 'availability') {
+            stopAnimation();
+        }
+
+        if (currentFloor && currentFloor.floorPlanUrl) {
+            if (mode === 'neighborhoods' && !floorNeighborhoods) {
+                await loadNeighborhoods();
+            } else if (mode === 'heatmap' && !floorUtilisation) {
+                await loadUtilisation();
+            }
+        }
+
+        colourSpaces();
+    }
+
+    function handleModeChange() {
+        mode = modeSelector.value;
+        refreshMode().catch(showErrorMessage);
+    }
+
+    function handleHeatmapRangeChange() {
+        floorUtilisation = null;
+        refreshMode().catch(showErrorMessage);
+    }
+
+    function showErrorMessage(e) {
+        Swal.fire({
+            icon: 'error',
+            title: 'Error',
+            width: 600,
+            text: e.response && e.response.data && e.response.data.detail ? e.response.data.detail : e.message
+        });
+    }
+
+    /**
+     * Start of space details functions - i.e. the tooltip, the side panel and the search box.
+     */
+
+    function createElement(tagName, className, text) {
+        const element = document.createElement(tagName);
+        element.className = className || '';
+        element.textContent = text || '';
+        return element;
+    }
+
+    function formatTime(date) {
+        return luxon.DateTime.fromISO(date).setZone(getTimeZone()).toFormat('HH:mm');
+    }
+
+    function formatUserName(user) {
+        return `${user.firstName} ${user.lastName}`;
+    }
+
+    function getSpaceBookings(spaceId) {
+        return floorBookings.filter((booking) => booking.spaceId === spaceId && !CANCELLED_STATUSES.includes(booking.status));
+    }
+
+    function showTooltip(svgSpace, event) {
+        const spaceId = getSpaceIdFromElement(svgSpace);
+        const space = floorSpaces[spaceId];
+        const status = getSpaceStatuses(getSelectedInstant())[spaceId];
+
+        spaceTooltip.innerHTML = '';
+        spaceTooltip.appendChild(createElement('strong', '', space ? space.name : 'Unknown space'));
+        if (mode === 'neighborhoods' && floorNeighborhoods) {
+            const neighborhood = floorNeighborhoods[getSpaceNeighborhoodId(spaceId)];
+            spaceTooltip.appendChild(createElement('div', '', neighborhood ? neighborhood.name : 'No neighborhood'));
+        } else if (mode === 'heatmap' && floorUtilisation) {
+            spaceTooltip.appendChild(createElement('div', '', `${Math.round((floorUtilisation[spaceId] || 0) * 100)}% utilised`));
+        } else {
+            spaceTooltip.appendChild(createElement('div', '', status === 'checkedIn' ? 'Checked in' : (status === 'booked' ? 'Booked' : 'Free')));
+        }
+        spaceTooltip.style.display = 'block';
+        moveTooltip(event);
+    }
+
+    function moveTooltip(event) {
+        spaceTooltip.style.left = `${event.clientX + 12}px`;
+        spaceTooltip.style.top = `${event.clientY + 12}px`;
+    }
+
+    function hideTooltip() {
+        spaceTooltip.style.display = 'none';
+    }
+
+    // Shows the details of a space in the side panel, along with its bookings on the selected date and who made them.
+    async function showSpacePanel(spaceId) {
+        selectedSpaceId = spaceId;
+        highlightSpace(spaceId);
+
+        const space = await getSpace(spaceId);
+        const neighborhood = space.neighborhood ? await getNeighborhood(getIdFromIri(space.neighborhood)) : null;
+        const bookings = getSpaceBookings(spaceId);
+        const bookingUsers = await Promise.all(bookings.map((booking) => getUser(getIdFromIri(booking.userId))));
+
+        // The selection may have changed while we were waiting for the API.
+        if (selectedSpaceId !== spaceId) {
+            return;
+        }
+
+        spacePanel.innerHTML = '';
+        spacePanel.appendChild(createElement('h5', '', space.name));
+
+        const details = createElement('dl', 'row mb-0');
+        [
+            ['Type', space.type],
+            ['Neighborhood', neighborhood ? neighborhood.name : 'None'],
+            ['Capacity', space.capacity],
+            ['Amenities', space.amenities && space.amenities.length ? space.amenities.join(', ') : 'None']
+        ].forEach(([label, value]) => {
+            details.appendChild(createElement('dt', 'col-5', label));
+            details.appendChild(createElement('dd', 'col-7', String(value)));
+        });
+        spacePanel.appendChild(details);
+
+        spacePanel.appendChild(createElement('h6', 'mt-3', `Bookings on ${luxon.DateTime.fromISO(datePicker.value).toFormat('d LLL yyyy')}`));
+
+        if (!bookings.length) {
+            spacePanel.appendChild(createElement('p', 'text-muted', 'This space has no bookings.'));
+            return;
+        }
+
+        const list = createElement('ul', 'list-unstyled');
+        bookings.forEach((booking, index) => {
+            list.appendChild(createElement('li', '',
+                `${formatTime(booking.startDate)} - ${formatTime(booking.endDate)}: ${formatUserName(bookingUsers[index])} (${booking.status})`));
+        });
+        spacePanel.appendChild(list);
+    }
+
+    function highlightSpace(spaceId) {
+        floorplanContainer.querySelectorAll('.space-highlighted').forEach((svgSpace) => {
+            svgSpace.classList.remove('space-highlighted');
+        });
+
+        const svgSpace = spaceId ? getSpaceElement(spaceId) : null;
+        if (svgSpace) {
+            svgSpace.classList.add('space-highlighted');
+        }
+    }
+
+    function selectSpace(spaceId) {
+        showSpacePanel(spaceId).catch((e) => console.error('Unable to show space', e));
+        zoomToSpace(spaceId);
+        updateUrl();
+    }
+
+    // Searches the spaces on the floor by name and the people booked on the floor on the selected date by name or email.
+    async function handleSearch() {
+        const query = searchInput.value.trim().toLowerCase();
+        searchResults.innerHTML = '';
+
+        if (!query) {
+            return;
+        }
+
+        const results = Object.values(floorSpaces)
+            .filter((space) => space.name.toLowerCase().includes(query))
+            .map((space) => ({ label: space.name, spaceId: space.id }));
+
+        const bookings = floorBookings.filter((booking) => booking.spaceId && !CANCELLED_STATUSES.includes(booking.status));
+        const bookingUsers = await Promise.all(bookings.map((booking) => getUser(getIdFromIri(booking.userId))));
+
+        bookings.forEach((booking, index) => {
+            const user = bookingUsers[index];
+            const space = floorSpaces[booking.spaceId];
+
+            if (formatUserName(user).toLowerCase().includes(query) || (user.email || '').toLowerCase().includes(query)) {
+                results.push({
+                    label: `${formatUserName(user)} - ${space ? space.name : 'Unknown space'}, ${formatTime(booking.startDate)} - ${formatTime(booking.endDate)}`,
+                    spaceId: booking.spaceId
+                });
+            }
+        });
+
+        // The query may have changed while we were waiting for the API.
+        if (searchInput.value.trim().toLowerCase() !== query) {
+            return;
+        }
+
+        if (!results.length) {
+            searchResults.appendChild(createElement('div', 'list-group-item text-muted', 'No spaces or people found.'));
+            return;
+        }
+
+        results.forEach((result) => {
+            const item = createElement('button', 'list-group-item list-group-item-action', result.label);
+            item.type = 'button';
+            item.addEventListener('click', () => selectSpace(result.spaceId));
+            searchResults.appendChild(item);
+        });
+
+        // A single match is selected straight away.
+        if (results.length === 1) {
+            selectSpace(results[0].spaceId);
+        }
+    }
+
+    function clearSelection() {
+        selectedSpaceId = null;
+        spacePanel.innerHTML = '<p class="text-muted">Click on a space to see its details and bookings.</p>';
+        searchInput.value = '';
+        searchResults.innerHTML = '';
+        updateUrl();
+    }
+
+    /**
+     * Start of pan and zoom functions - i.e. functions that move the part of the floorplan that is shown.
+     *
+     * Rather than scaling the SVG element we change its viewBox, so the floorplan stays sharp however far you zoom in.
+     * Dragging pans, the mouse wheel or a pinch zooms, and the minimap shows which part of the floor you're looking at.
+     */
+
+    function getFloorplanSvg() {
+        return floorplanContainer.querySelector('svg');
+    }
+
+    // Sets the part of the floorplan that's shown. The box is kept to the shape of the floorplan so it fills the view,
+    // and to within the zoom limits.
+    function setViewBox(box) {
+        const svgElement = getFloorplanSvg();
+
+        if (!svgElement || !initialViewBox) {
+            return;
+        }
+
+        const aspectRatio = initialViewBox.width / initialViewBox.height;
+        const centerX = box.x + box.width / 2;
+        const centerY = box.y + box.height / 2;
+        let width = Math.max(box.width, box.height * aspectRatio);
+        width = Math.min(Math.max(width, initialViewBox.width / MAX_ZOOM), initialViewBox.width);
+        const height = width / aspectRatio;
+
+        viewBox = { x: centerX - width / 2, y: centerY - height / 2, width: width, height: height };
+        svgElement.setAttribute('viewBox', `${viewBox.x} ${viewBox.y} ${viewBox.width} ${viewBox.height}`);
+        updateMinimap();
+    }
+
+    // Converts a point on the screen to SVG coordinates.
+    function toSvgPoint(svgElement, clientX, clientY) {
+        return new DOMPoint(clientX, clientY).matrixTransform(svgElement.getScreenCTM().inverse());
+    }
+
+    // Zooms in (factor > 1) or out (factor < 1) keeping the point under the pointer in the same place.
+    function zoomAt(factor, clientX, clientY) {
+        const svgElement = getFloorplanSvg();
+
+        if (!svgElement || !viewBox) {
+            return;
+        }
+
+        const point = toSvgPoint(svgElement, clientX, clientY);
+        const width = viewBox.width / factor;
+        const scale = width / viewBox.width;
+
+        setViewBox({
+            x: point.x - (point.x - viewBox.x) * scale,
+            y: point.y - (point.y - viewBox.y) * scale,
+            width: width,
+            height: viewBox.height / factor
+        });
+    }
+
+    function zoomBy(factor) {
+        const svgElement = getFloorplanSvg();
+
+        if (!svgElement) {
+            return;
+        }
+
+        const rect = svgElement.getBoundingClientRect();
+        zoomAt(factor, rect.left + rect.width / 2, rect.top + rect.height / 2);
+    }
+
+    // Pans by a distance in screen pixels.
+    function panBy(deltaX, deltaY) {
+        const svgElement = getFloorplanSvg();
+
+        if (!svgElement || !viewBox) {
+            return;
+        }
+
+        const pixelsPerUnit = svgElement.getScreenCTM().a;
+        setViewBox({
+            x: viewBox.x - deltaX / pixelsPerUnit,
+            y: viewBox.y - deltaY / pixelsPerUnit,
+            width: viewBox.width,
+            height: viewBox.height
+        });
+    }
+
+    // Zooms the floorplan in on a space and a margin around it.
+    function zoomToSpace(spaceId) {
+        const svgElement = getFloorplanSvg();
+        const svgSpace = getSpaceElement(spaceId);
+
+        if (!svgElement || !svgSpace) {
+            return;
+        }
+
+        // getBBox() ignores any transforms on the way up to the SVG, so we map the box into the SVG's coordinates.
+        const box = svgSpace.getBBox();
+        const matrix = svgElement.getScreenCTM().inverse().multiply(svgSpace.getScreenCTM());
+        const topLeft = new DOMPoint(box.x, box.y).matrixTransform(matrix);
+        const bottomRight = new DOMPoint(box.x + box.width, box.y + box.height).matrixTransform(matrix);
+        const margin = Math.max(bottomRight.x - topLeft.x, bottomRight.y - topLeft.y);
+
+        setViewBox({
+            x: topLeft.x - margin,
+            y: topLeft.y - margin,
+            width: bottomRight.x - topLeft.x + margin * 2,
+            height: bottomRight.y - topLeft.y + margin * 2
+        });
+    }
+
+    function resetZoom() {
+        if (initialViewBox) {
+            setViewBox(initialViewBox);
+        }
+    }
+
+    function handlePointerDown(event) {
+        if (!getFloorplanSvg()) {
+            return;
+        }
+
+        pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        pinchDistance = null;
+        dragged = false;
+    }
+
+    function handlePointerMove(event) {
+        const previous = pointers.get(event.pointerId);
+
+        if (!previous) {
+            return;
+        }
+
+        const current = { x: event.clientX, y: event.clientY };
+        pointers.set(event.pointerId, current);
+
+        if (pointers.size === 1) {
+            if (!dragged && Math.hypot(current.x - previous.x, current.y - previous.y) < DRAG_THRESHOLD) {
+                pointers.set(event.pointerId, previous);
+                return;
+            }
+
+            dragged = true;
+            hideTooltip();
+            panBy(current.x - previous.x, current.y - previous.y);
+        } else if (pointers.size === 2) {
+            const [first, second] = Array.from(pointers.values());
+            const distance = Math.hypot(first.x - second.x, first.y - second.y);
+
+            if (pinchDistance) {
+                zoomAt(distance / pinchDistance, (first.x + second.x) / 2, (first.y + second.y) / 2);
+            }
+
+            pinchDistance = distance;
+            dragged = true;
+        }
+    }
+
+    function handlePointerUp(event) {
+        pointers.delete(event.pointerId);
+        pinchDistance = null;
+    }
+
+    function handleWheel(event) {
+        if (!getFloorplanSvg()) {
+            return;
+        }
+
+        event.preventDefault();
+        zoomAt(event.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP, event.clientX, event.clientY);
+    }
+
+    // The minimap is a copy of the floorplan without its IDs, so it doesn't clash with the real one, plus a rectangle
+    // showing the part of the floorplan that's currently shown.
+    function populateMinimap(svgElement) {
+        const minimap = svgElement.cloneNode(true);
+        minimap.querySelectorAll('[id]').forEach((element) => element.removeAttribute('id'));
+        minimap.removeAttribute('id');
+        minimap.setAttribute('viewBox', `${initialViewBox.x} ${initialViewBox.y} ${initialViewBox.width} ${initialViewBox.height}`);
+        minimap.style.width = '100%';
+        minimap.style.height = 'auto';
+
+        const viewport = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        viewport.setAttribute('class', 'minimap-viewport');
+        minimap.appendChild(viewport);
+
+        minimapContainer.innerHTML = '';
+        minimapContainer.appendChild(minimap);
+        updateMinimap();
+    }
+
+    function updateMinimap() {
+        const viewport = minimapContainer.querySelector('.minimap-viewport');
+
+        if (!viewport || !viewBox) {
+            return;
+        }
+
+        viewport.setAttribute('x', viewBox.x);
+        viewport.setAttribute('y', viewBox.y);
+        viewport.setAttribute('width', viewBox.width);
+        viewport.setAttribute('height', viewBox.height);
+
+        // There's no need for the minimap when the whole floorplan is shown.
+        minimapContainer.style.visibility = viewBox.width < initialViewBox.width ? 'visible' : 'hidden';
+    }
+
+    // Clicking on the minimap moves the view to be centered on that point.
+    function handleMinimapClick(event) {
+        const minimap = minimapContainer.querySelector('svg');
+
+        if (!minimap || !viewBox) {
+            return;
+        }
+
+        const point = toSvgPoint(minimap, event.clientX, event.clientY);
+        setViewBox({
+            x: point.x - viewBox.width / 2,
+            y: point.y - viewBox.height / 2,
+            width: viewBox.width,
+            height: viewBox.height
+        });
+    }
+
+    /**
+     * Start of navigation functions - i.e. keyboard shortcuts and links to a building, floor or space.
+     */
+
+    // The URL always reflects what's shown, e.g. /floorplan?building=<id>&floor=<id>&space=<id>, so it can be shared
+    // or used as the start page of a kiosk.
+    function updateUrl() {
+        const query = KadenceQueryString.stringify({
+            building: currentBuilding ? currentBuilding.id : null,
+            floor: currentFloor ? currentFloor.id : null,
+            space: selectedSpaceId
+        });
+        history.replaceState(null, '', `${window.location.pathname}${query ? '?' + query : ''}`);
+    }
+
+    function selectFloorByOffset(offset) {
+        const floorSelector = document.getElementById('floor');
+        const index = floorSelector.selectedIndex + offset;
+
+        if (index < 0 || index >= floorSelector.options.length) {
+            return;
+        }
+
+        floorSelector.selectedIndex = index;
+        handleFloorChange();
+    }
+
+    // Keyboard shortcuts: [ and ] (or Page Up and Page Down) switch floors, the arrow keys pan, + and - zoom and 0
+    // zooms back out. They're ignored while typing in a form field.
+    function handleKeyDown(event) {
+        if (event.target.closest('input, select, textarea') || event.ctrlKey || event.metaKey || event.altKey) {
+            return;
+        }
+
+        const PAN_STEP = 50;
+        const actions = {
+            '[': () => selectFloorByOffset(-1),
+            'PageUp': () => selectFloorByOffset(-1),
+            ']': () => selectFloorByOffset(1),
+            'PageDown': () => selectFloorByOffset(1),
+            'ArrowLeft': () => panBy(PAN_STEP, 0),
+            'ArrowRight': () => panBy(-PAN_STEP, 0),
+            'ArrowUp': () => panBy(0, PAN_STEP),
+            'ArrowDown': () => panBy(0, -PAN_STEP),
+            '+': () => zoomBy(ZOOM_STEP),
+            '=': () => zoomBy(ZOOM_STEP),
+            '-': () => zoomBy(1 / ZOOM_STEP),
+            '0': resetZoom
+        };
+
+        if (actions[event.key]) {
+            event.preventDefault();
+            actions[event.key]();
+        }
+    }
+
+    /**
+     * Start of live update functions - i.e. functions that keep the floorplan up to date while it's open.
+     */
+
+    // Only one floor is shown at a time, so we leave the room of the previous floor before joining the next one.
+    function subscribeToFloor(floor) {
+        if (currentFloor && socket.connected) {
+            socket.emit('floor:unsubscribe', currentFloor.id);
+        }
+
+        currentFloor = floor;
+
+        if (currentFloor && currentFloor.floorPlanUrl && socket.connected) {
+            socket.emit('floor:subscribe', currentFloor.id);
+        }
+    }
+
+    // The server sends every booking on the floor today whenever they change, so they only apply while today is
+    // selected. The event shape is documented in ./src/lib/FloorBookingsPoller.js.
+    function handleFloorBookings(event) {
+        if (!currentFloor || event.floorId !== currentFloor.id || datePicker.value !== getToday()) {
+            return;
+        }
+
+        setFloorBookings(event.bookings);
+    }
+
+    // The floor to select can be given, e.g. from a link, otherwise the first floor of the building is selected.
+    function handleBuildingChange(floorId) {
         const buildingSelector = document.getElementById('building');
         const buildingId = buildingSelector.value;
         const floors = buildings[buildingId].floors;
+        currentBuilding = buildings[buildingId];
         const floorSelector = document.getElementById('floor');
         floorSelector.innerHTML = '';
 
@@ -136,7 +1137,11 @@ window.addEventListener('load', async function () {
             floorSelector.appendChild(option);
         }
 
-        handleFloorChange();
+        if (floorId && floors.some((floor) => floor.id === floorId)) {
+            floorSelector.value = floorId;
+        }
+
+        return handleFloorChange();
     }
 
     function handleFloorChange() {
@@ -160,71 +1165,71 @@ window.addEventListener('load', async function () {
             throw new Error('Floor not found');
         }
 
-        populateFloorplan(floor);
+        return populateFloorplan(floor);
     }
 
     async function populateFloorplan(floor) {
         console.log('Populating floorplan: ', floor.name);
 
+        subscribeToFloor(floor);
+
         // If there is no floorplan URL, hide the floorplan and show an error message
         if (!floor || !floor.floorPlanUrl) {
+            clearSelection();
             showHideFloorplan(false);
             return;
         }
 
         // Show the loading spinner for the floorplan
         showHideFloorplanLoadingSpinner(true);
+        clearSelection();
+        floorNeighborhoods = null;
+        floorUtilisation = null;
 
-        // Hit the Kadence API, get the floorplan & booking information
+        // Hit the Kadence API, get the floorplan, space & booking information
         await Promise.all([
-            populateFloorplanSvg(floor.floorPlanUrl),
-            getBookingsForToday(floor.id)
+            populateFloorplanSvg(floor),
+            getBookingsForDate(floor.id, datePicker.value),
+            getSpacesOnFloor(floor.id)
         ])
-        .then(([svgElement, bookings]) => {
-            // Create a map of space ID to bookings, this will be used to determine the booking status of each space
-            let bookingSpaceMap = {};
-            bookings.forEach((booking) => {
-                const spaceId = booking.space.id;
-                if (!bookingSpaceMap[spaceId]) {
-                    bookingSpaceMap[spaceId] = []
-                }
-                bookingSpaceMap[spaceId].push(booking);
-            });
-            
-            // Get all the spaces in the floorplan and set their fill colour based on the booking status
-            const svgSpaces = svgElement.querySelectorAll('g[id^="space::"]');
-            for (const svgSpace of svgSpaces) {
-
-                // In the SVG the space ID is part of the ID attribute, this is the format:
-                // space::<space_type>::<spaceId>
-                const spaceId = svgSpace.id.split('::')[2];
-
-                // If the space is in the bookingSpaceMap then it is booked, otherwise it is available
-                if (bookingSpaceMap[spaceId]) {
-                    svgSpace.style.fill = COLOR_BOOKED;
-                } else {
-                    svgSpace.style.fill = COLOR_AVAILABLE;
-                }
-            }
-
+        .then(([, bookings, spaces]) => {
+            floorSpaces = spaces;
+            setFloorBookings(bookings);
             showHideFloorplan(true);
+
+            // The SVG has to be shown before we can measure it for the minimap
+            populateMinimap(getFloorplanSvg());
+
+            return refreshMode().catch(showErrorMessage);
         })
     }
 
-    async function populateFloorplanSvg(floorPlanUrl) {
-        // Get the floorplan SVG and insert it into the floorplan container
-        const svg = (await axios.get(floorPlanUrl)).data;
+    async function populateFloorplanSvg(floor) {
+        // Get the floorplan SVG and insert it into the floorplan container. Rather than downloading it from the
+        // floorPlanUrl ourselves we load it through the server, which removes anything from the SVG that could run in
+        // this page (e.g. scripts) and lets the browser cache it. See the "Floorplans" routes in ./src/index.js.
+        const svg = (await axios.get(`/api/floorplans/${floor.id}`, { responseType: 'text' })).data;
         const floorplanContainer = document.getElementById('floorplanContainer');
 
         floorplanContainer.innerHTML = svg;
 
         const svgElement = floorplanContainer.querySelector('svg');
         if (svgElement) {
-            // Set the SVG to preserve the aspect ratio and set the width to 100%
+            // Set the SVG to preserve the aspect ratio and fill the floorplan container, see main.css
+            // Pan and zoom works by changing the viewBox, so SVGs without one get one the size of the floorplan
+            if (!svgElement.getAttribute('viewBox')) {
+                svgElement.setAttribute('viewBox', `0 0 ${svgElement.width.baseVal.value} ${svgElement.height.baseVal.value}`);
+            }
+
+            // Set the SVG to preserve the aspect ratio and fill the floorplan container, see main.css
             svgElement.setAttribute('preserveAspectRatio', 'xMidYMid meet');
-            svgElement.style.width = '100%';
-            svgElement.style.height = 'auto';
-            svgElement.style.maxHeight = '600px';
+            svgElement.removeAttribute('width');
+            svgElement.removeAttribute('height');
+
+            // Remember the whole floorplan so that we can zoom back out to it
+            const box = svgElement.viewBox.baseVal;
+            initialViewBox = { x: box.x, y: box.y, width: box.width, height: box.height };
+            viewBox = initialViewBox;
         } else {
             throw new Error('No SVG element found');
         }
@@ -232,6 +1237,71 @@ window.addEventListener('load', async function () {
         return svgElement;
     }
 
+    //Register the listeners for the date picker and time slider, the date and time start at now in the first building
+    datePicker.addEventListener('change', handleDateChange);
+    timeSlider.addEventListener('input', colourSpaces);
+    playButton.addEventListener('click', toggleAnimation);
+
+    //Register the listeners for the colour modes, the heatmap defaults to the last 30 days
+    modeSelector.addEventListener('change', handleModeChange);
+    heatmapFrom.addEventListener('change', handleHeatmapRangeChange);
+    heatmapTo.addEventListener('change', handleHeatmapRangeChange);
+
+    //Register the listeners for the tooltip, the side panel and the search box
+    floorplanContainer.addEventListener('mouseover', (event) => {
+        const svgSpace = event.target.closest('g[id^="space::"]');
+        if (svgSpace) {
+            showTooltip(svgSpace, event);
+        }
+    });
+    floorplanContainer.addEventListener('mousemove', moveTooltip);
+    floorplanContainer.addEventListener('mouseout', (event) => {
+        if (!event.relatedTarget || !event.relatedTarget.closest('g[id^="space::"]')) {
+            hideTooltip();
+        }
+    });
+    floorplanContainer.addEventListener('click', (event) => {
+        const svgSpace = event.target.closest('g[id^="space::"]');
+
+        // The end of panning the floorplan isn't a click on a space
+        if (dragged) {
+            dragged = false;
+            return;
+        }
+
+        if (svgSpace) {
+            selectSpace(getSpaceIdFromElement(svgSpace));
+        }
+    });
+    document.getElementById('searchForm').addEventListener('submit', (event) => {
+        event.preventDefault();
+        handleSearch().catch((e) => console.error('Unable to search', e));
+    });
+    document.getElementById('resetZoom').addEventListener('click', () => {
+        resetZoom();
+        highlightSpace(null);
+        clearSelection();
+    });
+
+    //Register the listeners for panning and zooming, pointer events cover the mouse, touch and pens
+    floorplanContainer.addEventListener('pointerdown', handlePointerDown);
+    window.addEventListener('pointermove', handlePointerMove);
+    window.addEventListener('pointerup', handlePointerUp);
+    window.addEventListener('pointercancel', handlePointerUp);
+    floorplanContainer.addEventListener('wheel', handleWheel, { passive: false });
+    minimapContainer.addEventListener('click', handleMinimapClick);
+    document.getElementById('zoomIn').addEventListener('click', () => zoomBy(ZOOM_STEP));
+    document.getElementById('zoomOut').addEventListener('click', () => zoomBy(1 / ZOOM_STEP));
+    document.addEventListener('keydown', handleKeyDown);
+
+    //Register the live update listeners, we re-subscribe after reconnecting as the server forgets our subscriptions
+    socket.on('floor:bookings', handleFloorBookings);
+    socket.on('connect', () => {
+        if (currentFloor && currentFloor.floorPlanUrl) {
+            socket.emit('floor:subscribe', currentFloor.id);
+        }
+    });
+
     //Show the loading spinner
     showHideLoadingMainSpinner(true);
     
@@ -243,6 +1313,17 @@ window.addEventListener('load', async function () {
         throw new Error('No buildings found');
     }
 
+    //A link can choose the building, floor and space to start on, e.g. /floorplan?building=<id>&floor=<id>&space=<id>
+    const linkParams = new URLSearchParams(window.location.search);
+    const linkedBuildingId = buildings[linkParams.get('building')] ? linkParams.get('building') : null;
+
+    //Start on today's date in the building's time zone
+    currentBuilding = buildings[linkedBuildingId] || Object.values(buildings)[0];
+    datePicker.value = getToday();
+    resetTimeSlider();
+    heatmapTo.value = getToday();
+    heatmapFrom.value = luxon.DateTime.fromISO(getToday()).minus({ days: HEATMAP_DEFAULT_DAYS - 1 }).toISODate();
+
     //Get floor selector and register a selection change handler
     const floorSelector = document.getElementById('floor');
     floorSelector.addEventListener('change', handleFloorChange);
@@ -256,10 +1337,15 @@ window.addEventListener('load', async function () {
         option.textContent = building.name;
         buildingSelector.appendChild(option);
     }
-    handleBuildingChange(buildingSelector.value);
+    buildingSelector.value = currentBuilding.id;
+    handleBuildingChange(linkParams.get('floor')).then(() => {
+        if (linkParams.get('space')) {
+            selectSpace(linkParams.get('space'));
+        }
+    });
 
     //Set up a listener for when the building selector changes
-    buildingSelector.addEventListener('change', handleBuildingChange);
+    buildingSelector.addEventListener('change', () => handleBuildingChange());
     
     //Hide the loading spinner
     showHideLoadingMainSpinner(false);
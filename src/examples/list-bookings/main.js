@@ -14,23 +14,41 @@
 window.addEventListener('load', async function () {
 
     // These variables are used to cache responses from the Kadence API.
-    const bookings = [];
     const buildings = {};
     const users = {};
 
+    // The bookings for the table and the booking counts for the charts (see getBookingAnalytics below), for the filters.
+    let bookings = [];
+    let analytics = null;
+    let utilisation = null;
+    let bookingsTable = null;
+    let utilisationTable = null;
+
+    // Each time the filters change we load the bookings again. If they change again before the last load finishes,
+    // this lets us ignore the older results rather than showing them over the newer ones.
+    let latestRefresh = 0;
+
+    // The filters shown above the charts and kept in the URL, e.g. /list-bookings?from=2024-01-01&type=desk&status=booked.
+    // An empty value means any.
+    const FILTERS = ['from', 'to', 'type', 'buildingId', 'floorId', 'neighborhoodId', 'status', 'source'];
+    const DEFAULT_TYPE = 'desk';
+
+    // The occupancy chart gets busy with a line for every floor or neighborhood, so we only draw the busiest ones.
+    const MAX_OCCUPANCY_SERIES = 10;
+
+    function getDateToday() {
+        const today = new Date();
+        const year = today.getFullYear();
+        const month = String(today.getMonth() + 1).padStart(2, '0'); // Months are 0-indexed
+        const day = String(today.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+
     /**
      * Start of Kadence API helpers - i.e. functions that are used to retrieve data from the Kadence API
      */
 
-    async function getBookings() {
-        function getDateToday() {
-            const today = new Date();
-            const year = today.getFullYear();
-            const month = String(today.getMonth() + 1).padStart(2, '0'); // Months are 0-indexed
-            const day = String(today.getDate()).padStart(2, '0');
-            return `${year}-${month}-${day}`;
-        }
-
+    async function getBookings(filters) {
         /**
          * This is where we call the Kadence API to retrieve information about bookings. For the full API definition you
          * can refer to the following link:
@@ -39,16 +57,60 @@ window.addEventListener('load', async function () {
          *
          * To demonstrate filtering and sorting, this is what we're asking for in this API call:
          *
-         *  1. Limit response to 20 bookings.
+         *  1. Retrieve bookings in pages of 200.
          *  2. Order bookings by start date.
-         *  3. Only display bookings after today.
+         *  3. Only display bookings starting between the from and to dates. The local_after and local_before filters
+         *     compare against the time in each booking's building, so a day is the building's day wherever you are.
+         *  4. Only display bookings with one of the types, statuses and sources, and in the building, floor and
+         *     neighborhood chosen in the filters. Filters given as a list (e.g. type[]=desk&type[]=room) match any of
+         *     the values.
+         *
+         * You can change the data that's retrieved here to anything you'd like and in any combination. The API
+         * returns collections a page at a time, so we're using the proxy's 'all=true' mode which follows the
+         * pagination links for us and returns every booking rather than just the first page.
+         */
+        const bookingsResponse = await axios.get('/v1/public/bookings?' + KadenceQueryString.stringify({
+            all: true,
+            itemsPerPage: 200,
+            order: { startDateTime: 'asc' },
+            startDateTime: {
+                local_after: filters.from + 'T00:00:00Z',
+                local_before: filters.to ? filters.to + 'T23:59:59Z' : null
+            },
+            type: toList(filters.type),
+            buildingId: toList(filters.buildingId),
+            floorId: toList(filters.floorId),
+            neighborhoodId: toList(filters.neighborhoodId),
+            status: toList(filters.status),
+            source: toList(filters.source)
+        }));
+        return bookingsResponse.data['hydra:member'];
+    }
+
+    async function getBookingAnalytics(filters) {
+        /**
+         * This isn't part of the Kadence API. The charts need to count every booking, which could be thousands, so
+         * rather than downloading them all into the browser the server pages through them and sends us the counts by
+         * source, user, building, floor, type, status and day. See ./src/lib/BookingAnalytics.js.
          *
-         * You can change the data that's retrieved here to anything you'd like and in any combination. The API also
-         * supports paging, should you need to retrieve multiple batches of data.
+         * The server understands the same filters as the URL of this page, so the charts count the same bookings as
+         * the table below.
          */
-        const bookingsResponse = await axios.get('/v1/public/bookings?itemsPerPage=200&order[startDateTime]=asc&type=desk&startDateTime[after]=' + getDateToday() + 'T00:00:00Z');
-        bookings.push(...bookingsResponse.data['hydra:member']);
-        return bookings;
+        const analyticsResponse = await axios.get('/api/analytics/bookings?' + KadenceQueryString.stringify(filters));
+        return analyticsResponse.data;
+    }
+
+    async function getUtilisation(filters, groupBy) {
+        /**
+         * This isn't part of the Kadence API. The server works out how many of the bookings were checked in, no-shows
+         * or cancelled for each building, floor or neighborhood and day, from the status of each booking. See
+         * ./src/lib/BookingAnalytics.js.
+         */
+        const utilisationResponse = await axios.get('/api/analytics/utilisation?' + KadenceQueryString.stringify({
+            ...filters,
+            groupBy: groupBy
+        }));
+        return utilisationResponse.data;
     }
 
     async function getBuildings() {
@@ -77,9 +139,12 @@ window.addEventListener('load', async function () {
          *
          * https://api.kadence.co/#tag/User/operation/api_v1publicusers_get_collection
          *
-         * In this example, we're applying limits beyond the standard page size.
+         * In this example, we're requesting pages beyond the standard page size and retrieving every page.
          */
-        const usersResponse = await axios.get('/v1/public/users?itemsPerPage=100');
+        const usersResponse = await axios.get('/v1/public/users?' + KadenceQueryString.stringify({
+            all: true,
+            itemsPerPage: 100
+        }));
         const data = usersResponse.data['hydra:member'];
 
         data.forEach((user) => {
@@ -89,6 +154,28 @@ window.addEventListener('load', async function () {
         return users;
     }
 
+    async function getFloors(buildingId) {
+        /**
+         * This is where we call the Kadence API to retrieve the floors in a building. For the full API definition you
+         * can refer to the following link:
+         *
+         * https://api.kadence.co/#tag/Floor/operation/api_v1publicfloors_get_collection
+         */
+        const floorsResponse = await axios.get('/v1/public/floors?' + KadenceQueryString.stringify({ buildingId: buildingId }));
+        return floorsResponse.data['hydra:member'];
+    }
+
+    async function getNeighborhoods(floorId) {
+        /**
+         * This is where we call the Kadence API to retrieve the neighborhoods on a floor. For the full API definition
+         * you can refer to the following link:
+         *
+         * https://api.kadence.co/#tag/Neighborhood/operation/api_v1publicneighborhoods_get_collection
+         */
+        const neighborhoodsResponse = await axios.get('/v1/public/neighborhoods?' + KadenceQueryString.stringify({ floorId: floorId }));
+        return neighborhoodsResponse.data['hydra:member'];
+    }
+
     async function getBuilding(buildingUri) {
         if (!buildings[buildingUri]) {
             const buildingResponse = await axios.get(buildingUri);
@@ -128,112 +215,389 @@ window.addEventListener('load', async function () {
      */
 
     async function populateBookingSourceChart() {
-        let rawBookingSource = {
-            android: 0,
-            assigned_desk: 0,
-            calendar: 0,
-            ios: 0,
-            publicApi: 0,
-            web: 0,
-        };
-
-        bookings.forEach((booking) => {
-            let source = booking.source;
-
-            if (booking.permanent) {
-                source = 'assigned_desk'
-            }
-
-            if (!rawBookingSource[source]) {
-                rawBookingSource[source] = 0;
-            }
-
-            rawBookingSource[source]++;
-        });
-
         await createPieChart({
-            rawData: rawBookingSource,
+            ...toChartData(analytics.bySource),
             chartContainer: 'bookingSource',
             seriesLabel: 'Booking Source'
         });
     }
 
     async function populateUsersChart() {
-        let userCounts = {};
-
-        bookings.forEach((booking) => {
-            if (!userCounts[booking.userId]) {
-                userCounts[booking.userId] = 0;
-            }
-            userCounts[booking.userId]++;
-        });
-
         await createPieChart({
-            rawData: userCounts,
-            labelFunction: getUserName,
+            ...toChartData(analytics.byUser),
             chartContainer: 'bookingUsers',
             seriesLabel: 'User'
         });
     }
 
     async function populateBuildingChart() {
-        let buildingCounts = {};
-
-        bookings.forEach((booking) => {
-            if (!buildingCounts[booking.building]) {
-                buildingCounts[booking.building] = 0;
-            }
-            buildingCounts[booking.building]++;
-        });
-
         await createPieChart({
-            rawData: buildingCounts,
-            labelFunction: getBuildingName,
+            ...toChartData(analytics.byBuilding),
             chartContainer: 'bookingBuildings',
             seriesLabel: 'Buildings'
         });
     }
 
-    async function populateDeskBookingsTable() {
+    function populateUtilisationSummary() {
+        const total = utilisation.total;
+
+        document.getElementById('checkInRate').textContent = formatRate(total.checkInRate);
+        document.getElementById('noShowRate').textContent = formatRate(total.noShowRate);
+        document.getElementById('averageDuration').textContent = formatDuration(total.averageDuration);
+        document.getElementById('peakDay').textContent = total.peakDay
+            ? `${total.peakDay.date} (${total.peakDay.checkedIn} checked in)`
+            : '-';
+    }
+
+    function populateUtilisationByDayChart() {
+        const series = utilisation.total.series;
+
+        if (!series.length) {
+            document.getElementById('utilisationByDay').innerHTML = 'No bookings to display.';
+            return;
+        }
+
+        Highcharts.chart('utilisationByDay', {
+            chart: {
+                height: 300
+            },
+            title: {
+                text: ''
+            },
+            xAxis: {
+                categories: utilisation.days
+            },
+            yAxis: [{
+                title: { text: 'Bookings' },
+                allowDecimals: false
+            }, {
+                title: { text: 'Check-in rate' },
+                labels: { format: '{value}%' },
+                min: 0,
+                max: 100,
+                opposite: true
+            }],
+            plotOptions: {
+                column: {
+                    stacking: 'normal'
+                }
+            },
+            credits: {
+                enabled: false
+            },
+            series: [
+                { type: 'column', name: 'Checked in', data: series.map((day) => day.checkedIn) },
+                { type: 'column', name: 'No-shows', data: series.map((day) => day.noShows) },
+                { type: 'column', name: 'Cancelled', data: series.map((day) => day.cancelled) },
+                { type: 'column', name: 'Pending', data: series.map((day) => day.pending) },
+                {
+                    type: 'line',
+                    name: 'Check-in rate',
+                    yAxis: 1,
+                    data: series.map((day) => toPercentage(day.checkInRate)),
+                    tooltip: { valueSuffix: '%' }
+                }
+            ]
+        });
+    }
+
+    function populateOccupancyChart() {
+        const groups = utilisation.groups.filter((group) => group.capacity).slice(0, MAX_OCCUPANCY_SERIES);
+
+        if (!groups.length || !utilisation.days.length) {
+            document.getElementById('occupancyByDay').innerHTML = 'No bookings to display.';
+            return;
+        }
+
+        Highcharts.chart('occupancyByDay', {
+            chart: {
+                type: 'line',
+                height: 300
+            },
+            title: {
+                text: ''
+            },
+            xAxis: {
+                categories: utilisation.days
+            },
+            yAxis: {
+                title: { text: 'Occupancy' },
+                labels: { format: '{value}%' },
+                min: 0,
+                max: 100
+            },
+            tooltip: {
+                valueSuffix: '%'
+            },
+            credits: {
+                enabled: false
+            },
+            series: groups.map((group) => ({
+                name: group.label,
+                data: group.series.map((day) => toPercentage(day.occupancy))
+            }))
+        });
+    }
+
+    function populateUtilisationTable() {
+        if (utilisationTable) {
+            utilisationTable.destroy();
+            utilisationTable = null;
+        }
+
+        if (!utilisation.groups.length) {
+            document.getElementById('utilisationTable').innerHTML = '';
+            return;
+        }
+
+        document.getElementById('utilisationTable').innerHTML = '';
+
+        utilisationTable = new Tabulator('#utilisationTable', {
+            data: utilisation.groups.map((group) => ({
+                name: group.label,
+                bookings: group.bookings,
+                checkedIn: group.checkedIn,
+                noShows: group.noShows,
+                cancelled: group.cancelled,
+                checkInRate: formatRate(group.checkInRate),
+                noShowRate: formatRate(group.noShowRate),
+                averageDuration: formatDuration(group.averageDuration),
+                peakDay: group.peakDay ? group.peakDay.date : '-',
+                peakOccupancy: group.peakDay ? formatRate(group.peakDay.occupancy) : '-'
+            })),
+            layout: 'fitColumns',
+            columns: [
+                { title: 'Name', field: 'name' },
+                { title: 'Bookings', field: 'bookings' },
+                { title: 'Checked in', field: 'checkedIn' },
+                { title: 'No-shows', field: 'noShows' },
+                { title: 'Cancelled', field: 'cancelled' },
+                { title: 'Check-in rate', field: 'checkInRate' },
+                { title: 'No-show rate', field: 'noShowRate' },
+                { title: 'Average booking', field: 'averageDuration' },
+                { title: 'Peak day', field: 'peakDay' },
+                { title: 'Peak occupancy', field: 'peakOccupancy' }
+            ]
+        });
+    }
+
+    async function populateBookingsTable() {
         const data = [];
 
+        // Tabulator needs to be removed from the page before we replace it.
+        if (bookingsTable) {
+            bookingsTable.destroy();
+            bookingsTable = null;
+        }
+
         if (!bookings.length) {
             document.getElementById('bookingsTable').innerHTML = 'No bookings to display.';
             return;
         }
 
+        document.getElementById('bookingsTable').innerHTML = '';
+
         for (let i = 0; i < bookings.length; i++) {
             const booking = bookings[i];
             const date = new Date(booking.startDate);
 
             data.push({
                 name: await getUserName(booking.userId),
+                type: booking.type,
                 building: await getBuildingName(booking.building),
-                floor: booking.space.floor.name,
-                space: booking.space.name,
+                // Onsite bookings are for the building rather than a space.
+                floor: booking.space ? booking.space.floor.name : '',
+                space: booking.space ? booking.space.name : '',
+                status: booking.status,
                 date: date.getFullYear() + '-' + String(date.getMonth() + 1).padStart(2, '0') + '-' + String(date.getDate()).padStart(2, '0'),
                 time: date.getHours() + ':' + String(date.getMinutes()).padStart(2, '0')
             });
         }
 
-        new Tabulator("#bookingsTable", {
+        bookingsTable = new Tabulator("#bookingsTable", {
             data: data,
             layout: 'fitColumns',
             columns:[
                 { title: 'Name', field: 'name' },
+                { title: 'Type', field: 'type' },
                 { title: 'Building', field: 'building' },
                 { title: 'Floor', field: 'floor' },
                 { title: 'Space', field: 'space' },
+                { title: 'Status', field: 'status' },
                 { title: 'Date', field: 'date' },
                 { title: 'Time', field: 'time' }
             ]
         });
     }
 
+    /**
+     * Start of filter functions - i.e. functions used to choose which bookings are shown and keep them in the URL.
+     */
+
+    function getFilters() {
+        const filters = {};
+
+        FILTERS.forEach((name) => {
+            filters[name] = document.getElementById(name).value || null;
+        });
+
+        return filters;
+    }
+
+    // The URL always reflects the filters, so a view of the dashboard can be bookmarked or shared.
+    function updateUrl(filters) {
+        const query = KadenceQueryString.stringify({
+            ...filters,
+            groupBy: document.getElementById('groupBy').value
+        });
+        history.replaceState(null, '', `${window.location.pathname}${query ? '?' + query : ''}`);
+    }
+
+    // The exports aren't part of the Kadence API. The server streams every booking for the filters as a file, with the
+    // names of users, buildings and spaces filled in, or the utilisation report as shown in the table, see
+    // ./src/lib/BookingExport.js.
+    function updateExportLinks(filters) {
+        const query = KadenceQueryString.stringify(filters);
+        const utilisationQuery = KadenceQueryString.stringify({
+            ...filters,
+            groupBy: document.getElementById('groupBy').value
+        });
+
+        document.getElementById('exportCsv').href = '/api/export/bookings.csv?' + query;
+        document.getElementById('exportXlsx').href = '/api/export/bookings.xlsx?' + query;
+        document.getElementById('exportNdjson').href = '/api/export/bookings.ndjson?' + query;
+        document.getElementById('exportUtilisationCsv').href = '/api/export/utilisation.csv?' + utilisationQuery;
+        document.getElementById('exportUtilisationXlsx').href = '/api/export/utilisation.xlsx?' + utilisationQuery;
+    }
+
+    function populateSelector(selector, items, value) {
+        selector.innerHTML = '';
+        selector.appendChild(new Option('Any', ''));
+
+        items.forEach((item) => {
+            selector.appendChild(new Option(item.name, item.id));
+        });
+
+        selector.value = items.some((item) => item.id === value) ? value : '';
+        selector.disabled = !items.length;
+    }
+
+    function populateBuildingSelector(buildingId) {
+        populateSelector(document.getElementById('buildingId'), Object.values(buildings), buildingId);
+    }
+
+    // Floors are only listed once a building has been chosen, and neighborhoods once a floor has been chosen.
+    async function populateFloorSelector(floorId) {
+        const buildingId = document.getElementById('buildingId').value;
+        populateSelector(document.getElementById('floorId'), buildingId ? await getFloors(buildingId) : [], floorId);
+    }
+
+    async function populateNeighborhoodSelector(neighborhoodId) {
+        const floorId = document.getElementById('floorId').value;
+        populateSelector(document.getElementById('neighborhoodId'), floorId ? await getNeighborhoods(floorId) : [], neighborhoodId);
+    }
+
+    function showFiltersError(message) {
+        const filtersError = document.getElementById('filtersError');
+        filtersError.textContent = message;
+        filtersError.style.display = message ? '' : 'none';
+    }
+
+    // Loads the bookings and their counts for the filters, then draws the charts and the table again.
+    async function refresh() {
+        const filters = getFilters();
+        const refreshId = ++latestRefresh;
+        const applyButton = document.getElementById('applyFiltersButton');
+
+        updateUrl(filters);
+        updateExportLinks(filters);
+        showFiltersError(null);
+        applyButton.disabled = true;
+
+        try {
+            const [newAnalytics, newUtilisation, newBookings] = await Promise.all([
+                getBookingAnalytics(filters),
+                getUtilisation(filters, document.getElementById('groupBy').value),
+                getBookings(filters)
+            ]);
+
+            if (refreshId !== latestRefresh) {
+                return;
+            }
+
+            analytics = newAnalytics;
+            utilisation = newUtilisation;
+            bookings = newBookings;
+
+            populateUtilisationSummary();
+            populateUtilisationByDayChart();
+            populateOccupancyChart();
+            populateUtilisationTable();
+
+            await Promise.all([
+                populateBookingSourceChart(),
+                populateUsersChart(),
+                populateBuildingChart(),
+                populateBookingsTable()
+            ]);
+        } catch (e) {
+            // Invalid filters (e.g. a to date before the from date) are returned as problem details, see the error
+            // handler in ./src/index.js.
+            if (refreshId === latestRefresh) {
+                showFiltersError(e.response && e.response.data.detail ? e.response.data.detail : e.message);
+            }
+        } finally {
+            if (refreshId === latestRefresh) {
+                applyButton.disabled = false;
+            }
+        }
+    }
+
     /**
      * Start of UI utility functions - i.e. functions used by the population functions to maximise code reuse.
      */
 
+    // Rates from the server are between 0 and 1, or null when there's nothing to work them out from.
+    function toPercentage(rate) {
+        return rate === null ? null : Math.round(rate * 1000) / 10;
+    }
+
+    function formatRate(rate) {
+        return rate === null ? '-' : toPercentage(rate) + '%';
+    }
+
+    function formatDuration(minutes) {
+        if (minutes === null) {
+            return '-';
+        }
+
+        const rounded = Math.round(minutes);
+        const hours = Math.floor(rounded / 60);
+        return hours ? `${hours}h ${rounded % 60}m` : `${rounded}m`;
+    }
+
+    // A filter can be a comma separated list, e.g. type=desk,room, which is sent to the Kadence API as a list.
+    function toList(value) {
+        return value ? value.split(',') : null;
+    }
+
+    // The analytics endpoint returns [{ key, label, count }] for each chart, which we turn into the counts by key and a
+    // function to label each key that createPieChart() expects.
+    function toChartData(groups) {
+        const rawData = {};
+        const labels = {};
+
+        groups.forEach((group) => {
+            rawData[group.key] = group.count;
+            labels[group.key] = group.label;
+        });
+
+        return {
+            rawData: rawData,
+            labelFunction: (key) => labels[key]
+        };
+    }
+
     async function getPercentages(rawNumbers, labelFn) {
         const keys = Object.keys(rawNumbers);
         let total = 0;
@@ -257,6 +621,11 @@ window.addEventListener('load', async function () {
     }
 
     async function createPieChart(config) {
+        if (!Object.keys(config.rawData).length) {
+            document.getElementById(config.chartContainer).innerHTML = 'No bookings to display.';
+            return;
+        }
+
         const data = await getPercentages(config.rawData, config.labelFunction);
 
         Highcharts.chart(config.chartContainer, {
@@ -287,25 +656,53 @@ window.addEventListener('load', async function () {
     }
 
     /**
-     * This is the starting point. We do a batch of two things here:
+     * This is the starting point. We do a batch of three things here:
      *
-     *  1. We retrieve information back from the Kadence API.
-     *  2. We populate the widgets and tables with the data we've retrieved.
+     *  1. We set up the filters, starting with the ones in the URL (or desk bookings from today onwards).
+     *  2. We retrieve information back from the Kadence API.
+     *  3. We populate the widgets and tables with the data we've retrieved, and again whenever the filters change.
      */
 
-    // Hit the Kadence API and get booking, building and user information
+    const linkParams = new URLSearchParams(window.location.search);
+
+    // Hit the Kadence API and get building and user information
     await Promise.all([
-        getBookings(),
         getBuildings(),
         getUsers()
     ]);
 
-    // Using the data we've retrieved render widgets
-    await Promise.all([
-        populateBookingSourceChart(),
-        populateUsersChart(),
-        populateBuildingChart(),
-        populateDeskBookingsTable()
-    ]);
+    document.getElementById('from').value = linkParams.get('from') || getDateToday();
+    document.getElementById('to').value = linkParams.get('to') || '';
+    document.getElementById('type').value = linkParams.has('type') ? linkParams.get('type') : DEFAULT_TYPE;
+    document.getElementById('status').value = linkParams.get('status') || '';
+    document.getElementById('source').value = linkParams.get('source') || '';
+    document.getElementById('groupBy').value = linkParams.get('groupBy') || 'building';
+
+    populateBuildingSelector(linkParams.get('buildingId'));
+    await populateFloorSelector(linkParams.get('floorId'));
+    await populateNeighborhoodSelector(linkParams.get('neighborhoodId'));
+
+    document.getElementById('buildingId').addEventListener('change', async () => {
+        await populateFloorSelector(null);
+        await populateNeighborhoodSelector(null);
+    });
+    document.getElementById('floorId').addEventListener('change', () => populateNeighborhoodSelector(null));
+    document.getElementById('groupBy').addEventListener('change', () => refresh());
+
+    document.getElementById('filtersForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        refresh();
+    });
+    document.getElementById('resetFiltersButton').addEventListener('click', async () => {
+        document.getElementById('filtersForm').reset();
+        document.getElementById('from').value = getDateToday();
+        document.getElementById('type').value = DEFAULT_TYPE;
+        await populateFloorSelector(null);
+        await populateNeighborhoodSelector(null);
+        refresh();
+    });
+
+    // Using the filters, retrieve the bookings and render widgets
+    await refresh();
 
 });
\ No newline at end of file
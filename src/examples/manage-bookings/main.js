@@ -0,0 +1,372 @@
+/**
+ * This file contains all the logic we are using to create and manage bookings on behalf of a user. We look the user up
+ * by their email address, list their upcoming bookings with actions to cancel, reschedule or check out of them, and
+ * provide a form to create a new desk, room or onsite booking.
+ *
+ * We recommend that you hide all Kadence API calls in your chosen backend service. In this code sample
+ * we are deliberately exposing the direct Kadence API & responses to demonstrate how you can use the API without
+ * the addition of another abstraction layer making it harder.
+ *
+ * To get started building applications with this API we recommend the following resources:
+ *
+ *  1. Getting Started Guide (https://help.kadence.co/kb/guide/en/api-getting-started-developer-guide-yUYh7DBxBW/Steps/2372425)
+ *  2. API specification (https://api.kadence.co/)
+ */
+
+window.addEventListener('load', async function () {
+
+    // These variables are used to cache responses from the Kadence API.
+    const buildings = {};
+    let currentUser = null;
+
+    // UI Elements
+    const userContainer = document.getElementById('userContainer');
+    const bookingsTableBody = document.getElementById('bookingsTableBody');
+    const bookingTypeSelector = document.getElementById('bookingType');
+    const buildingSelector = document.getElementById('building');
+    const spaceSelector = document.getElementById('space');
+
+    /**
+     * Start of Kadence API helpers - i.e. functions that are used to retrieve data from and send data to the Kadence API
+     */
+
+    async function getBuildings() {
+        /**
+         * This is where we call the Kadence API to retrieve information about buildings. For the full API definition you
+         * can refer to the following link:
+         *
+         * https://api.kadence.co/#tag/Building/operation/api_v1publicbuildings_get_collection
+         */
+        const buildingsResponse = await axios.get('/v1/public/buildings?' + KadenceQueryString.stringify({ all: true }));
+        const data = buildingsResponse.data['hydra:member'];
+
+        data.forEach((building) => {
+            buildings[building['@id']] = building;
+        });
+
+        return buildings;
+    }
+
+    async function getSpaces(buildingId, type) {
+        /**
+         * This is where we call the Kadence API to retrieve the spaces of a given type in a building. For the full API
+         * definition you can refer to the following link:
+         *
+         * https://api.kadence.co/#tag/Space/operation/api_v1publicspaces_get_collection
+         */
+        const spacesResponse = await axios.get('/v1/public/spaces?' + KadenceQueryString.stringify({
+            all: true,
+            buildingId: buildingId,
+            type: type
+        }));
+        return spacesResponse.data['hydra:member'];
+    }
+
+    async function getUserByEmailAddress(emailAddress) {
+        const userResponse = await axios.get('/v1/public/users?' + KadenceQueryString.stringify({
+            email: emailAddress
+        }));
+        const data = userResponse.data;
+
+        if (data['hydra:member'].length) {
+            return data['hydra:member'][0];
+        }
+
+        return null;
+    }
+
+    async function getUpcomingBookings(userId) {
+        /**
+         * Here we're retrieving all of the user's bookings that haven't ended yet, earliest first. For more information
+         * on other properties you can search by please see:
+         *
+         * https://api.kadence.co/#tag/Booking/operation/api_v1publicusers_idbookings_get_collection
+         */
+        const bookingResponse = await axios.get(`/v1/public/users/${userId}/bookings?` + KadenceQueryString.stringify({
+            all: true,
+            order: { startDateTime: 'asc' },
+            endDateTime: { after: luxon.DateTime.utc() }
+        }));
+        return bookingResponse.data['hydra:member'];
+    }
+
+    async function createBooking(booking) {
+        /**
+         * Here we're creating a booking for the user. Desk and room bookings need a space, onsite bookings need a
+         * building. The start and end are sent as ISO 8601 dates in UTC. For more information please see:
+         *
+         * https://api.kadence.co/#tag/Booking/operation/api_v1publicbookings_post
+         */
+        const bookingResponse = await axios.post('/v1/public/bookings', booking);
+        return bookingResponse.data;
+    }
+
+    async function updateBooking(bookingId, changes) {
+        /**
+         * Only the space, start and end of a booking can be changed, and only while it hasn't been checked in to yet.
+         *
+         * https://api.kadence.co/#tag/Booking/operation/api_v1publicbookings_id_patch
+         */
+        const bookingResponse = await axios.patch(`/v1/public/bookings/${bookingId}`, changes);
+        return bookingResponse.data;
+    }
+
+    async function cancelBooking(bookingId) {
+        // https://api.kadence.co/#tag/Booking/operation/api_v1publicbookings_idcancel_post
+        const bookingResponse = await axios.post(`/v1/public/bookings/${bookingId}/cancel`, {});
+        return bookingResponse.data;
+    }
+
+    async function checkOutBooking(bookingId) {
+        // https://api.kadence.co/#tag/Booking/operation/api_v1publicbookings_idcheck-out_post
+        const bookingResponse = await axios.post(`/v1/public/bookings/${bookingId}/check-out`, {
+            userId: currentUser.id
+        });
+        return bookingResponse.data;
+    }
+
+    /**
+     * Start of UI utility functions - i.e. functions used the core UI of the application.
+     */
+
+    function showSuccessMessage(message) {
+        Swal.fire({
+            icon: 'success',
+            title: 'Success',
+            width: 600,
+            html: message
+        });
+    }
+
+    function escapeHtml(text) {
+        const element = document.createElement('div');
+        element.textContent = text;
+        return element.innerHTML;
+    }
+
+    // Errors from the server are returned as problem details, see the error handler in ./src/index.js. Validation
+    // errors also list the fields that were invalid. The messages can include what was typed in (e.g. the email
+    // address), so each one is escaped.
+    function showErrorMessage(e) {
+        let messages = [e.message];
+
+        if (e.response && e.response.data) {
+            const problem = e.response.data;
+            messages = [problem.detail];
+
+            if (problem.violations && problem.violations.length) {
+                messages = problem.violations.map((violation) => `${violation.propertyPath}: ${violation.message}`);
+            }
+        }
+
+        Swal.fire({
+            icon: 'error',
+            title: 'Error',
+            width: 600,
+            html: messages.map(escapeHtml).join('<br />')
+        });
+    }
+
+    function getBuildingForBooking(booking) {
+        return buildings[booking.building] || { name: 'Unknown', timeZone: 'UTC' };
+    }
+
+    function formatBookingTime(booking) {
+        const building = getBuildingForBooking(booking);
+        const start = luxon.DateTime.fromISO(booking.startDate).setZone(building.timeZone);
+        const end = luxon.DateTime.fromISO(booking.endDate).setZone(building.timeZone);
+        return `${start.toFormat('ccc d LLL, HH:mm')} - ${end.toFormat('HH:mm')}`;
+    }
+
+    function createActionButton(label, className, action) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `btn btn-sm ${className} ms-2`;
+        button.textContent = label;
+        button.addEventListener('click', async () => {
+            try {
+                await action();
+            } catch (e) {
+                showErrorMessage(e);
+            }
+        });
+        return button;
+    }
+
+    async function populateBookingsTable() {
+        const bookings = await getUpcomingBookings(currentUser.id);
+        bookingsTableBody.innerHTML = '';
+
+        if (!bookings.length) {
+            bookingsTableBody.innerHTML = '<tr><td colspan="5">This user has no upcoming bookings.</td></tr>';
+            return;
+        }
+
+        for (const booking of bookings) {
+            const building = getBuildingForBooking(booking);
+            const row = document.createElement('tr');
+            const actions = document.createElement('td');
+
+            [
+                booking.type,
+                booking.space ? `${building.name} - ${booking.space.floor.name} - ${booking.space.name}` : building.name,
+                formatBookingTime(booking),
+                booking.status
+            ].forEach((value) => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+
+            // Which actions are available depends on the status of the booking.
+            if (booking.status === 'booked') {
+                actions.appendChild(createActionButton('Change time', 'btn-outline-primary', () => rescheduleBooking(booking)));
+                actions.appendChild(createActionButton('Cancel', 'btn-outline-danger', async () => {
+                    await cancelBooking(booking.id);
+                    showSuccessMessage('The booking has been cancelled.');
+                    await populateBookingsTable();
+                }));
+            }
+
+            if (booking.status === 'checkedIn') {
+                actions.appendChild(createActionButton('Check out', 'btn-outline-primary', async () => {
+                    await checkOutBooking(booking.id);
+                    showSuccessMessage('The user has been checked out of their booking.');
+                    await populateBookingsTable();
+                }));
+            }
+
+            row.appendChild(actions);
+            bookingsTableBody.appendChild(row);
+        }
+    }
+
+    async function rescheduleBooking(booking) {
+        const building = getBuildingForBooking(booking);
+        const start = luxon.DateTime.fromISO(booking.startDate).setZone(building.timeZone);
+        const end = luxon.DateTime.fromISO(booking.endDate).setZone(building.timeZone);
+
+        const result = await Swal.fire({
+            title: 'Change time',
+            html: `<input type="time" id="rescheduleStart" class="form-control mt-3" value="${start.toFormat('HH:mm')}">` +
+                `<input type="time" id="rescheduleEnd" class="form-control mt-3" value="${end.toFormat('HH:mm')}">`,
+            showCancelButton: true,
+            preConfirm: () => ({
+                start: document.getElementById('rescheduleStart').value,
+                end: document.getElementById('rescheduleEnd').value
+            })
+        });
+
+        if (!result.isConfirmed) {
+            return;
+        }
+
+        // The times are entered in the building's time zone, so we convert them to UTC for the API.
+        const date = start.toFormat('yyyy-MM-dd');
+        await updateBooking(booking.id, {
+            startDateTime: toUtcDateTime(date, result.value.start, building.timeZone),
+            endDateTime: toUtcDateTime(date, result.value.end, building.timeZone)
+        });
+
+        showSuccessMessage('The booking has been updated.');
+        await populateBookingsTable();
+    }
+
+    function toUtcDateTime(date, time, timeZone) {
+        return luxon.DateTime.fromISO(`${date}T${time}`, { zone: timeZone }).toUTC().toISO();
+    }
+
+    async function populateSpaceSelector() {
+        const type = bookingTypeSelector.value;
+        const building = buildings[buildingSelector.value];
+
+        spaceSelector.innerHTML = '';
+        spaceSelector.disabled = type === 'onsite';
+
+        if (type === 'onsite') {
+            return;
+        }
+
+        const spaces = await getSpaces(building.id, type);
+
+        for (const space of spaces) {
+            const option = document.createElement('option');
+            option.value = space.id;
+            option.textContent = space.name;
+            spaceSelector.appendChild(option);
+        }
+    }
+
+    /**
+     * Start application code - this will register the listeners for finding a user and creating a booking.
+     */
+
+    await getBuildings();
+
+    for (const buildingUri in buildings) {
+        const option = document.createElement('option');
+        option.value = buildingUri;
+        option.textContent = buildings[buildingUri].name;
+        buildingSelector.appendChild(option);
+    }
+
+    document.getElementById('bookingDate').value = luxon.DateTime.local().toFormat('yyyy-MM-dd');
+    bookingTypeSelector.addEventListener('change', populateSpaceSelector);
+    buildingSelector.addEventListener('change', populateSpaceSelector);
+    await populateSpaceSelector();
+
+    document.querySelector('#userForm')
+        .addEventListener('submit', async function (e) {
+            e.preventDefault();
+
+            const EMAIL_ADDRESS = document.querySelector('#emailAddress').value;
+
+            if (!EMAIL_ADDRESS) {
+                showErrorMessage(new Error('Please enter an email address.'));
+                return;
+            }
+
+            currentUser = await getUserByEmailAddress(EMAIL_ADDRESS);
+
+            if (!currentUser) {
+                userContainer.style.display = 'none';
+                showErrorMessage(new Error(`Unable to find user with email address ${EMAIL_ADDRESS}`));
+                return;
+            }
+
+            document.getElementById('userName').textContent = `${currentUser.firstName} ${currentUser.lastName}`;
+            userContainer.style.display = 'block';
+            await populateBookingsTable();
+        });
+
+    document.querySelector('#bookingForm')
+        .addEventListener('submit', async function (e) {
+            e.preventDefault();
+
+            const building = buildings[buildingSelector.value];
+            const type = bookingTypeSelector.value;
+            const date = document.getElementById('bookingDate').value;
+
+            const booking = {
+                userId: currentUser.id,
+                type: type,
+                startDateTime: toUtcDateTime(date, document.getElementById('startTime').value, building.timeZone),
+                endDateTime: toUtcDateTime(date, document.getElementById('endTime').value, building.timeZone)
+            };
+
+            // Onsite bookings are for the whole building, desk and room bookings are for a specific space.
+            if (type === 'onsite') {
+                booking.buildingId = building.id;
+            } else {
+                booking.spaceId = spaceSelector.value;
+            }
+
+            try {
+                await createBooking(booking);
+                showSuccessMessage('The booking has been created.');
+                await populateBookingsTable();
+            } catch (e) {
+                showErrorMessage(e);
+            }
+        });
+});
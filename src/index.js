@@ -1,14 +1,59 @@
 const express = require('express');
+const fs = require('fs');
+const http = require('http');
 const path = require('path');
 const bodyParser  = require('body-parser');
+const { Server } = require('socket.io');
 
 const app = express();
+const server = http.createServer(app);
+const io = new Server(server);
 const START_PORT = 3000;
+const MAX_ALL_CONCURRENCY = 4;
 
 const KADENCE_API_IDENTIFIER = process.env.KADENCE_API_KEY_IDENTIFIER;
 const KADENCE_API_SECRET = process.env.KADENCE_API_KEY_SECRET;
+const KADENCE_AUTH_BASE_URL = process.env.KADENCE_AUTH_BASE_URL;
+const KADENCE_API_BASE_URL = process.env.KADENCE_API_BASE_URL;
+const KADENCE_FLOORPLAN_POLL_INTERVAL = parseInt(process.env.KADENCE_FLOORPLAN_POLL_INTERVAL, 10);
+const KADENCE_CACHE = process.env.KADENCE_CACHE !== 'false';
+const KADENCE_CACHE_FILE = process.env.KADENCE_CACHE_FILE;
+const KADENCE_MIRROR_READS = process.env.KADENCE_MIRROR_READS === 'true';
+const KADENCE_MIRROR_FILE = process.env.KADENCE_MIRROR_FILE;
+const KADENCE_MIRROR_MAX_AGE = parseInt(process.env.KADENCE_MIRROR_MAX_AGE, 10);
+const KADENCE_CHECK_IN_ALLOW_ROOMS = process.env.KADENCE_CHECK_IN_ALLOW_ROOMS === 'true';
+const KADENCE_CHECK_IN_GRACE_BEFORE = process.env.KADENCE_CHECK_IN_GRACE_BEFORE;
+const KADENCE_CHECK_IN_GRACE_AFTER = process.env.KADENCE_CHECK_IN_GRACE_AFTER;
+const KADENCE_WEBHOOK_SECRET = process.env.KADENCE_WEBHOOK_SECRET;
+const KADENCE_WEBHOOK_TOLERANCE = process.env.KADENCE_WEBHOOK_TOLERANCE;
+const KADENCE_WEBHOOK_DEDUPLICATION_WINDOW = process.env.KADENCE_WEBHOOK_DEDUPLICATION_WINDOW;
+const KADENCE_WEBHOOK_IDENTITIES = process.env.KADENCE_WEBHOOK_IDENTITIES;
 const Kadence = require('./lib/Kadence');
-const kadence = new Kadence(KADENCE_API_IDENTIFIER, KADENCE_API_SECRET);
+const FloorBookingsPoller = require('./lib/FloorBookingsPoller');
+const FloorPlanCache = require('./lib/FloorPlanCache');
+const CheckInService = require('./lib/CheckInService');
+const BulkCheckIn = require('./lib/BulkCheckIn');
+const WebhookReceiver = require('./lib/WebhookReceiver');
+const BookingAnalytics = require('./lib/BookingAnalytics');
+const BookingExport = require('./lib/BookingExport');
+const KadenceMirror = require('./lib/KadenceMirror');
+const { parseCsv } = require('./lib/csv');
+const { KadenceError, KadenceNetworkError, KadenceNotFoundError, KadenceRateLimitError, KadenceValidationError } = require('./lib/errors');
+const kadence = new Kadence(KADENCE_API_IDENTIFIER, KADENCE_API_SECRET, {
+    authBaseUrl: KADENCE_AUTH_BASE_URL,
+    apiBaseUrl: KADENCE_API_BASE_URL,
+    cache: KADENCE_CACHE && { file: KADENCE_CACHE_FILE }
+});
+
+// The reports (analytics and exports) can read from the local copy kept up to date by `npm run sync` instead, see
+// KadenceMirror.js. Everything else, like checking in and the live floorplan, needs bookings as soon as they're made,
+// so it always uses the client above.
+const reportingKadence = KADENCE_MIRROR_READS ? new Kadence(KADENCE_API_IDENTIFIER, KADENCE_API_SECRET, {
+    authBaseUrl: KADENCE_AUTH_BASE_URL,
+    apiBaseUrl: KADENCE_API_BASE_URL,
+    cache: KADENCE_CACHE,
+    mirror: new KadenceMirror(KADENCE_MIRROR_FILE, { maxAge: KADENCE_MIRROR_MAX_AGE })
+}) : kadence;
 
 /**
  * Check to ensure that the API key and secret are set in the environment variables. If they are not set, we're
@@ -20,9 +65,13 @@ if (!KADENCE_API_IDENTIFIER || !KADENCE_API_SECRET) {
     throw new Error('KADENCE_API_KEY_IDENTIFIER or KADENCE_API_KEY_SECRET is not set. Please set up it up in your environment variables. See https://help.kadence.co/kb/guide/en/how-to-create-an-api-key-Wzt5dE1Kbe/Steps/2372427 for creating an API key.');
 }
 
-// Set up the body parser to parse JSON and URL encoded data
-app.use(bodyParser.urlencoded({ extended: true }));
-app.use(bodyParser.json());
+// Set up the body parser to parse JSON and URL encoded data. The raw body is kept as well, webhook signatures are
+// computed over the body exactly as it was sent.
+const keepRawBody = (req, res, buffer) => {
+    req.rawBody = buffer;
+};
+app.use(bodyParser.urlencoded({ extended: true, verify: keepRawBody }));
+app.use(bodyParser.json({ verify: keepRawBody }));
 
 /**
  * Routes - Static Routes for Examples
@@ -32,9 +81,11 @@ app.use(bodyParser.json());
  */
 
 app.use('/', express.static(path.join(__dirname, 'home')));
+app.use('/shared', express.static(path.join(__dirname, 'shared')));
 app.use('/list-bookings', express.static(path.join(__dirname, 'examples/list-bookings')));
 app.use('/check-in', express.static(path.join(__dirname, 'examples/check-in')));
 app.use('/floorplan', express.static(path.join(__dirname, 'examples/floorplan')));
+app.use('/manage-bookings', express.static(path.join(__dirname, 'examples/manage-bookings')));
 
 /**
  * Routes - Public API Routes
@@ -42,112 +93,642 @@ app.use('/floorplan', express.static(path.join(__dirname, 'examples/floorplan'))
  * These routes directly mirror the routes available in the public API. We're doing this to make it easier to see
  * how the public API works in the web page examples. In your own application, we recommend abstracting calls to the
  * Kadence API in a backend service that limits access to the API key and secret & full access to the API.
+ *
+ * Collection routes also support an opt-in `?all=true` mode. Rather than returning a single page, the proxy follows
+ * the pagination links of the collection and returns every item in one response. The optional `maxItems` and
+ * `concurrency` parameters cap the number of items returned and how many pages are requested at the same time (at most
+ * MAX_ALL_CONCURRENCY, so a single request can't fan out to every page of a large collection at once).
+ *
+ * Buildings, floors, neighborhoods and spaces rarely change, so they're cached by the Kadence client (see
+ * ./lib/ResponseCache.js). Their responses have an X-Cache header saying whether they came from the cache (HIT, or
+ * STALE while a fresh copy is fetched in the background) or from the Kadence API (MISS), and an Age header with the
+ * number of seconds since they were fetched from the API.
  */
 
-app.get('/v1/public/bookings', bodyParser.json(), async (req, res) => {
+// Express 4 doesn't handle rejected promises from async route handlers, so we pass any error on to Express ourselves.
+function asyncHandler(handler) {
+    return (req, res, next) => {
+        handler(req, res, next).catch(next);
+    };
+}
+
+function setCacheHeaders(res, response) {
+    if (response.cache) {
+        res.setHeader('X-Cache', response.cache.status);
+        res.setHeader('Age', String(response.cache.age));
+    }
+}
+
+function isAllRequested(req) {
+    return req.query.all === 'true' || req.query.all === '1';
+}
+
+async function sendAllItems(req, res, getAll) {
+    const { all, maxItems, concurrency, ...params } = req.query;
+
+    const items = await getAll(params, {
+        maxItems: parseInt(maxItems, 10),
+        concurrency: Math.min(MAX_ALL_CONCURRENCY, parseInt(concurrency, 10) || 1)
+    });
+
+    res.setHeader('Content-Type', 'application/ld+json');
+    res.status(200);
+    res.send(JSON.stringify({
+        '@id': req.path,
+        '@type': 'hydra:Collection',
+        'hydra:member': items,
+        'hydra:totalItems': items.length
+    }));
+}
+
+app.get('/v1/public/bookings', bodyParser.json(), asyncHandler(async (req, res) => {
+    if (isAllRequested(req)) {
+        return sendAllItems(req, res, (params, options) => kadence.getAllBookings(params, options));
+    }
+
     const bookings = await kadence.getBookings(req.query);
     res.setHeader('Content-Type', 'application/ld+json');
     res.status(bookings.status);
     res.send(JSON.stringify(bookings.data));
-});
+}));
 
-app.get('/v1/public/bookings/:bookingId', async (req, res) => {
+app.get('/v1/public/bookings/:bookingId', asyncHandler(async (req, res) => {
     const bookingId = req.params.bookingId;
     const user = await kadence.getBooking(bookingId, req.query);
     res.setHeader('Content-Type', 'application/ld+json');
     res.status(user.status);
     res.send(JSON.stringify(user.data));
-});
+}));
+
+app.post('/v1/public/bookings', asyncHandler(async (req, res) => {
+    const booking = await kadence.createBooking(req.query, req.body);
+    res.setHeader('Content-Type', 'application/ld+json');
+    res.status(booking.status);
+    res.send(JSON.stringify(booking.data));
+}));
+
+app.patch('/v1/public/bookings/:bookingId', asyncHandler(async (req, res) => {
+    const bookingId = req.params.bookingId;
+    const booking = await kadence.updateBooking(bookingId, req.query, req.body);
+    res.setHeader('Content-Type', 'application/ld+json');
+    res.status(booking.status);
+    res.send(JSON.stringify(booking.data));
+}));
+
+app.post('/v1/public/bookings/:bookingId/cancel', asyncHandler(async (req, res) => {
+    const bookingId = req.params.bookingId;
+    const cancel = await kadence.cancelBooking(bookingId, req.query, req.body);
+    res.setHeader('Content-Type', 'application/ld+json');
+    res.status(cancel.status);
+    res.send(JSON.stringify(cancel.data));
+}));
 
-app.post('/v1/public/bookings/:bookingId/check-in', async (req, res) => {
+app.post('/v1/public/bookings/:bookingId/check-in', asyncHandler(async (req, res) => {
     const bookingId = req.params.bookingId;
     const checkIn = await kadence.checkIn(bookingId, req.query, req.body);
     res.setHeader('Content-Type', 'application/ld+json');
     res.status(checkIn.status);
     res.send(JSON.stringify(checkIn.data));
-});
+}));
+
+app.post('/v1/public/bookings/:bookingId/check-out', asyncHandler(async (req, res) => {
+    const bookingId = req.params.bookingId;
+    const checkOut = await kadence.checkOut(bookingId, req.query, req.body);
+    res.setHeader('Content-Type', 'application/ld+json');
+    res.status(checkOut.status);
+    res.send(JSON.stringify(checkOut.data));
+}));
+
+app.get('/v1/public/users', asyncHandler(async (req, res) => {
+    if (isAllRequested(req)) {
+        return sendAllItems(req, res, (params, options) => kadence.getAllUsers(params, options));
+    }
 
-app.get('/v1/public/users', async (req, res) => {
     const users = await kadence.getUsers(req.query);
     res.setHeader('Content-Type', 'application/ld+json');
     res.status(users.status);
     res.send(JSON.stringify(users.data));
-});
+}));
 
-app.get('/v1/public/users/:userId', async (req, res) => {
+app.get('/v1/public/users/:userId', asyncHandler(async (req, res) => {
     const userId = req.params.userId;
     const user = await kadence.getUser(userId, req.query);
     res.setHeader('Content-Type', 'application/ld+json');
     res.status(user.status);
     res.send(JSON.stringify(user.data));
-});
+}));
+
+app.get('/v1/public/users/:userId/bookings', asyncHandler(async (req, res) => {
+    if (isAllRequested(req)) {
+        return sendAllItems(req, res, (params, options) => kadence.getAllUserBookings(req.params.userId, params, options));
+    }
 
-app.get('/v1/public/users/:userId/bookings', async (req, res) => {
     const userId = req.params.userId;
     const user = await kadence.getUserBookings(userId, req.query);
     res.setHeader('Content-Type', 'application/ld+json');
     res.status(user.status);
     res.send(JSON.stringify(user.data));
-});
+}));
+
+app.get('/v1/public/buildings/', asyncHandler(async (req, res) => {
+    if (isAllRequested(req)) {
+        return sendAllItems(req, res, (params, options) => kadence.getAllBuildings(params, options));
+    }
 
-app.get('/v1/public/buildings/', async (req, res) => {
     const buildings = await kadence.getBuildings(req.query);
     res.setHeader('Content-Type', 'application/ld+json');
+    setCacheHeaders(res, buildings);
     res.status(buildings.status);
     res.send(JSON.stringify(buildings.data));
-});
+}));
 
-app.get('/v1/public/buildings/:buildingId', async (req, res) => {
+app.get('/v1/public/buildings/:buildingId', asyncHandler(async (req, res) => {
     const buildingId = req.params.buildingId;
     const building = await kadence.getBuilding(buildingId, req.query);
     res.setHeader('Content-Type', 'application/ld+json');
+    setCacheHeaders(res, building);
     res.status(building.status);
     res.send(JSON.stringify(building.data));
-});
+}));
+
+app.get('/v1/public/floors/', asyncHandler(async (req, res) => {
+    if (isAllRequested(req)) {
+        return sendAllItems(req, res, (params, options) => kadence.getAllFloors(params, options));
+    }
 
-app.get('/v1/public/floors/', async (req, res) => {
     const floors = await kadence.getFloors(req.query);
     res.setHeader('Content-Type', 'application/ld+json');
+    setCacheHeaders(res, floors);
     res.status(floors.status);
     res.send(JSON.stringify(floors.data));
-});
+}));
 
-app.get('/v1/public/floors/:floorId', async (req, res) => {
+app.get('/v1/public/floors/:floorId', asyncHandler(async (req, res) => {
     const floorId = req.params.floorId;
     const floor = await kadence.getFloor(floorId, req.query);
     res.setHeader('Content-Type', 'application/ld+json');
+    setCacheHeaders(res, floor);
     res.status(floor.status);
     res.send(JSON.stringify(floor.data));
-});
+}));
+
+app.get('/v1/public/neighborhoods/', asyncHandler(async (req, res) => {
+    if (isAllRequested(req)) {
+        return sendAllItems(req, res, (params, options) => kadence.getAllNeighborhoods(params, options));
+    }
 
-app.get('/v1/public/neighborhoods/', async (req, res) => {
     const neighborhoods = await kadence.getNeighborhoods(req.query);
     res.setHeader('Content-Type', 'application/ld+json');
+    setCacheHeaders(res, neighborhoods);
     res.status(neighborhoods.status);
     res.send(JSON.stringify(neighborhoods.data));
-});
+}));
 
-app.get('/v1/public/neighborhoods/:neighborhoodId', async (req, res) => {
+app.get('/v1/public/neighborhoods/:neighborhoodId', asyncHandler(async (req, res) => {
     const neighborhoodId = req.params.neighborhoodId;
     const neighborhood = await kadence.getNeighborhood(neighborhoodId, req.query);
     res.setHeader('Content-Type', 'application/ld+json');
+    setCacheHeaders(res, neighborhood);
     res.status(neighborhood.status);
     res.send(JSON.stringify(neighborhood.data));
-});
+}));
+
+app.get('/v1/public/spaces/', asyncHandler(async (req, res) => {
+    if (isAllRequested(req)) {
+        return sendAllItems(req, res, (params, options) => kadence.getAllSpaces(params, options));
+    }
 
-app.get('/v1/public/spaces/', async (req, res) => {
     const spaces = await kadence.getSpaces(req.query);
     res.setHeader('Content-Type', 'application/ld+json');
+    setCacheHeaders(res, spaces);
     res.status(spaces.status);
     res.send(JSON.stringify(spaces.data));
-});
+}));
 
-app.get('/v1/public/spaces/:spaceId', async (req, res) => {
+app.get('/v1/public/spaces/:spaceId', asyncHandler(async (req, res) => {
     const spaceId = req.params.spaceId;
     const space = await kadence.getSpace(spaceId, req.query);
     res.setHeader('Content-Type', 'application/ld+json');
+    setCacheHeaders(res, space);
     res.status(space.status);
     res.send(JSON.stringify(space.data));
+}));
+
+/**
+ * Routes - Floorplans
+ *
+ * Floorplan SVGs are downloaded and sanitised by the server before they're shown, see ./lib/FloorPlanCache.js and
+ * ./lib/svgSanitizer.js. Responses have an ETag, so the browser can re-use its copy of a floorplan when switching back
+ * to a floor it has already shown.
+ */
+
+const floorPlanCache = new FloorPlanCache(kadence);
+
+app.get('/api/floorplans/:floorId', asyncHandler(async (req, res) => {
+    const floorPlan = await floorPlanCache.get(req.params.floorId);
+
+    // no-cache means the browser checks the ETag with us each time rather than not caching the floorplan at all.
+    res.setHeader('ETag', floorPlan.etag);
+    res.setHeader('Cache-Control', 'private, no-cache');
+
+    if (req.headers['if-none-match'] === floorPlan.etag) {
+        res.status(304).end();
+        return;
+    }
+
+    // The SVG is already sanitised, but in case it's opened directly we don't let it run or load anything either.
+    res.setHeader('Content-Type', 'image/svg+xml; charset=utf-8');
+    res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; img-src data:");
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.status(200);
+    res.send(floorPlan.svg);
+}));
+
+/**
+ * Routes - Cache
+ *
+ * Removes cached responses, e.g. after changing a building in Kadence, so the next request fetches it from the API
+ * again. Send { "resource": "buildings" } to only remove one kind of resource (buildings, floors, neighborhoods or
+ * spaces), or an empty body to remove everything. Invalidating floors also removes the cached floorplans.
+ *
+ * In your own application you would limit who can do this.
+ */
+
+app.post('/api/cache/invalidate', asyncHandler(async (req, res) => {
+    const resource = (req.body && req.body.resource) || req.query.resource || null;
+    const invalidated = kadence.invalidateCache(resource);
+
+    if (!resource || resource === 'floors') {
+        floorPlanCache.invalidate();
+    }
+
+    res.setHeader('Content-Type', 'application/json');
+    res.status(200);
+    res.send(JSON.stringify({
+        resource: resource,
+        invalidated: invalidated
+    }));
+}));
+
+/**
+ * Routes - Analytics
+ *
+ * Counts bookings by source, user, building, floor, type, status and day, and reports how many of them were used, for
+ * the charts in the list-bookings example, see ./lib/BookingAnalytics.js. Bookings are filtered with the query string,
+ * e.g. /api/analytics/bookings?from=2024-01-01&to=2024-01-31&type=desk (see ./lib/bookingFilters.js for every filter).
+ */
+
+const bookingAnalytics = new BookingAnalytics(reportingKadence);
+
+app.get('/api/analytics/bookings', asyncHandler(async (req, res) => {
+    const counts = await bookingAnalytics.getBookingCounts(req.query);
+
+    res.setHeader('Content-Type', 'application/json');
+    res.status(200);
+    res.send(JSON.stringify(counts));
+}));
+
+// How many bookings were checked in, no-shows or cancelled, per building, floor or neighborhood and day, e.g.
+// /api/analytics/utilisation?from=2024-01-01&to=2024-01-31&type=desk&groupBy=floor
+app.get('/api/analytics/utilisation', asyncHandler(async (req, res) => {
+    const utilisation = await bookingAnalytics.getUtilisation(req.query);
+
+    res.setHeader('Content-Type', 'application/json');
+    res.status(200);
+    res.send(JSON.stringify(utilisation));
+}));
+
+/**
+ * Routes - Export
+ *
+ * Downloads the bookings as CSV, Excel or newline delimited JSON (e.g. /api/export/bookings.xlsx), with the names of
+ * the users, buildings, floors, neighborhoods and spaces. Bookings are filtered in the same way as the analytics above,
+ * and are streamed to the download a page at a time however many there are, see ./lib/BookingExport.js.
+ *
+ * The analytics above can be downloaded in the same formats too, with the same query string: /api/analytics/bookings
+ * as /api/export/booking-counts.<format> and /api/analytics/utilisation as /api/export/utilisation.<format>.
+ */
+
+const bookingExport = new BookingExport(reportingKadence);
+
+function checkExportFormat(name, format) {
+    if (BookingExport.FORMATS.indexOf(format) < 0) {
+        const formats = BookingExport.FORMATS.join(', ');
+        throw new KadenceNotFoundError(`${name} can't be exported as ${format}, use one of ${formats}.`, { status: 404 });
+    }
+}
+
+app.get('/api/export/bookings.:format', asyncHandler(async (req, res) => {
+    checkExportFormat('Bookings', req.params.format);
+
+    await bookingExport.export(req.params.format, req.query, res);
+}));
+
+app.get('/api/export/:report.:format', asyncHandler(async (req, res) => {
+    if (BookingExport.REPORTS.indexOf(req.params.report) < 0) {
+        const reports = ['bookings', ...BookingExport.REPORTS].join(', ');
+        throw new KadenceNotFoundError(`There's no "${req.params.report}" export, use one of ${reports}.`, { status: 404 });
+    }
+
+    checkExportFormat('Reports', req.params.format);
+
+    await bookingExport.exportReport(req.params.report, req.params.format, req.query, res);
+}));
+
+/**
+ * Routes - Check-in
+ *
+ * Checks a user in to their bookings today, see ./lib/CheckInService.js for the rules. Send
+ * { "email": "...", "method": "doorAccess" } and optionally "buildingId" to only check in to bookings in one building (as
+ * the kiosk does). Instead of an email the user can be identified by "userId" or "badge", badge numbers are mapped to
+ * users with KADENCE_WEBHOOK_IDENTITIES.
+ *
+ * The user is checked in as of now, by the server's clock, so callers can't get around the check-in window by sending
+ * their own time. The bulk and webhook routes below use the time of each event instead. The response has the result
+ * for each of the user's bookings. Rooms and grace periods can be configured with the KADENCE_CHECK_IN_* environment
+ * variables, see the README.md file.
+ */
+
+const checkInService = new CheckInService(kadence, {
+    allowRoomCheckIn: KADENCE_CHECK_IN_ALLOW_ROOMS,
+    gracePeriod: { before: KADENCE_CHECK_IN_GRACE_BEFORE, after: KADENCE_CHECK_IN_GRACE_AFTER },
+    identities: KADENCE_WEBHOOK_IDENTITIES ? JSON.parse(fs.readFileSync(KADENCE_WEBHOOK_IDENTITIES, 'utf8')) : {}
+});
+
+app.post('/api/check-in', asyncHandler(async (req, res) => {
+    const body = req.body || {};
+    const type = ['email', 'userId', 'badge'].find((key) => body[key]);
+
+    if (!type) {
+        throw new KadenceValidationError('An email address, user ID or badge is required to check in.', {
+            status: 400,
+            title: 'Validation failed',
+            violations: [{ propertyPath: 'email', message: 'This value should not be blank.', code: null }]
+        });
+    }
+
+    const identity = { type: type, value: String(body[type]).trim() };
+    const user = await checkInService.findUserByIdentity(identity);
+
+    if (!user) {
+        const description = type === 'email' ? 'email address' : (type === 'userId' ? 'ID' : 'badge');
+        throw new KadenceNotFoundError(`Unable to find user with ${description} ${identity.value}`, { status: 404 });
+    }
+
+    const result = await checkInService.checkInUser(user, body.method, {
+        buildingId: body.buildingId
+    });
+
+    res.setHeader('Content-Type', 'application/json');
+    res.status(200);
+    res.send(JSON.stringify(result));
+}));
+
+/**
+ * Routes - Bulk check-in
+ *
+ * Checks users in from a log of door access events with the same rules as above, see ./lib/BulkCheckIn.js. The log can
+ * be sent as a CSV file (Content-Type: text/csv) with email, timestamp and door columns, in which case the check-in
+ * method and concurrency are passed in the query string, or as JSON:
+ *
+ *   { "events": [{ "email": "...", "timestamp": "2024-01-01T08:55:00Z", "door": "..." }], "method": "doorAccess" }
+ *
+ * The response reports what happened for each user, and which rows of the log were rejected.
+ */
+
+app.post('/api/check-ins/bulk', bodyParser.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), asyncHandler(async (req, res) => {
+    const options = typeof req.body === 'string' ? req.query : (req.body || {});
+    let events = options.events;
+
+    if (typeof req.body === 'string') {
+        try {
+            events = parseCsv(req.body);
+        } catch (e) {
+            throw new KadenceValidationError(`Unable to parse the CSV file: ${e.message}`, {
+                status: 400,
+                title: 'Invalid CSV file',
+                violations: [{ propertyPath: 'file', message: e.message, code: null }]
+            });
+        }
+
+        if (events.length && !('email' in events[0] && 'timestamp' in events[0])) {
+            throw new KadenceValidationError('The CSV file should have email, timestamp and door columns.', {
+                status: 400,
+                title: 'Invalid CSV file',
+                violations: [{ propertyPath: 'file', message: 'The first line should be the column names: email,timestamp,door.', code: null }]
+            });
+        }
+    }
+
+    if (!Array.isArray(events) || !events.length) {
+        throw new KadenceValidationError('There are no door access events to check in.', {
+            status: 400,
+            title: 'Validation failed',
+            violations: [{ propertyPath: 'events', message: 'This value should not be empty.', code: null }]
+        });
+    }
+
+    if (parseInt(options.concurrency, 10) > BulkCheckIn.MAX_CONCURRENCY) {
+        throw new KadenceValidationError(`The concurrency should be at most ${BulkCheckIn.MAX_CONCURRENCY}.`, {
+            status: 400,
+            title: 'Validation failed',
+            violations: [{ propertyPath: 'concurrency', message: `This value should be less than or equal to ${BulkCheckIn.MAX_CONCURRENCY}.`, code: null }]
+        });
+    }
+
+    const bulkCheckIn = new BulkCheckIn(checkInService, { concurrency: options.concurrency });
+    const report = await bulkCheckIn.run(events, { method: options.method });
+
+    res.setHeader('Content-Type', 'application/json');
+    res.status(200);
+    res.send(JSON.stringify(report));
+}));
+
+/**
+ * Routes - Webhooks
+ *
+ * Receives events from access control, WiFi and other systems and checks in the users they report arriving, see
+ * ./lib/WebhookReceiver.js and ./lib/webhookAdapters.js for the payloads each source sends. Point each system at
+ * /api/webhooks/<source> (generic, radius or door), signing requests with KADENCE_WEBHOOK_SECRET. Usernames and badge
+ * numbers are mapped to users with the JSON file in KADENCE_WEBHOOK_IDENTITIES, see the README.md file.
+ */
+
+const webhookReceiver = new WebhookReceiver(checkInService, {
+    secret: KADENCE_WEBHOOK_SECRET,
+    tolerance: KADENCE_WEBHOOK_TOLERANCE,
+    deduplicationWindow: KADENCE_WEBHOOK_DEDUPLICATION_WINDOW
+});
+
+app.post('/api/webhooks/:source', asyncHandler(async (req, res) => {
+    const events = await webhookReceiver.receive(
+        req.params.source,
+        req.rawBody,
+        req.body,
+        req.headers[WebhookReceiver.SIGNATURE_HEADER],
+        req.headers[WebhookReceiver.TIMESTAMP_HEADER]
+    );
+
+    res.setHeader('Content-Type', 'application/json');
+    res.status(200);
+    res.send(JSON.stringify({
+        source: req.params.source,
+        events: events
+    }));
+}));
+
+/**
+ * Error handling
+ *
+ * Any error thrown by the routes above ends up here and is returned as RFC 7807 problem details
+ * (application/problem+json), so the examples always get an error in the same shape. Errors from the Kadence API
+ * wrapper (see ./lib/errors.js) keep the status code returned by the Kadence API, apart from network errors which are
+ * returned as a 502 Bad Gateway. Anything unexpected is logged and returned as a 500 without any internal details.
+ */
+
+app.use((err, req, res, next) => {
+    let status = 500;
+    let problem = {};
+
+    // Once a download has started (e.g. an export) it's too late to send an error, so the best we can do is log it and
+    // end the connection early, letting the client know the download is incomplete.
+    if (res.headersSent) {
+        console.error(err);
+        res.destroy();
+        return;
+    }
+
+    if (err instanceof KadenceError) {
+        status = err instanceof KadenceNetworkError ? 502 : (err.status || 500);
+        problem = {
+            title: err.title,
+            detail: err.description
+        };
+
+        if (err instanceof KadenceValidationError) {
+            problem.violations = err.violations;
+        }
+
+        if (err instanceof KadenceRateLimitError && err.retryAfter !== null) {
+            problem.retryAfter = err.retryAfter;
+            res.setHeader('Retry-After', String(err.retryAfter));
+        }
+    } else if (err.expose && err.status) {
+        // Errors raised by Express and body-parser, e.g. invalid JSON in a request body.
+        status = err.status;
+        problem = { detail: err.message };
+    } else {
+        console.error(err);
+    }
+
+    res.setHeader('Content-Type', 'application/problem+json');
+    res.status(status);
+    res.send(JSON.stringify({
+        type: 'about:blank',
+        ...problem,
+        title: problem.title || http.STATUS_CODES[status],
+        status: status,
+        detail: problem.detail || http.STATUS_CODES[status]
+    }));
+});
+
+/**
+ * Live updates - Floorplan
+ *
+ * The floorplan example subscribes to the floor it's showing over socket.io. While at least one page is subscribed to
+ * a floor we poll the Kadence API for the floor's bookings today and, whenever they change, send them to every socket
+ * in the floor's room. Set KADENCE_FLOORPLAN_POLL_INTERVAL to change how often we poll, in seconds (defaults to 30).
+ *
+ * Each socket can subscribe to up to MAX_FLOOR_SUBSCRIPTIONS floors, and only to floors that exist. If a floor can't be
+ * found (when subscribing, or later because it was deleted) the socket is sent a 'floor:error' event instead.
+ */
+
+const MAX_FLOOR_SUBSCRIPTIONS = 5;
+
+const floorBookingsPoller = new FloorBookingsPoller(kadence, {
+    interval: KADENCE_FLOORPLAN_POLL_INTERVAL
+});
+
+floorBookingsPoller.on('change', (event) => {
+    io.to(`floor:${event.floorId}`).emit('floor:bookings', event);
+});
+
+floorBookingsPoller.on('error', async (err, floorId) => {
+    console.error(`Unable to poll the bookings for floor ${floorId}`, err.message);
+
+    // The poller stops polling floors that have been deleted, so unsubscribe everyone from them too.
+    if (err instanceof KadenceNotFoundError) {
+        const sockets = await io.in(`floor:${floorId}`).fetchSockets();
+
+        sockets.forEach((socket) => {
+            socket.data.floorIds.delete(floorId);
+            socket.leave(`floor:${floorId}`);
+            socket.emit('floor:error', { floorId: floorId, message: err.message });
+        });
+    }
+});
+
+io.on('connection', (socket) => {
+    // The floors the socket is subscribed to, and those we're still checking exist.
+    const floorIds = new Set();
+    const pendingFloorIds = new Set();
+
+    socket.data.floorIds = floorIds;
+
+    socket.on('floor:subscribe', async (floorId) => {
+        if (typeof floorId !== 'string' || !floorId || floorIds.has(floorId) || pendingFloorIds.has(floorId)) {
+            return;
+        }
+
+        if (floorIds.size + pendingFloorIds.size >= MAX_FLOOR_SUBSCRIPTIONS) {
+            socket.emit('floor:error', { floorId: floorId, message: `Unable to subscribe to more than ${MAX_FLOOR_SUBSCRIPTIONS} floors.` });
+            return;
+        }
+
+        pendingFloorIds.add(floorId);
+
+        try {
+            await kadence.getFloor(floorId);
+        } catch (e) {
+            pendingFloorIds.delete(floorId);
+            socket.emit('floor:error', { floorId: floorId, message: e.message });
+            return;
+        }
+
+        // The socket may have unsubscribed or disconnected while we were checking the floor.
+        if (!pendingFloorIds.delete(floorId) || socket.disconnected) {
+            return;
+        }
+
+        floorIds.add(floorId);
+        socket.join(`floor:${floorId}`);
+        floorBookingsPoller.watch(floorId);
+
+        // If the floor was already being watched, the next change event could be a while away, so send the bookings
+        // from the last poll now. Otherwise they're sent to everyone in the room once the first poll finishes.
+        const snapshot = floorBookingsPoller.getSnapshot(floorId);
+
+        if (snapshot) {
+            socket.emit('floor:bookings', snapshot);
+        }
+    });
+
+    socket.on('floor:unsubscribe', (floorId) => {
+        pendingFloorIds.delete(floorId);
+
+        if (!floorIds.has(floorId)) {
+            return;
+        }
+
+        floorIds.delete(floorId);
+        socket.leave(`floor:${floorId}`);
+        floorBookingsPoller.unwatch(floorId);
+    });
+
+    socket.on('disconnect', () => {
+        floorIds.forEach((floorId) => floorBookingsPoller.unwatch(floorId));
+        floorIds.clear();
+        pendingFloorIds.clear();
+    });
 });
 
 /**
@@ -157,15 +738,16 @@ app.get('/v1/public/spaces/:spaceId', async (req, res) => {
  */
 
 function startServer(port) {
-    app.listen(port, async () => {
-        console.log(`Kadence - Public API Examples - Running on port ${port}\nhttp://localhost:${port}`);
-    }).on('error', (err) => {
+    server.once('error', (err) => {
         if (err.code === 'EADDRINUSE') {
             startServer(port + 1);
         } else {
             throw new Error(err || 'Unknown error: Unable to start server');
         }
     });
+    server.listen(port, async () => {
+        console.log(`Kadence - Public API Examples - Running on port ${port}\nhttp://localhost:${port}`);
+    });
 }
 
 startServer(START_PORT);
\ No newline at end of file
@@ -0,0 +1,410 @@
+/**
+ * This class counts bookings for the dashboard in the list-bookings example. Rather than sending every booking to the
+ * browser, we page through them on the server (see bookingFilters.js for the filters) and only keep the counts, so the
+ * charts stay correct and fast however many bookings there are.
+ *
+ * getBookingCounts() resolves with the number of bookings and how they break down:
+ *
+ *   {
+ *       filters: { from, to, type, ... },
+ *       total: 1234,
+ *       bySource: [{ key: 'web', label: 'web', count: 800 }, ...],
+ *       byUser, byBuilding, byFloor, byType, byStatus,            // most bookings first
+ *       byDay: [{ key: '2024-01-01', label: '2024-01-01', count: 12 }, ...]   // in date order
+ *   }
+ *
+ * Users, buildings and floors are counted by ID and labelled with their name. Assigned (permanent) desk bookings are
+ * counted as the 'assigned_desk' source, and each booking's day is the day it starts in its building's time zone.
+ *
+ * getUtilisation() reports how many of the bookings were actually used, for the whole selection and for each building,
+ * floor or neighborhood (groupBy), along with a series for each day:
+ *
+ *   {
+ *       filters: { from, to, type, ... },
+ *       groupBy: 'building',
+ *       days: ['2024-01-01', ...],
+ *       total: { bookings, checkedIn, noShows, cancelled, pending, capacity, checkInRate, noShowRate,
+ *                averageDuration, peakDay: { date, checkedIn, occupancy }, series: [{ date, bookings, ... }, ...] },
+ *       groups: [{ key, label, ...the same as total }, ...]   // most bookings first
+ *   }
+ *
+ * Bookings are checked in if they were checkedIn, checkedOut or completed, no-shows if they were autoCancelled (not
+ * checked in in time), cancelled if the user cancelled them and pending if they're still booked. The check-in and
+ * no-show rates are out of the bookings that were checked in or no-shows, as cancelled and pending bookings could
+ * never have been used. The average duration (in minutes) is of every booking that wasn't cancelled or a no-show.
+ * Occupancy is the share of the spaces (of the booking types in the filters) in the group that were checked in to.
+ */
+
+const { DateTime } = require('luxon');
+const { parseBookingFilters } = require('./bookingFilters');
+const { mapWithConcurrency } = require('./concurrency');
+
+const { KadenceNotFoundError, KadenceValidationError } = require('./errors');
+
+const PAGE_SIZE = 200;
+const MAX_USER_LOOKUPS = 100;
+const DEFAULT_CONCURRENCY = 4;
+const MAX_FILLED_DAYS = 366;
+
+const GROUP_BY = ['building', 'floor', 'neighborhood'];
+const TOTAL = 'total';
+
+// How each booking status counts towards utilisation, see above.
+const UTILISATION_STATUSES = {
+    checkedIn: 'checkedIn',
+    checkedOut: 'checkedIn',
+    completed: 'checkedIn',
+    autoCancelled: 'noShows',
+    cancelled: 'cancelled',
+    booked: 'pending'
+};
+
+class BookingAnalytics {
+
+    #kadence;
+    #concurrency;
+
+    /**
+     * Supported options:
+     *
+     *  - concurrency: how many pages of bookings (or users) to request at the same time (defaults to 4).
+     */
+    constructor(kadence, options) {
+        options = options || {};
+
+        this.#kadence = kadence;
+        this.#concurrency = Math.max(1, parseInt(options.concurrency, 10) || DEFAULT_CONCURRENCY);
+    }
+
+    /**
+     * Counts the bookings matching the filters in the query, see bookingFilters.js.
+     */
+    async getBookingCounts(query) {
+        const { filters, params } = parseBookingFilters(query);
+        const [buildings, floors] = await Promise.all([
+            this.#kadence.getAllBuildings(),
+            this.#kadence.getAllFloors()
+        ]);
+        const timeZones = new Map(buildings.map((building) => [building.id, building.timeZone || 'UTC']));
+        const counts = {
+            source: new Map(),
+            user: new Map(),
+            building: new Map(),
+            floor: new Map(),
+            type: new Map(),
+            status: new Map(),
+            day: new Map()
+        };
+        let total = 0;
+
+        const bookings = this.#kadence.iterateBookings({
+            ...params,
+            itemsPerPage: PAGE_SIZE
+        }, { concurrency: this.#concurrency });
+
+        for await (const booking of bookings) {
+            const buildingId = toId(booking.building);
+            const timeZone = timeZones.get(buildingId) || 'UTC';
+
+            total++;
+            increment(counts.source, booking.permanent ? 'assigned_desk' : booking.source);
+            increment(counts.user, toId(booking.userId));
+            increment(counts.building, buildingId);
+            increment(counts.floor, booking.space ? toId(booking.space.floor) : null);
+            increment(counts.type, booking.type);
+            increment(counts.status, booking.status);
+            increment(counts.day, DateTime.fromISO(booking.startDate).setZone(timeZone).toISODate());
+        }
+
+        const buildingNames = new Map(buildings.map((building) => [building.id, building.name]));
+        const floorNames = new Map(floors.map((floor) => [floor.id, floor.name]));
+        const userNames = await this.#getUserNames(Array.from(counts.user.keys()));
+
+        return {
+            filters: filters,
+            total: total,
+            bySource: toGroups(counts.source),
+            byUser: toGroups(counts.user, userNames),
+            byBuilding: toGroups(counts.building, buildingNames),
+            byFloor: toGroups(counts.floor, floorNames),
+            byType: toGroups(counts.type),
+            byStatus: toGroups(counts.status),
+            byDay: toDays(counts.day, filters)
+        };
+    }
+
+    /**
+     * Reports the utilisation of the bookings matching the filters in the query (see bookingFilters.js), grouped by
+     * query.groupBy: building (the default), floor or neighborhood.
+     */
+    async getUtilisation(query) {
+        query = query || {};
+
+        const groupBy = query.groupBy || 'building';
+
+        if (GROUP_BY.indexOf(groupBy) < 0) {
+            const message = `This value should be one of ${GROUP_BY.join(', ')}.`;
+
+            throw new KadenceValidationError(`Invalid booking filters: groupBy: ${message}`, {
+                status: 400,
+                title: 'Validation failed',
+                violations: [{ propertyPath: 'groupBy', message: message, code: null }]
+            });
+        }
+
+        const { filters, params } = parseBookingFilters(query);
+        const [buildings, floors, neighborhoods, spaces] = await Promise.all([
+            this.#kadence.getAllBuildings(),
+            this.#kadence.getAllFloors(),
+            this.#kadence.getAllNeighborhoods(),
+            this.#kadence.getAllSpaces()
+        ]);
+        const timeZones = new Map(buildings.map((building) => [building.id, building.timeZone || 'UTC']));
+        const labels = {
+            building: new Map(buildings.map((building) => [building.id, building.name])),
+            floor: new Map(floors.map((floor) => [floor.id, floor.name])),
+            neighborhood: new Map(neighborhoods.map((neighborhood) => [neighborhood.id, neighborhood.name]))
+        };
+        const groups = new Map([[TOTAL, createUtilisation()]]);
+        const seenDays = new Map();
+
+        // The capacity of each group is the number of spaces in it that could have been booked.
+        spaces.filter((space) => matchesSpace(space, filters)).forEach((space) => {
+            const key = getSpaceGroup(space, groupBy);
+
+            [TOTAL, key].forEach((groupKey) => {
+                if (!groups.has(groupKey)) {
+                    groups.set(groupKey, createUtilisation());
+                }
+                groups.get(groupKey).capacity++;
+            });
+        });
+
+        const bookings = this.#kadence.iterateBookings({
+            ...params,
+            itemsPerPage: PAGE_SIZE
+        }, { concurrency: this.#concurrency });
+
+        for await (const booking of bookings) {
+            const timeZone = timeZones.get(toId(booking.building)) || 'UTC';
+            const day = DateTime.fromISO(booking.startDate).setZone(timeZone).toISODate();
+            const key = getBookingGroup(booking, groupBy);
+
+            if (!groups.has(key)) {
+                groups.set(key, createUtilisation());
+            }
+
+            seenDays.set(day, 0);
+            addBooking(groups.get(TOTAL), day, booking);
+            addBooking(groups.get(key), day, booking);
+        }
+
+        const days = toDays(seenDays, filters).map((day) => day.key);
+        const total = toUtilisation(groups.get(TOTAL), days);
+
+        groups.delete(TOTAL);
+
+        return {
+            filters: filters,
+            groupBy: groupBy,
+            days: days,
+            total: total,
+            groups: Array.from(groups, ([key, utilisation]) => ({
+                key: key,
+                label: labels[groupBy].get(key) || 'Unknown',
+                ...toUtilisation(utilisation, days)
+            }))
+                // Groups with spaces but no bookings are left out, unless they were asked for.
+                .filter((group) => group.bookings > 0 || filters[groupBy + 'Id'])
+                .sort((a, b) => b.bookings - a.bookings || a.label.localeCompare(b.label))
+        };
+    }
+
+    // Only the users with bookings are looked up, rather than every user in the organisation. When there are a lot of
+    // them, paging through every user takes fewer requests than looking each one up. Users that have been deleted are
+    // labelled 'Unknown', but any other error is thrown rather than showing a chart with the wrong names.
+    async #getUserNames(userIds) {
+        if (userIds.length > MAX_USER_LOOKUPS) {
+            const wanted = new Set(userIds);
+            const names = new Map();
+
+            for await (const user of this.#kadence.iterateUsers({ itemsPerPage: PAGE_SIZE }, { concurrency: this.#concurrency })) {
+                if (wanted.has(user.id)) {
+                    names.set(user.id, `${user.firstName} ${user.lastName}`);
+                }
+            }
+
+            return names;
+        }
+
+        const names = await mapWithConcurrency(userIds, this.#concurrency, async (userId) => {
+            try {
+                const user = (await this.#kadence.getUser(userId)).data;
+                return `${user.firstName} ${user.lastName}`;
+            } catch (e) {
+                if (!(e instanceof KadenceNotFoundError)) {
+                    throw e;
+                }
+                return null;
+            }
+        });
+
+        return new Map(userIds.map((userId, index) => [userId, names[index]]));
+    }
+}
+
+// Bookings refer to users, buildings and floors by IRI, e.g. /v1/public/users/<id>, or as an embedded resource.
+function toId(value) {
+    if (!value) {
+        return null;
+    }
+
+    return typeof value === 'object' ? value.id : String(value).split('/').pop();
+}
+
+function increment(counts, key) {
+    key = key || 'unknown';
+    counts.set(key, (counts.get(key) || 0) + 1);
+}
+
+function toGroups(counts, labels) {
+    return Array.from(counts, ([key, count]) => ({
+        key: key,
+        label: (labels ? labels.get(key) : key) || 'Unknown',
+        count: count
+    })).sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+}
+
+function getBookingGroup(booking, groupBy) {
+    switch (groupBy) {
+        case 'floor':
+            return (booking.space && toId(booking.space.floor)) || 'unknown';
+        case 'neighborhood':
+            return (booking.space && toId(booking.space.neighborhood)) || 'unknown';
+        default:
+            return toId(booking.building) || 'unknown';
+    }
+}
+
+function getSpaceGroup(space, groupBy) {
+    return toId(space[groupBy]) || 'unknown';
+}
+
+// Only spaces that match the filters count towards capacity, e.g. only desks in the chosen building.
+function matchesSpace(space, filters) {
+    const values = {
+        type: space.type,
+        buildingId: toId(space.building),
+        floorId: toId(space.floor),
+        neighborhoodId: toId(space.neighborhood)
+    };
+
+    return Object.keys(values).every((name) => !filters[name] || filters[name].indexOf(values[name]) >= 0);
+}
+
+function createUtilisation() {
+    return {
+        capacity: 0,
+        days: new Map()
+    };
+}
+
+function addBooking(utilisation, day, booking) {
+    if (!utilisation.days.has(day)) {
+        utilisation.days.set(day, {
+            bookings: 0,
+            checkedIn: 0,
+            noShows: 0,
+            cancelled: 0,
+            pending: 0,
+            duration: 0,
+            spaces: new Set()
+        });
+    }
+
+    const counts = utilisation.days.get(day);
+    const status = UTILISATION_STATUSES[booking.status] || 'pending';
+
+    counts.bookings++;
+    counts[status]++;
+
+    if (status === 'checkedIn' || status === 'pending') {
+        counts.duration += DateTime.fromISO(booking.endDate).diff(DateTime.fromISO(booking.startDate), 'minutes').minutes;
+    }
+
+    if (status === 'checkedIn' && booking.space) {
+        counts.spaces.add(booking.space.id);
+    }
+}
+
+function toRate(count, total) {
+    return total ? Math.round(count / total * 1000) / 1000 : null;
+}
+
+// Summarises the counts for each day of a group, and for the group as a whole.
+function toUtilisation(utilisation, days) {
+    const summary = {
+        bookings: 0,
+        checkedIn: 0,
+        noShows: 0,
+        cancelled: 0,
+        pending: 0,
+        capacity: utilisation.capacity
+    };
+    let duration = 0;
+    let peakDay = null;
+
+    const series = days.map((date) => {
+        const counts = utilisation.days.get(date) || { bookings: 0, checkedIn: 0, noShows: 0, cancelled: 0, pending: 0, duration: 0, spaces: new Set() };
+        const occupancy = toRate(counts.spaces.size, utilisation.capacity);
+
+        ['bookings', 'checkedIn', 'noShows', 'cancelled', 'pending'].forEach((name) => {
+            summary[name] += counts[name];
+        });
+        duration += counts.duration;
+
+        if (counts.checkedIn && (!peakDay || counts.checkedIn > peakDay.checkedIn)) {
+            peakDay = { date: date, checkedIn: counts.checkedIn, occupancy: occupancy };
+        }
+
+        return {
+            date: date,
+            bookings: counts.bookings,
+            checkedIn: counts.checkedIn,
+            noShows: counts.noShows,
+            cancelled: counts.cancelled,
+            pending: counts.pending,
+            checkInRate: toRate(counts.checkedIn, counts.checkedIn + counts.noShows),
+            occupancy: occupancy
+        };
+    });
+
+    const kept = summary.checkedIn + summary.pending;
+
+    return {
+        ...summary,
+        checkInRate: toRate(summary.checkedIn, summary.checkedIn + summary.noShows),
+        noShowRate: toRate(summary.noShows, summary.checkedIn + summary.noShows),
+        averageDuration: kept ? Math.round(duration / kept * 10) / 10 : null,
+        peakDay: peakDay,
+        series: series
+    };
+}
+
+// Days without bookings are included (with a count of 0) when there's an end date, so charts have no gaps.
+function toDays(counts, filters) {
+    if (filters.to) {
+        const from = DateTime.fromISO(filters.from);
+        const days = Math.floor(DateTime.fromISO(filters.to).diff(from, 'days').days);
+
+        for (let i = 0; i <= Math.min(days, MAX_FILLED_DAYS); i++) {
+            const day = from.plus({ days: i }).toISODate();
+            counts.set(day, counts.get(day) || 0);
+        }
+    }
+
+    return Array.from(counts, ([key, count]) => ({ key: key, label: key, count: count }))
+        .sort((a, b) => a.key.localeCompare(b.key));
+}
+
+module.exports = BookingAnalytics;
@@ -0,0 +1,371 @@
+/**
+ * This class exports bookings as CSV, Excel (XLSX) or newline delimited JSON, e.g. for a finance team to import into
+ * their own systems. Bookings are selected with the same filters as the dashboard (see bookingFilters.js), and each row
+ * has the names of the user, building, floor, neighborhood and space rather than their IDs.
+ *
+ * Exports can be tens of thousands of rows, so nothing is held in memory: we page through the bookings, look up the
+ * users for each page and write the rows to the response straight away. If the response can't keep up (e.g. a slow
+ * download) we wait for it before asking the Kadence API for more, and if the download is cancelled we stop.
+ *
+ * Dates and times are in each booking's building time zone, apart from the check in time which is an ISO 8601 UTC date.
+ *
+ * The reports from BookingAnalytics can be exported in the same formats with exportReport(), one row for each count:
+ *
+ *  - booking-counts: a row for the total and for each source, user, building, floor, type, status and day.
+ *  - utilisation: a row for each group (and the total) over the whole period, followed by a row for each day.
+ *
+ * Reports are worked out in full before anything is written, as they only have a row for each group and day.
+ */
+
+const ExcelJS = require('exceljs');
+const { DateTime } = require('luxon');
+const BookingAnalytics = require('./BookingAnalytics');
+const { parseBookingFilters } = require('./bookingFilters');
+const { mapWithConcurrency } = require('./concurrency');
+const { toCsvRow } = require('./csv');
+const { KadenceNotFoundError } = require('./errors');
+
+const PAGE_SIZE = 200;
+const DEFAULT_CONCURRENCY = 4;
+
+// The columns of each export, in order. The keys are used as the properties of the NDJSON objects.
+const BOOKING_COLUMNS = [
+    { key: 'id', title: 'Booking ID', width: 38 },
+    { key: 'type', title: 'Type', width: 10 },
+    { key: 'status', title: 'Status', width: 14 },
+    { key: 'source', title: 'Source', width: 12 },
+    { key: 'permanent', title: 'Assigned', width: 10 },
+    { key: 'userName', title: 'User', width: 24 },
+    { key: 'userEmail', title: 'Email', width: 32 },
+    { key: 'building', title: 'Building', width: 24 },
+    { key: 'floor', title: 'Floor', width: 16 },
+    { key: 'neighborhood', title: 'Neighborhood', width: 16 },
+    { key: 'space', title: 'Space', width: 16 },
+    { key: 'date', title: 'Date', width: 12 },
+    { key: 'start', title: 'Start', width: 8 },
+    { key: 'end', title: 'End', width: 8 },
+    { key: 'timeZone', title: 'Time zone', width: 20 },
+    { key: 'checkInDate', title: 'Checked in at', width: 26 },
+    { key: 'checkInMethod', title: 'Check-in method', width: 16 }
+];
+
+const BOOKING_COUNT_COLUMNS = [
+    { key: 'breakdown', title: 'Breakdown', width: 12 },
+    { key: 'key', title: 'Key', width: 38 },
+    { key: 'label', title: 'Label', width: 32 },
+    { key: 'count', title: 'Bookings', width: 10 }
+];
+
+const UTILISATION_COLUMNS = [
+    { key: 'group', title: 'Group', width: 38 },
+    { key: 'label', title: 'Label', width: 24 },
+    { key: 'date', title: 'Date', width: 12 },
+    { key: 'bookings', title: 'Bookings', width: 10 },
+    { key: 'checkedIn', title: 'Checked in', width: 11 },
+    { key: 'noShows', title: 'No-shows', width: 10 },
+    { key: 'cancelled', title: 'Cancelled', width: 10 },
+    { key: 'pending', title: 'Pending', width: 10 },
+    { key: 'capacity', title: 'Capacity', width: 10 },
+    { key: 'checkInRate', title: 'Check-in rate', width: 13 },
+    { key: 'noShowRate', title: 'No-show rate', width: 13 },
+    { key: 'occupancy', title: 'Occupancy', width: 11 },
+    { key: 'averageDuration', title: 'Average duration (minutes)', width: 26 }
+];
+
+// The breakdowns of the booking counts report, in the order they're exported.
+const BREAKDOWNS = {
+    source: 'bySource',
+    user: 'byUser',
+    building: 'byBuilding',
+    floor: 'byFloor',
+    type: 'byType',
+    status: 'byStatus',
+    day: 'byDay'
+};
+
+const REPORTS = {
+    'booking-counts': {
+        title: 'Booking counts',
+        columns: BOOKING_COUNT_COLUMNS,
+        get: (analytics, query) => analytics.getBookingCounts(query),
+        toRows: toBookingCountRows
+    },
+    utilisation: {
+        title: 'Utilisation',
+        columns: UTILISATION_COLUMNS,
+        get: (analytics, query) => analytics.getUtilisation(query),
+        toRows: toUtilisationRows
+    }
+};
+
+const FORMATS = {
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        write: writeCsv
+    },
+    xlsx: {
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        write: writeXlsx
+    },
+    ndjson: {
+        contentType: 'application/x-ndjson; charset=utf-8',
+        write: writeNdjson
+    }
+};
+
+class BookingExport {
+
+    static FORMATS = Object.keys(FORMATS);
+    static REPORTS = Object.keys(REPORTS);
+
+    #kadence;
+    #analytics;
+    #concurrency;
+
+    /**
+     * Supported options:
+     *
+     *  - concurrency: how many pages of bookings (or users) to request at the same time (defaults to 4).
+     */
+    constructor(kadence, options) {
+        options = options || {};
+
+        this.#kadence = kadence;
+        this.#concurrency = Math.max(1, parseInt(options.concurrency, 10) || DEFAULT_CONCURRENCY);
+        this.#analytics = new BookingAnalytics(kadence, { concurrency: this.#concurrency });
+    }
+
+    /**
+     * Writes the bookings matching the filters in the query to the response in the format (csv, xlsx or ndjson).
+     * Invalid filters are thrown before anything is written, so they can still be returned as an error.
+     */
+    async export(format, query, res) {
+        const { filters, params } = parseBookingFilters(query);
+        const [buildings, floors, neighborhoods] = await Promise.all([
+            this.#kadence.getAllBuildings(),
+            this.#kadence.getAllFloors(),
+            this.#kadence.getAllNeighborhoods()
+        ]);
+        const context = {
+            buildings: new Map(buildings.map((building) => [building.id, building])),
+            floors: new Map(floors.map((floor) => [floor.id, floor.name])),
+            neighborhoods: new Map(neighborhoods.map((neighborhood) => [neighborhood.id, neighborhood.name])),
+            // The users are kept for the rest of the export, as most users have more than one booking.
+            users: new Map()
+        };
+
+        res.setHeader('Content-Type', FORMATS[format].contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${getFileName('bookings', filters, format)}"`);
+        res.statusCode = 200;
+
+        await FORMATS[format].write({ title: 'Bookings', columns: BOOKING_COLUMNS }, this.#getRows(params, context, res), res);
+    }
+
+    /**
+     * Writes a report (booking-counts or utilisation) for the bookings matching the filters in the query to the
+     * response in the format (csv, xlsx or ndjson). The query is the same as for the report in BookingAnalytics.
+     */
+    async exportReport(name, format, query, res) {
+        const report = REPORTS[name];
+        const result = await report.get(this.#analytics, query);
+
+        res.setHeader('Content-Type', FORMATS[format].contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${getFileName(name, result.filters, format)}"`);
+        res.statusCode = 200;
+
+        await FORMATS[format].write(report, report.toRows(result), res);
+    }
+
+    // Yields a row for each booking, a page at a time so the users on each page can be looked up together.
+    async * #getRows(params, context, res) {
+        const bookings = this.#kadence.iterateBookings({
+            ...params,
+            order: { startDateTime: 'asc' },
+            itemsPerPage: PAGE_SIZE
+        }, { concurrency: this.#concurrency });
+        let page = [];
+
+        for await (const booking of bookings) {
+            page.push(booking);
+
+            if (page.length === PAGE_SIZE) {
+                await this.#loadUsers(page, context.users);
+                yield * page.map((pageBooking) => toRow(pageBooking, context));
+                page = [];
+            }
+
+            // Stop paging through the bookings if the download was cancelled.
+            if (res.destroyed) {
+                return;
+            }
+        }
+
+        await this.#loadUsers(page, context.users);
+        yield * page.map((pageBooking) => toRow(pageBooking, context));
+    }
+
+    async #loadUsers(bookings, users) {
+        const userIds = Array.from(new Set(bookings.map((booking) => toId(booking.userId))))
+            .filter((userId) => userId && !users.has(userId));
+
+        await mapWithConcurrency(userIds, this.#concurrency, async (userId) => {
+            try {
+                const user = (await this.#kadence.getUser(userId)).data;
+                users.set(userId, { name: `${user.firstName} ${user.lastName}`, email: user.email });
+            } catch (e) {
+                if (!(e instanceof KadenceNotFoundError)) {
+                    throw e;
+                }
+                users.set(userId, null);
+            }
+        });
+    }
+}
+
+// Bookings refer to users, buildings and neighborhoods by IRI, e.g. /v1/public/users/<id>, or as an embedded resource.
+function toId(value) {
+    if (!value) {
+        return null;
+    }
+
+    return typeof value === 'object' ? value.id : String(value).split('/').pop();
+}
+
+function toRow(booking, context) {
+    const building = context.buildings.get(toId(booking.building));
+    const user = context.users.get(toId(booking.userId));
+    const timeZone = building && building.timeZone ? building.timeZone : 'UTC';
+    const start = DateTime.fromISO(booking.startDate).setZone(timeZone);
+    const end = DateTime.fromISO(booking.endDate).setZone(timeZone);
+    const space = booking.space;
+
+    return {
+        id: booking.id,
+        type: booking.type,
+        status: booking.status,
+        source: booking.source,
+        permanent: Boolean(booking.permanent),
+        userName: user ? user.name : null,
+        userEmail: user ? user.email : null,
+        building: building ? building.name : null,
+        floor: space && space.floor ? (space.floor.name || context.floors.get(toId(space.floor)) || null) : null,
+        neighborhood: space ? context.neighborhoods.get(toId(space.neighborhood)) || null : null,
+        space: space ? space.name : null,
+        date: start.toISODate(),
+        start: start.toFormat('HH:mm'),
+        end: end.toFormat('HH:mm'),
+        timeZone: timeZone,
+        checkInDate: booking.checkInDate || null,
+        checkInMethod: booking.checkInMethod || null
+    };
+}
+
+function toBookingCountRows(counts) {
+    const rows = [{ breakdown: 'total', key: null, label: 'Total', count: counts.total }];
+
+    for (const [breakdown, property] of Object.entries(BREAKDOWNS)) {
+        rows.push(...counts[property].map((group) => ({ breakdown: breakdown, ...group })));
+    }
+
+    return rows;
+}
+
+// Each group's row for the whole period comes before its daily rows. The total is the first group.
+function toUtilisationRows(utilisation) {
+    const groups = [{ key: null, label: 'Total', ...utilisation.total }, ...utilisation.groups];
+    const rows = [];
+
+    for (const group of groups) {
+        const row = { group: group.key, label: group.label, capacity: group.capacity };
+
+        rows.push({ ...row, ...group, date: null, occupancy: null });
+        rows.push(...group.series.map((day) => ({ ...row, ...day })));
+    }
+
+    return rows;
+}
+
+// e.g. bookings-2024-01-01-to-2024-01-31.csv, or bookings-from-2024-01-01.csv without an end date.
+function getFileName(name, filters, format) {
+    const dates = filters.to ? `${filters.from}-to-${filters.to}` : `from-${filters.from}`;
+    return `${name}-${dates}.${format}`;
+}
+
+// Waits for the response to catch up when it has more buffered than it wants, so slow downloads don't use up memory.
+function whenDrained(res) {
+    if (!res.writableNeedDrain || res.destroyed) {
+        return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+        function done() {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        }
+
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
+
+// Spreadsheets run cells starting with =, +, - or @ as formulas, so a user or space named e.g. "=HYPERLINK(...)" would
+// run when the file is opened. Prefixing them with ' makes them text. XLSX cells are always written as text, so this is
+// only needed for CSV.
+function toSpreadsheetText(value) {
+    return typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+// Only the columns of the export are written, as report rows keep the rest of the group they came from.
+function toObject(columns, row) {
+    return Object.fromEntries(columns.map((column) => [column.key, row[column.key] === undefined ? null : row[column.key]]));
+}
+
+// Each writer is given the title and columns of the export, and the rows to write.
+async function writeCsv({ columns }, rows, res) {
+    // Excel needs the byte order mark to read the file as UTF-8 rather than guessing.
+    res.write('\uFEFF' + toCsvRow(columns.map((column) => column.title)));
+
+    for await (const row of rows) {
+        res.write(toCsvRow(columns.map((column) => toSpreadsheetText(row[column.key]))));
+        await whenDrained(res);
+    }
+
+    res.end();
+}
+
+async function writeNdjson({ columns }, rows, res) {
+    for await (const row of rows) {
+        res.write(JSON.stringify(toObject(columns, row)) + '\n');
+        await whenDrained(res);
+    }
+
+    res.end();
+}
+
+async function writeXlsx({ title, columns }, rows, res) {
+    // The streaming writer zips each row as it's committed, rather than building the whole workbook in memory. Shared
+    // strings would have to be kept until the end, so every cell has its own copy instead.
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+        stream: res,
+        useStyles: true,
+        useSharedStrings: false
+    });
+    const worksheet = workbook.addWorksheet(title, {
+        views: [{ state: 'frozen', ySplit: 1 }]
+    });
+
+    worksheet.columns = columns.map((column) => ({ header: column.title, key: column.key, width: column.width }));
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.getRow(1).commit();
+
+    for await (const row of rows) {
+        worksheet.addRow(row).commit();
+        await whenDrained(res);
+    }
+
+    worksheet.commit();
+    await workbook.commit();
+}
+
+module.exports = BookingExport;
@@ -0,0 +1,149 @@
+/**
+ * This class checks users in to their bookings from a batch of door access events, e.g. the CSV log exported by a badge
+ * system. Each event is { email, timestamp, door }. The bookings to check in to are decided by CheckInService, so the
+ * same rules (and policies) apply as when a single user checks in.
+ *
+ * Users usually badge in several times a day, so events are grouped by user and day and each user is only checked in
+ * once per day, at the time of their first event. Users are processed `concurrency` at a time so that a large log
+ * doesn't flood the Kadence API.
+ *
+ * run() resolves with a report of what happened for each user and day:
+ *
+ *   {
+ *       summary: { events, users, checked_in, already_checked_in, ..., rejected },
+ *       users: [{ email, date, userId, name, events, doors, firstSeen, result, message, bookings: [...] }],
+ *       rejected: [{ line, email, timestamp, message }]   // events that were invalid, e.g. without an email address
+ *   }
+ *
+ * See CheckInService for the results of each user and their bookings.
+ */
+
+const { DateTime } = require('luxon');
+const CheckInService = require('./CheckInService');
+const { mapWithConcurrency } = require('./concurrency');
+
+const DEFAULT_CONCURRENCY = 4;
+
+class BulkCheckIn {
+
+    // More users than this at once would only be slowed down by the Kadence API's rate limits.
+    static MAX_CONCURRENCY = 10;
+
+    #checkInService;
+    #concurrency;
+
+    /**
+     * Supported options:
+     *
+     *  - concurrency: how many users are checked in at the same time (defaults to 4, at most MAX_CONCURRENCY).
+     */
+    constructor(checkInService, options) {
+        options = options || {};
+
+        this.#checkInService = checkInService;
+        this.#concurrency = Math.min(BulkCheckIn.MAX_CONCURRENCY, Math.max(1, parseInt(options.concurrency, 10) || DEFAULT_CONCURRENCY));
+    }
+
+    /**
+     * Checks in the users in the events. Supported options:
+     *
+     *  - method: the check-in method recorded against the bookings (defaults to 'doorAccess').
+     */
+    async run(events, options) {
+        options = options || {};
+
+        const { groups, rejected } = groupEvents(events);
+        const users = new Map();
+
+        // A user can appear on more than one day, but we only need to look them up once.
+        const findUser = (email) => {
+            if (!users.has(email)) {
+                users.set(email, this.#checkInService.findUserByEmail(email));
+            }
+            return users.get(email);
+        };
+
+        const reports = await mapWithConcurrency(groups, this.#concurrency, async (group) => {
+            const report = toReport(group);
+
+            try {
+                const user = await findUser(group.email);
+
+                if (!user) {
+                    return { ...report, result: CheckInService.RESULT_USER_NOT_FOUND, message: `Unable to find a user with the email address ${group.email}.` };
+                }
+
+                const result = await this.#checkInService.checkInUser(user, options.method, { at: group.firstSeen.toISO() });
+
+                return { ...report, userId: result.user.id, name: result.user.name, result: result.result, bookings: result.bookings };
+            } catch (e) {
+                return { ...report, result: CheckInService.RESULT_FAILED, message: e.description || e.message };
+            }
+        });
+
+        const summary = { events: events.length, users: reports.length, rejected: rejected.length };
+
+        for (const report of reports) {
+            summary[report.result] = (summary[report.result] || 0) + 1;
+        }
+
+        return { summary: summary, users: reports, rejected: rejected };
+    }
+}
+
+// Groups the events by user and day. The day is taken from the timestamp as written, so 2024-01-01T23:30:00-05:00 is
+// on the 1st even though it's the 2nd in UTC.
+function groupEvents(events) {
+    const groups = new Map();
+    const rejected = [];
+
+    events.forEach((event, index) => {
+        const line = event.line || index + 1;
+        const email = String(event.email || '').trim().toLowerCase();
+        const timestamp = DateTime.fromISO(String(event.timestamp || '').trim(), { setZone: true });
+
+        if (!email) {
+            rejected.push({ line: line, email: event.email, timestamp: event.timestamp, message: 'The email address is missing.' });
+            return;
+        }
+
+        if (!timestamp.isValid) {
+            rejected.push({ line: line, email: event.email, timestamp: event.timestamp, message: 'The timestamp should be an ISO 8601 date and time, e.g. 2024-01-01T08:55:00Z.' });
+            return;
+        }
+
+        const date = timestamp.toISODate();
+        const key = `${email}|${date}`;
+
+        if (!groups.has(key)) {
+            groups.set(key, { email: email, date: date, events: 0, doors: new Set(), firstSeen: timestamp });
+        }
+
+        const group = groups.get(key);
+        group.events++;
+        group.firstSeen = timestamp < group.firstSeen ? timestamp : group.firstSeen;
+
+        if (event.door) {
+            group.doors.add(String(event.door).trim());
+        }
+    });
+
+    return { groups: Array.from(groups.values()), rejected: rejected };
+}
+
+function toReport(group) {
+    return {
+        email: group.email,
+        date: group.date,
+        userId: null,
+        name: null,
+        events: group.events,
+        doors: Array.from(group.doors),
+        firstSeen: group.firstSeen.toISO(),
+        result: null,
+        message: null,
+        bookings: []
+    };
+}
+
+module.exports = BulkCheckIn;
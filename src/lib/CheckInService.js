@@ -0,0 +1,345 @@
+/**
+ * This class decides which of a user's bookings to check in to and checks them in, so that every integration (the
+ * check-in example, bulk check-in from badge logs, WiFi or door access systems...) follows the same rules:
+ *
+ *  1. Every desk and onsite booking the user has on the day is checked in if its status is 'booked'. The day is the
+ *     day in the time zone of the building the booking is in, not the time zone of the server or the user.
+ *  2. Room bookings are skipped, users check in to those when they arrive at the room (see `allowRoomCheckIn`).
+ *  3. Bookings that are already checked in, completed (or checked out) or cancelled are skipped.
+ *  4. Bookings are only checked in during their check-in window, by default until they end (see `gracePeriod`).
+ *     Arriving before the window opens or after it closes is reported as REASON_TOO_EARLY or REASON_TOO_LATE.
+ *
+ * checkInByEmail() resolves with the result for each booking, e.g.
+ *
+ *   {
+ *       email: 'alice@example.com',
+ *       method: 'doorAccess',
+ *       user: { id, name },
+ *       result: 'checked_in',
+ *       bookings: [{
+ *           id, type, status, building, timeZone, space, floor, startDate, endDate,
+ *           checkInOpensAt, checkInClosesAt,                  // the check-in window in the building's time zone
+ *           result: 'checked_in', message: null
+ *       }]
+ *   }
+ *
+ * A booking's result is RESULT_CHECKED_IN, RESULT_FAILED (with the error in `message`) or one of the REASON_* codes
+ * explaining why it was skipped. The overall result is the most important of those: any failure, then any check in,
+ * then already checked in and so on. RESULT_NO_BOOKINGS is only returned when there are no bookings at all (or
+ * RESULT_USER_NOT_FOUND when there's no user).
+ */
+
+const { DateTime } = require('luxon');
+const { KadenceNotFoundError, KadenceValidationError } = require('./errors');
+
+const DEFAULT_METHOD = 'doorAccess';
+const DEFAULT_POLICIES = {
+    allowRoomCheckIn: false,
+    gracePeriod: { before: null, after: null }
+};
+
+class CheckInService {
+
+    static RESULT_CHECKED_IN = 'checked_in';
+    static RESULT_FAILED = 'failed';
+    static RESULT_NO_BOOKINGS = 'no_bookings';
+    static RESULT_USER_NOT_FOUND = 'user_not_found';
+
+    static REASON_ALREADY_COMPLETED = 'already_completed';
+    static REASON_ALREADY_CHECKED_IN = 'already_checked_in';
+    static REASON_BOOKING_CANCELLED = 'booking_cancelled';
+    static REASON_UNSUPPORTED_STATUS = 'unsupported_status';
+    static REASON_ROOM_BOOKING = 'room_booking';
+    static REASON_TOO_EARLY = 'too_early';
+    static REASON_TOO_LATE = 'too_late';
+
+    #kadence;
+    #policies;
+    #identities;
+    #timeZones;
+
+    /**
+     * Supported options, which are the default policies for every check in:
+     *
+     *  - allowRoomCheckIn: check in to room bookings as well (defaults to false).
+     *  - gracePeriod: { before, after } in minutes. Bookings can only be checked in from `before` minutes before they
+     *    start until `after` minutes after they start, e.g. { before: 30, after: 15 }. Without `before` check-in opens
+     *    at the start of the day, without `after` it closes when the booking ends (the defaults).
+     *
+     * And for findUserByIdentity():
+     *
+     *  - identities: how usernames and badge numbers map to users' email addresses, e.g.
+     *
+     *      { emailDomain: 'example.com', usernames: { jsmith: 'jane.smith@example.com' }, badges: { '0012345': '...' } }
+     *
+     *    Usernames that aren't listed get `@emailDomain` added, if it's set.
+     */
+    constructor(kadence, options) {
+        options = options || {};
+
+        this.#kadence = kadence;
+        this.#policies = { ...DEFAULT_POLICIES, ...toPolicies(options) };
+        this.#identities = { emailDomain: null, usernames: {}, badges: {}, ...options.identities };
+        this.#timeZones = new Map();
+    }
+
+    /**
+     * Finds the user with the email address and checks them in to their bookings. Supported options:
+     *
+     *  - at: when the user arrived, as an ISO 8601 string or Date (defaults to now). Bookings on that day, in their
+     *    building's time zone, are checked in.
+     *  - buildingId: only check in to bookings in this building, e.g. for a kiosk in the building's reception.
+     *  - allowRoomCheckIn / gracePeriod: override the policies given to the constructor.
+     */
+    async checkInByEmail(email, method, options) {
+        const user = await this.findUserByEmail(email);
+
+        if (!user) {
+            return {
+                email: email,
+                method: method || DEFAULT_METHOD,
+                user: null,
+                result: CheckInService.RESULT_USER_NOT_FOUND,
+                bookings: []
+            };
+        }
+
+        return await this.checkInUser(user, method, options);
+    }
+
+    async findUserByEmail(email) {
+        const users = (await this.#kadence.getUsers({ email: email })).data['hydra:member'];
+        return users.length ? users[0] : null;
+    }
+
+    async findUserById(userId) {
+        try {
+            return (await this.#kadence.getUser(userId)).data;
+        } catch (e) {
+            if (e instanceof KadenceNotFoundError) {
+                return null;
+            }
+            throw e;
+        }
+    }
+
+    /**
+     * Finds the user for an identity reported by another system, { type, value } where the type is 'email', 'userId',
+     * 'username' or 'badge'. Resolves with the user, null if there's no such user in Kadence, or undefined if the
+     * username or badge isn't mapped to a user (see the `identities` option).
+     */
+    async findUserByIdentity(identity) {
+        if (identity.type === 'userId') {
+            return await this.findUserById(identity.value);
+        }
+
+        const email = this.#toEmail(identity);
+
+        return email ? await this.findUserByEmail(email) : undefined;
+    }
+
+    /**
+     * Checks in a user that has already been looked up, e.g. with findUserByEmail() or findUserById(). Accepts the same
+     * options as checkInByEmail().
+     */
+    async checkInUser(user, method, options) {
+        options = options || {};
+        method = method || DEFAULT_METHOD;
+
+        const policies = { ...this.#policies, ...toPolicies(options) };
+        const at = toDateTime(options.at);
+
+        if (!at.isValid) {
+            throw new KadenceValidationError(`Invalid check-in time "${options.at}", expected an ISO 8601 date and time.`, {
+                status: 400,
+                title: 'Validation failed',
+                violations: [{ propertyPath: 'at', message: 'This value should be an ISO 8601 date and time.', code: null }]
+            });
+        }
+
+        // The local_* filters compare against the time in each booking's building, and a building's day can start up to
+        // 14 hours either side of midnight UTC. So we ask for everything from the day before to the day after and then
+        // keep the bookings that are on the same day as `at` in their building's time zone.
+        const utc = at.toUTC();
+        const bookings = await this.#kadence.getAllUserBookings(user.id, {
+            order: { startDateTime: 'asc' },
+            startDateTime: { local_after: `${utc.minus({ days: 1 }).toISODate()}T00:00:00Z` },
+            endDateTime: { local_before: `${utc.plus({ days: 2 }).toISODate()}T00:00:00Z` },
+            ...(options.buildingId ? { buildingId: options.buildingId } : {})
+        });
+
+        const results = [];
+
+        for (const booking of bookings) {
+            const timeZone = await this.#getTimeZone(booking.building);
+            const today = at.setZone(timeZone).startOf('day');
+            const start = DateTime.fromISO(booking.startDate).setZone(timeZone);
+            const end = DateTime.fromISO(booking.endDate).setZone(timeZone);
+
+            if (start < today || end > today.plus({ days: 1 })) {
+                continue;
+            }
+
+            const window = getCheckInWindow(start, end, policies.gracePeriod);
+            const result = {
+                id: booking.id,
+                type: booking.type,
+                status: booking.status,
+                building: booking.building,
+                timeZone: timeZone,
+                space: booking.space ? booking.space.name : null,
+                floor: booking.space && booking.space.floor ? booking.space.floor.name : null,
+                startDate: booking.startDate,
+                endDate: booking.endDate,
+                checkInOpensAt: window.opensAt ? window.opensAt.toISO() : null,
+                checkInClosesAt: window.closesAt.toISO(),
+                result: getSkipReason(booking, policies, window, at),
+                message: null
+            };
+
+            if (!result.result) {
+                try {
+                    await this.#kadence.checkIn(booking.id, {}, { userId: user.id, method: method });
+                    result.result = CheckInService.RESULT_CHECKED_IN;
+                } catch (e) {
+                    result.result = CheckInService.RESULT_FAILED;
+                    result.message = e.description || e.message;
+                }
+            }
+
+            results.push(result);
+        }
+
+        return {
+            email: user.email,
+            method: method,
+            user: { id: user.id, name: `${user.firstName} ${user.lastName}` },
+            result: getOverallResult(results),
+            bookings: results
+        };
+    }
+
+    #toEmail(identity) {
+        switch (identity.type) {
+            case 'email':
+                return identity.value;
+            case 'username':
+                return this.#identities.usernames[identity.value] ||
+                    (this.#identities.emailDomain ? `${identity.value}@${this.#identities.emailDomain}` : null);
+            case 'badge':
+                return this.#identities.badges[identity.value] || null;
+            default:
+                return null;
+        }
+    }
+
+    async #getTimeZone(buildingUri) {
+        const buildingId = String(buildingUri || '').split('/').pop();
+
+        if (!this.#timeZones.has(buildingId)) {
+            const building = (await this.#kadence.getBuilding(buildingId)).data;
+            this.#timeZones.set(buildingId, building.timeZone || 'UTC');
+        }
+        return this.#timeZones.get(buildingId);
+    }
+}
+
+// Only the policies are picked out of the options, so unrelated options (e.g. `at`) don't override anything.
+function toPolicies(options) {
+    const policies = {};
+
+    if (options.allowRoomCheckIn !== undefined) {
+        policies.allowRoomCheckIn = !!options.allowRoomCheckIn;
+    }
+
+    if (options.gracePeriod !== undefined) {
+        policies.gracePeriod = {
+            before: toMinutes(options.gracePeriod && options.gracePeriod.before),
+            after: toMinutes(options.gracePeriod && options.gracePeriod.after)
+        };
+    }
+
+    return policies;
+}
+
+function toMinutes(value) {
+    const minutes = parseInt(value, 10);
+    return minutes >= 0 ? minutes : null;
+}
+
+function toDateTime(at) {
+    if (!at) {
+        return DateTime.now();
+    }
+
+    return at instanceof Date ? DateTime.fromJSDate(at) : DateTime.fromISO(String(at), { setZone: true });
+}
+
+// Returns why a booking shouldn't be checked in, or null if it should be.
+function getSkipReason(booking, policies, window, at) {
+    if (booking.type === 'room' && !policies.allowRoomCheckIn) {
+        return CheckInService.REASON_ROOM_BOOKING;
+    }
+
+    if (booking.status === 'checkedIn') {
+        return CheckInService.REASON_ALREADY_CHECKED_IN;
+    }
+
+    if (['checkedOut', 'completed'].indexOf(booking.status) >= 0) {
+        return CheckInService.REASON_ALREADY_COMPLETED;
+    }
+
+    if (booking.status === 'cancelled') {
+        return CheckInService.REASON_BOOKING_CANCELLED;
+    }
+
+    if (booking.status !== 'booked') {
+        return CheckInService.REASON_UNSUPPORTED_STATUS;
+    }
+
+    if (window.opensAt && at < window.opensAt) {
+        return CheckInService.REASON_TOO_EARLY;
+    }
+
+    if (at > window.closesAt) {
+        return CheckInService.REASON_TOO_LATE;
+    }
+
+    return null;
+}
+
+// Check-in opens `before` minutes before the booking starts (or at any time that day) and closes `after` minutes after
+// it starts (or when it ends). Times are in the building's time zone.
+function getCheckInWindow(start, end, gracePeriod) {
+    const closesAt = gracePeriod.after !== null ? start.plus({ minutes: gracePeriod.after }) : end;
+
+    return {
+        opensAt: gracePeriod.before !== null ? start.minus({ minutes: gracePeriod.before }) : null,
+        closesAt: closesAt < end ? closesAt : end
+    };
+}
+
+function getOverallResult(bookings) {
+    const results = bookings.map((booking) => booking.result);
+    const precedence = [
+        CheckInService.RESULT_FAILED,
+        CheckInService.RESULT_CHECKED_IN,
+        CheckInService.REASON_ALREADY_CHECKED_IN,
+        CheckInService.REASON_ALREADY_COMPLETED,
+        CheckInService.REASON_TOO_EARLY,
+        CheckInService.REASON_TOO_LATE,
+        CheckInService.REASON_ROOM_BOOKING,
+        CheckInService.REASON_BOOKING_CANCELLED,
+        CheckInService.REASON_UNSUPPORTED_STATUS
+    ];
+
+    for (const result of precedence) {
+        if (results.indexOf(result) >= 0) {
+            return result;
+        }
+    }
+
+    return CheckInService.RESULT_NO_BOOKINGS;
+}
+
+module.exports = CheckInService;
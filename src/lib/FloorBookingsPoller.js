@@ -0,0 +1,214 @@
+/**
+ * This class polls the Kadence API for today's bookings on the floors that are being watched and emits a 'change'
+ * event whenever they differ from the last poll. The Kadence public API doesn't push changes to us, so polling is the
+ * simplest way to keep a display such as a lobby kiosk up to date.
+ *
+ * 'Today' is worked out in the time zone of the building the floor is in, and includes any booking that overlaps it.
+ * Each change event has the shape:
+ *
+ *   {
+ *       floorId: '...',
+ *       bookings: [{ id, spaceId, userId, type, status, startDate, endDate, checkInDate }],   // every booking today
+ *       changes: { added: [...], updated: [...], removed: [...] }                            // changes since the last poll
+ *   }
+ *
+ * Floors are only polled while something is watching them, see watch() and unwatch(). A floor that no longer exists
+ * (the API returns a 404) stops being polled, after emitting the error.
+ */
+
+const EventEmitter = require('events');
+const { DateTime } = require('luxon');
+const { KadenceNotFoundError } = require('./errors');
+
+const DEFAULT_INTERVAL = 30;
+
+class FloorBookingsPoller extends EventEmitter {
+
+    #kadence;
+    #interval;
+    #timer;
+    #polling;
+    #watchers;
+    #snapshots;
+    #timeZones;
+
+    /**
+     * Supported options:
+     *
+     *  - interval: how often to poll in seconds (defaults to 30).
+     */
+    constructor(kadence, options) {
+        super();
+        options = options || {};
+
+        this.#kadence = kadence;
+        this.#interval = (options.interval > 0 ? options.interval : DEFAULT_INTERVAL) * 1000;
+        this.#watchers = new Map();
+        this.#snapshots = new Map();
+        this.#timeZones = new Map();
+    }
+
+    // Starts polling a floor, floors are reference counted so they can be watched by several subscribers at once.
+    watch(floorId) {
+        const count = (this.#watchers.get(floorId) || 0) + 1;
+        this.#watchers.set(floorId, count);
+
+        // Poll a newly watched floor straight away rather than waiting for the next interval.
+        if (count === 1) {
+            this.poll();
+        }
+
+        if (!this.#timer) {
+            this.#timer = setInterval(() => this.poll(), this.#interval);
+            this.#timer.unref();
+        }
+    }
+
+    /**
+     * Returns the bookings on a watched floor from the last poll, in the same shape as a change event with every booking
+     * added, or null if it hasn't been polled yet. Change events are only emitted when something changes, so this is
+     * how a new subscriber gets the bookings on a floor someone else is already watching.
+     */
+    getSnapshot(floorId) {
+        const bookings = this.#snapshots.get(floorId);
+
+        if (!bookings) {
+            return null;
+        }
+
+        return {
+            floorId: floorId,
+            bookings: bookings,
+            changes: { added: bookings, updated: [], removed: [] }
+        };
+    }
+
+    unwatch(floorId) {
+        if (!this.#watchers.has(floorId)) {
+            return;
+        }
+
+        const count = (this.#watchers.get(floorId) || 0) - 1;
+
+        if (count > 0) {
+            this.#watchers.set(floorId, count);
+            return;
+        }
+
+        this.#stopPolling(floorId);
+    }
+
+    #stopPolling(floorId) {
+        this.#watchers.delete(floorId);
+        this.#snapshots.delete(floorId);
+
+        if (!this.#watchers.size) {
+            clearInterval(this.#timer);
+            this.#timer = null;
+        }
+    }
+
+    // Polls every watched floor once. A poll that is still running when the next one is due is not overlapped.
+    async poll() {
+        if (this.#polling) {
+            return;
+        }
+
+        this.#polling = true;
+
+        try {
+            for (const floorId of this.#watchers.keys()) {
+                try {
+                    await this.#pollFloor(floorId);
+                } catch (e) {
+                    if (e instanceof KadenceNotFoundError) {
+                        this.#stopPolling(floorId);
+                    }
+                    this.emit('error', e, floorId);
+                }
+            }
+        } finally {
+            this.#polling = false;
+        }
+    }
+
+    async #pollFloor(floorId) {
+        const timeZone = await this.#getTimeZone(floorId);
+        const today = DateTime.now().setZone(timeZone).toFormat('yyyy-MM-dd');
+
+        const bookings = (await this.#kadence.getAllBookings({
+            floorId: floorId,
+            order: { startDateTime: 'asc' },
+            startDateTime: { local_before: `${today}T23:59:59Z` },
+            endDateTime: { local_after: `${today}T00:00:00Z` }
+        }, { concurrency: 2 })).map(toSnapshot);
+
+        // The floor may have been unwatched while we were waiting for the API.
+        if (!this.#watchers.has(floorId)) {
+            return;
+        }
+
+        const previous = this.#snapshots.get(floorId);
+        this.#snapshots.set(floorId, bookings);
+
+        const changes = diff(previous || [], bookings);
+
+        if (!previous || changes.added.length || changes.updated.length || changes.removed.length) {
+            this.emit('change', {
+                floorId: floorId,
+                bookings: bookings,
+                changes: changes
+            });
+        }
+    }
+
+    async #getTimeZone(floorId) {
+        if (!this.#timeZones.has(floorId)) {
+            const floor = (await this.#kadence.getFloor(floorId)).data;
+            const buildingId = (floor.buildingId || String(floor.building || '')).split('/').pop();
+            const building = (await this.#kadence.getBuilding(buildingId)).data;
+            this.#timeZones.set(floorId, building.timeZone || 'UTC');
+        }
+        return this.#timeZones.get(floorId);
+    }
+}
+
+// We only keep the fields needed to display availability, so the diff isn't affected by anything else.
+function toSnapshot(booking) {
+    return {
+        id: booking.id,
+        spaceId: booking.space ? booking.space.id : null,
+        userId: booking.userId,
+        type: booking.type,
+        status: booking.status,
+        startDate: booking.startDate,
+        endDate: booking.endDate,
+        checkInDate: booking.checkInDate || null
+    };
+}
+
+function diff(previous, current) {
+    const previousById = new Map(previous.map((booking) => [booking.id, booking]));
+    const currentIds = new Set(current.map((booking) => booking.id));
+    const changes = { added: [], updated: [], removed: [] };
+
+    for (const booking of current) {
+        const before = previousById.get(booking.id);
+
+        if (!before) {
+            changes.added.push(booking);
+        } else if (JSON.stringify(before) !== JSON.stringify(booking)) {
+            changes.updated.push(booking);
+        }
+    }
+
+    for (const booking of previous) {
+        if (!currentIds.has(booking.id)) {
+            changes.removed.push(booking);
+        }
+    }
+
+    return changes;
+}
+
+module.exports = FloorBookingsPoller;
@@ -0,0 +1,136 @@
+/**
+ * This class downloads floorplan SVGs, sanitises them (see svgSanitizer.js) and keeps them in memory, so they're only
+ * downloaded and sanitised once rather than every time a floor is shown. Each floorplan gets an ETag, a hash of the
+ * sanitised SVG, so browsers can check whether the copy they already have is still current without downloading it
+ * again.
+ *
+ * Floorplans are looked up by floor ID rather than URL: the URL is read from the floor in the Kadence API, so the
+ * server can't be used to fetch anything other than a floorplan. Cached floorplans expire after `ttl` seconds, after
+ * which the floor and its floorplan are fetched again in case the floorplan has changed.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { KadenceError, KadenceNetworkError, KadenceNotFoundError } = require('./errors');
+const { sanitiseSvg } = require('./svgSanitizer');
+
+const DEFAULT_TTL = 600;
+const DEFAULT_TIMEOUT = 10000;
+const MAX_CONTENT_LENGTH = 10 * 1024 * 1024;
+
+class FloorPlanCache {
+
+    #kadence;
+    #ttl;
+    #entries;
+    #pending;
+    #generation;
+
+    /**
+     * Supported options:
+     *
+     *  - ttl: how many seconds a floorplan is cached for (defaults to 600).
+     */
+    constructor(kadence, options) {
+        options = options || {};
+
+        this.#kadence = kadence;
+        this.#ttl = (options.ttl >= 0 ? options.ttl : DEFAULT_TTL) * 1000;
+        this.#entries = new Map();
+        this.#pending = new Map();
+        this.#generation = 0;
+    }
+
+    /**
+     * Resolves with { svg, etag } for the floor. Concurrent calls for the same floor share a single download.
+     */
+    async get(floorId) {
+        const entry = this.#entries.get(floorId);
+
+        if (entry && Date.now() < entry.expiresAt) {
+            return entry;
+        }
+
+        if (!this.#pending.has(floorId)) {
+            const pending = this.#load(floorId).finally(() => {
+                // A newer download may have started if the floorplan was invalidated while this one was running.
+                if (this.#pending.get(floorId) === pending) {
+                    this.#pending.delete(floorId);
+                }
+            });
+
+            this.#pending.set(floorId, pending);
+        }
+
+        return await this.#pending.get(floorId);
+    }
+
+    // Forgets the floorplan of a floor, or of every floor if no floor is given. Downloads that are still running were
+    // started before the invalidation, so their floorplans aren't cached and the next get() downloads it again.
+    invalidate(floorId) {
+        this.#generation++;
+
+        if (floorId) {
+            this.#entries.delete(floorId);
+            this.#pending.delete(floorId);
+        } else {
+            this.#entries.clear();
+            this.#pending.clear();
+        }
+    }
+
+    async #load(floorId) {
+        const generation = this.#generation;
+        const floor = (await this.#kadence.getFloor(floorId)).data;
+
+        if (!floor.floorPlanUrl) {
+            throw new KadenceNotFoundError(`Floor ${floorId} has no floorplan.`, { status: 404 });
+        }
+
+        const downloaded = await this.#download(floor.floorPlanUrl);
+        let svg;
+
+        try {
+            svg = sanitiseSvg(downloaded);
+        } catch (e) {
+            throw new KadenceError(e.message, { cause: e, status: 502 });
+        }
+
+        const entry = {
+            svg: svg,
+            etag: `"${crypto.createHash('sha1').update(svg).digest('hex')}"`,
+            expiresAt: Date.now() + this.#ttl
+        };
+
+        if (generation === this.#generation) {
+            this.#entries.set(floorId, entry);
+        }
+
+        return entry;
+    }
+
+    async #download(floorPlanUrl) {
+        let response;
+
+        try {
+            response = await axios.get(floorPlanUrl, {
+                responseType: 'text',
+                timeout: DEFAULT_TIMEOUT,
+                maxContentLength: MAX_CONTENT_LENGTH,
+                validateStatus: () => true
+            });
+        } catch (e) {
+            throw new KadenceNetworkError(`Unable to download the floorplan: ${e.message}`, { cause: e });
+        }
+
+        if (response.status !== 200) {
+            throw new KadenceError(`Unable to download the floorplan, the server responded with ${response.status}.`, {
+                status: 502
+            });
+        }
+
+        return response.data;
+    }
+}
+
+module.exports = FloorPlanCache;
@@ -11,281 +11,445 @@
  */
 
 const axios = require('axios');
+const endpoints = require('./endpoints');
+const queryString = require('../shared/queryString');
+const { KadenceError, KadenceNetworkError, KadenceValidationError, createErrorFromResponse } = require('./errors');
+const ResponseCache = require('./ResponseCache');
+const RetryPolicy = require('./RetryPolicy');
+const TokenManager = require('./TokenManager');
+
+const DEFAULT_AUTH_BASE_URL = 'https://login.onkadence.co';
+const DEFAULT_API_BASE_URL = 'https://api.onkadence.co';
+
+// Parameters every collection endpoint accepts on top of its filters.
+const COLLECTION_PARAMETERS = ['page', 'itemsPerPage', 'pagination', 'order'];
+const BODY_METHODS = ['post', 'put', 'patch'];
+const HOOK_NAMES = ['onRequest', 'onResponse', 'onError', 'onRetry'];
+const CACHED_RESOURCES = [...new Set(endpoints.filter((endpoint) => endpoint.cache).map((endpoint) => endpoint.cache))];
 
 class Kadence {
 
-    #apiIdentifier;
-    #apiSecret;
-    #token;
-
-    constructor(identifier, secret) {
-        this.#apiIdentifier = identifier;
-        this.#apiSecret = secret;
-    };
+    #apiBaseUrl;
+    #tokenManager;
+    #retryPolicy;
+    #cache;
+    #mirror;
+    #hooks;
+
+    /**
+     * The options allow you to point the client at a different Kadence environment, e.g. the bundled mock API in
+     * ./src/mock for offline development:
+     *
+     *  - authBaseUrl: the base URL of the OAuth server (defaults to https://login.onkadence.co).
+     *  - apiBaseUrl: the base URL of the public API (defaults to https://api.onkadence.co).
+     *  - tokenRefreshMargin: how many seconds before expiry access tokens are refreshed (defaults to 60).
+     *  - retry: how rate limited (429), unavailable (5xx) and failed requests are retried, see RetryPolicy.js for the
+     *    available options e.g. { retries: 5, baseDelay: 1000 }.
+     *  - hooks: functions called as requests are made, see use() below.
+     *  - cache: caches responses for reference data (buildings, floors, neighborhoods and spaces). Pass true to use the
+     *    defaults, or the options described in ResponseCache.js e.g. { ttl: { spaces: 60 }, file: './cache.json' }.
+     *    Responses aren't cached unless this is set.
+     *  - mirror: a KadenceMirror to read from instead of the API, see KadenceMirror.js. Requests the mirror can't
+     *    answer (and everything other than GET requests) are still sent to the API.
+     */
+    constructor(identifier, secret, options) {
+        options = options || {};
+
+        this.#apiBaseUrl = (options.apiBaseUrl || DEFAULT_API_BASE_URL).replace(/\/+$/, '');
+        this.#tokenManager = new TokenManager(identifier, secret, {
+            authBaseUrl: (options.authBaseUrl || DEFAULT_AUTH_BASE_URL).replace(/\/+$/, ''),
+            refreshMargin: options.tokenRefreshMargin
+        });
+        this.#retryPolicy = new RetryPolicy(options.retry);
+        this.#cache = options.cache ? new ResponseCache(options.cache === true ? {} : options.cache) : null;
+        this.#mirror = options.mirror || null;
+        this.#hooks = {};
 
-    async #getToken() {
-        if (!this.#token) {
-            const authResponse = await axios.post('https://login.onkadence.co/oauth2/token', {
-                grant_type: 'client_credentials',
-                client_id: this.#apiIdentifier,
-                client_secret: this.#apiSecret,
-                scope: 'public'
-            });
+        HOOK_NAMES.forEach((name) => {
+            this.#hooks[name] = [];
+        });
 
-            this.#token = authResponse.data;
+        this.use(options.hooks || {});
+    };
 
-            //Set timeout to expire token after expires_in seconds
-            setTimeout(() => {
-                this.#token = null;
-            }, this.#token.expires_in * 1000);
+    /**
+     * Registers hooks that are called for every request made to the API. You can use these for tracing, injecting
+     * headers or collecting metrics without changing this class. Hooks are called in the order they were registered:
+     *
+     *  - onRequest(request): called before a request is sent. The request ({ endpoint, method, url, headers, data })
+     *    can be modified, or a replacement returned.
+     *  - onResponse(response, request, stats): called with the final response, stats are { retries, duration }.
+     *  - onError(error, request, stats): called when a request fails without a response, e.g. a network error.
+     *  - onRetry({ endpoint, method, url, attempt, delay, status, error }): called before each retry, attempt starts
+     *    at 1.
+     *
+     * Hooks may be async, they are awaited before the request continues.
+     */
+    use(hooks) {
+        for (const name of Object.keys(hooks)) {
+            if (HOOK_NAMES.indexOf(name) < 0) {
+                throw new KadenceError(`Unknown hook "${name}", expected one of: ${HOOK_NAMES.join(', ')}`);
+            }
+            this.#hooks[name].push(hooks[name]);
         }
-        return this.#token.access_token;
+        return this;
     }
 
-    // This is a simple utility function to convert an object to a query string and is used in the mapping from
-    // routes in express to function calls in this class.
-    #toQueryString(params) {
-        return Object.keys(params)
-            .map((key) => {
-                const param = params[key];
-
-                //if param is object then stringify it e.g. order: { id: 'asc' } => order[id]=asc
-                if (typeof param === 'object') {
-                    return Object.keys(param)
-                        .map((subKey) => {
-                            return key + '[' + subKey + ']=' + param[subKey];
-                        })
-                        .join('&');
-                }
+    /**
+     * Removes cached responses for a kind of resource (e.g. 'buildings'), or every cached response if no resource is
+     * given. Returns the number of responses removed.
+     */
+    invalidateCache(resource) {
+        if (resource && CACHED_RESOURCES.indexOf(resource) < 0) {
+            throw new KadenceValidationError(`Unknown resource "${resource}", expected one of: ${CACHED_RESOURCES.join(', ')}`, {
+                status: 400,
+                title: 'Unknown resource',
+                violations: [{ propertyPath: 'resource', message: `This value should be one of: ${CACHED_RESOURCES.join(', ')}.`, code: null }]
+            });
+        }
 
-                return key + '=' + params[key]
-            })
-            .join('&');
+        return this.#cache ? this.#cache.invalidate(resource) : 0;
     }
 
-    async getBooking(id, params) {
-        params = params || {};
-
-        const bearerToken = await this.#getToken();
-        const url = `https://api.onkadence.co/v1/public/bookings/${id}?` + this.#toQueryString(params);
-
-        console.log(url);
-
-        return await axios.get(url, {
-            headers: {
-                Authorization: `Bearer ${bearerToken}`
-            },
-            validateStatus: () => true
-        });
+    async #callHooks(name, ...args) {
+        for (const hook of this.#hooks[name]) {
+            await hook(...args);
+        }
     }
 
-    async getBookings(params) {
-        params = params || {};
-
-        const bearerToken = await this.#getToken();
-        const url = 'https://api.onkadence.co/v1/public/bookings?' + this.#toQueryString(params);
-
-        console.log(url);
+    // Every generated endpoint method ends up here, we build the URL from the endpoint declaration and send it.
+    async #request(endpoint, pathValues, params, data, options) {
+        options = options || {};
+
+        const request = {
+            endpoint: endpoint.name,
+            method: endpoint.method || 'get',
+            url: this.#apiBaseUrl + this.#buildUri(endpoint, pathValues, params),
+            headers: { ...endpoint.headers },
+            idempotent: options.idempotent
+        };
+
+        if (BODY_METHODS.indexOf(request.method) >= 0) {
+            request.data = data || {};
+
+            const violations = endpoint.validate ? endpoint.validate(request.data) : [];
+            if (violations.length) {
+                throw new KadenceValidationError(
+                    `Invalid data for ${endpoint.name}: ` + violations.map((v) => `${v.propertyPath}: ${v.message}`).join(' '),
+                    {
+                        status: 400,
+                        title: 'Validation failed',
+                        violations: violations
+                    }
+                );
+            }
+        }
 
-        return await axios.get(url, {
-            headers: {
-                Authorization: `Bearer ${bearerToken}`
-            },
-            validateStatus: () => true
-        });
+        return await this.#sendCached(endpoint, request);
     }
 
-    async checkIn(id, params, data) {
-        params = params || {};
+    // GET requests for endpoints declared with `mirror` are read from the mirror if there is one, see KadenceMirror.js,
+    // and those declared with `cache` are served from the cache if it's enabled, see ResponseCache.js.
+    async #sendCached(endpoint, request) {
+        if (this.#mirror && endpoint.mirror && request.method === 'get') {
+            const response = await this.#mirror.fetch(endpoint.mirror, request.url);
 
-        const bearerToken = await this.#getToken();
-        const url = `https://api.onkadence.co/v1/public/bookings/${id}/check-in?` + this.#toQueryString(params);
+            if (response) {
+                return response;
+            }
+        }
 
-        console.log(url, data);
+        if (!this.#cache || !endpoint.cache || request.method !== 'get') {
+            return await this.#send(request);
+        }
 
-        return await axios.post(url, data || {}, {
-            headers: {
-                Authorization: `Bearer ${bearerToken}`,
-                'Content-Type': 'application/ld+json'
-            },
-            validateStatus: () => true
-        });
+        return await this.#cache.fetch(endpoint.cache, request.url, () => this.#send({ ...request }));
     }
 
-    async getUser(id, params) {
+    #buildUri(endpoint, pathValues, params) {
         params = params || {};
 
-        const bearerToken = await this.#getToken();
-        const url = `https://api.onkadence.co/v1/public/users/${id}?` + this.#toQueryString(params);
-
-        console.log(url);
+        const allowed = (endpoint.collection ? COLLECTION_PARAMETERS : []).concat(endpoint.filters || []);
+        const unsupported = Object.keys(params).filter((key) => allowed.indexOf(key) < 0);
+
+        if (unsupported.length) {
+            throw new KadenceValidationError(
+                `Unsupported parameter(s) for ${endpoint.name}: ${unsupported.join(', ')}. ` +
+                `Supported parameters are: ${allowed.join(', ') || 'none'}.`,
+                {
+                    status: 400,
+                    title: 'Unsupported parameter',
+                    violations: unsupported.map((key) => ({ propertyPath: key, message: 'This parameter is not supported.', code: null }))
+                }
+            );
+        }
 
-        return await axios.get(url, {
-            headers: {
-                Authorization: `Bearer ${bearerToken}`
-            },
-            validateStatus: () => true
+        let index = 0;
+        const path = endpoint.path.replace(/\{(\w+)\}/g, (match, name) => {
+            const value = pathValues[index++];
+            if (value === undefined || value === null || value === '') {
+                throw new KadenceValidationError(`Missing ${name} for ${endpoint.name}`, {
+                    status: 400,
+                    title: 'Missing parameter',
+                    violations: [{ propertyPath: name, message: 'This value should not be blank.', code: null }]
+                });
+            }
+            return encodeURIComponent(value);
         });
-    }
 
-    async getUsers(params) {
-        params = params || {};
+        const query = queryString.stringify(params);
+        return query ? `${path}?${query}` : path;
+    }
 
-        const bearerToken = await this.#getToken();
-        const url = `https://api.onkadence.co/v1/public/users?` + this.#toQueryString(params);
+    // Sends a request to the API, retrying idempotent requests that were rate limited or failed (see RetryPolicy.js).
+    // Unsuccessful responses are thrown as one of the errors in errors.js.
+    async #send(request) {
+        for (const hook of this.#hooks.onRequest) {
+            request = (await hook(request)) || request;
+        }
 
-        console.log(url);
+        console.log(request.method.toUpperCase(), request.url, request.data || '');
 
-        return await axios.get(url, {
-            headers: {
-                Authorization: `Bearer ${bearerToken}`
-            },
-            validateStatus: () => true
-        });
-    }
+        const startedAt = Date.now();
+        let retries = 0;
 
-    async getUserBookings(userId, params) {
-        params = params || {};
+        while (true) {
+            let response = null;
+            let error = null;
 
-        const bearerToken = await this.#getToken();
-        const url = `https://api.onkadence.co/v1/public/users/${userId}/bookings?` + this.#toQueryString(params);
+            try {
+                response = await this.#sendAuthorized(request);
+            } catch (e) {
+                error = e;
+            }
 
-        console.log(url);
+            const delay = this.#retryPolicy.getRetryDelay(request, retries, response, error);
 
-        return await axios.get(url, {
-            headers: {
-                Authorization: `Bearer ${bearerToken}`
-            },
-            validateStatus: () => true
-        });
-    }
+            if (delay === null) {
+                const stats = { retries: retries, duration: Date.now() - startedAt };
 
-    async getBuilding(id, params) {
-        params = params || {};
+                if (error) {
+                    // Axios errors without a response are network errors, anything else (e.g. failing to retrieve an
+                    // access token) is already one of our errors.
+                    if (error.isAxiosError && !error.response) {
+                        error = new KadenceNetworkError(`Unable to reach the Kadence API: ${error.message}`, { cause: error });
+                    }
 
-        const bearerToken = await this.#getToken();
-        const url = `https://api.onkadence.co/v1/public/buildings/${id}?` + this.#toQueryString(params);
+                    await this.#callHooks('onError', error, request, stats);
+                    throw error;
+                }
 
-        console.log(url);
+                await this.#callHooks('onResponse', response, request, stats);
 
-        return await axios.get(url, {
-            headers: {
-                Authorization: `Bearer ${bearerToken}`
-            },
-            validateStatus: () => true
-        });
-    }
+                if (response.status < 200 || response.status >= 300) {
+                    throw createErrorFromResponse(response);
+                }
 
-    async getBuildings(params) {
-        params = params || {};
+                return response;
+            }
 
-        const bearerToken = await this.#getToken();
-        const url = `https://api.onkadence.co/v1/public/buildings?` + this.#toQueryString(params);
+            retries++;
 
-        console.log(url);
+            await this.#callHooks('onRetry', {
+                endpoint: request.endpoint,
+                method: request.method,
+                url: request.url,
+                attempt: retries,
+                delay: delay,
+                status: response ? response.status : null,
+                error: error
+            });
 
-        return await axios.get(url, {
-            headers: {
-                Authorization: `Bearer ${bearerToken}`
-            },
-            validateStatus: () => true
-        });
+            await new Promise((resolve) => setTimeout(resolve, delay));
+        }
     }
 
-    async getFloors(params) {
-        params = params || {};
+    // Sends a request to the API with a bearer token. If the API rejects the token (e.g. it expired while the request
+    // was in flight) we throw it away and retry once with a fresh token.
+    async #sendAuthorized(request) {
+        let bearerToken = await this.#tokenManager.getAccessToken();
+        let response = await axios.request(this.#withBearerToken(request, bearerToken));
 
-        const bearerToken = await this.#getToken();
-        const url = `https://api.onkadence.co/v1/public/floors?` + this.#toQueryString(params);
+        if (response.status === 401) {
+            this.#tokenManager.invalidate(bearerToken);
+            bearerToken = await this.#tokenManager.getAccessToken();
+            response = await axios.request(this.#withBearerToken(request, bearerToken));
+        }
 
-        console.log(url);
+        return response;
+    }
 
-        return await axios.get(url, {
+    #withBearerToken(request, bearerToken) {
+        return {
+            method: request.method,
+            url: request.url,
+            data: request.data,
             headers: {
+                ...request.headers,
                 Authorization: `Bearer ${bearerToken}`
             },
             validateStatus: () => true
-        });
+        };
     }
 
-    async getFloor(id, params) {
-        params = params || {};
-
-        const bearerToken = await this.#getToken();
-        const url = `https://api.onkadence.co/v1/public/floors/${id}?` + this.#toQueryString(params);
-
-        console.log(url);
-
-        return await axios.get(url, {
-            headers: {
-                Authorization: `Bearer ${bearerToken}`
-            },
-            validateStatus: () => true
+    // Fetches a single page of a collection. The URI can be relative to the API (as the hydra:next links returned by
+    // the API are) so that we can follow pagination links as-is.
+    async #getCollectionPage(endpoint, uri) {
+        const response = await this.#sendCached(endpoint, {
+            endpoint: endpoint.name,
+            method: 'get',
+            url: this.#apiBaseUrl + uri,
+            headers: { ...endpoint.headers }
         });
+
+        return response.data;
     }
 
-    async getNeighborhoods(params) {
-        params = params || {};
+    // Works out the URIs of every remaining page from the 'hydra:last' link of the first page. This is only possible
+    // when the API tells us the last page, otherwise we have to follow the 'hydra:next' links one at a time.
+    #getRemainingPageUris(view) {
+        if (!view || !view['hydra:last'] || !view['@id']) {
+            return null;
+        }
 
-        const bearerToken = await this.#getToken();
-        const url = `https://api.onkadence.co/v1/public/neighborhoods?` + this.#toQueryString(params);
+        const current = new URL(view['@id'], this.#apiBaseUrl);
+        const last = new URL(view['hydra:last'], this.#apiBaseUrl);
+        const currentPage = parseInt(current.searchParams.get('page') || '1', 10);
+        const lastPage = parseInt(last.searchParams.get('page') || '1', 10);
+        const uris = [];
 
-        console.log(url);
+        for (let page = currentPage + 1; page <= lastPage; page++) {
+            last.searchParams.set('page', String(page));
+            uris.push(last.pathname + last.search);
+        }
 
-        return await axios.get(url, {
-            headers: {
-                Authorization: `Bearer ${bearerToken}`
-            },
-            validateStatus: () => true
-        });
+        return uris;
     }
 
-    async getNeighborhood(id, params) {
-        params = params || {};
-
-        const bearerToken = await this.#getToken();
-        const url = `https://api.onkadence.co/v1/public/neighborhoods/${id}?` + this.#toQueryString(params);
-        
-        console.log(url);
+    /**
+     * Iterates over every item of a collection by following the 'hydra:view' links returned by the API until there
+     * are no pages left. Supported options:
+     *
+     *  - maxItems: stop after this many items have been returned (defaults to no limit).
+     *  - concurrency: how many pages to request at the same time once the number of pages is known (defaults to 1).
+     */
+    async *#paginate(endpoint, pathValues, params, options) {
+        options = options || {};
+
+        const maxItems = options.maxItems > 0 ? options.maxItems : Infinity;
+        const concurrency = Math.max(1, parseInt(options.concurrency, 10) || 1);
+        let count = 0;
+
+        let page = await this.#getCollectionPage(endpoint, this.#buildUri(endpoint, pathValues, params));
+
+        for (const item of page['hydra:member']) {
+            if (count >= maxItems) {
+                return;
+            }
+            count++;
+            yield item;
+        }
 
-        return await axios.get(url, {
-            headers: {
-                Authorization: `Bearer ${bearerToken}`
-            },
-            validateStatus: () => true
-        });
-    }
+        const remainingUris = this.#getRemainingPageUris(page['hydra:view']);
 
-    async getSpaces(params) {
-        params = params || {};
+        // We know every page upfront, so request them in parallel (up to the concurrency limit) but still hand the
+        // items back in the order the API returned them.
+        if (remainingUris) {
+            const pending = [];
+            let nextUri = 0;
 
-        const bearerToken = await this.#getToken();
-        const url = `https://api.onkadence.co/v1/public/spaces?` + this.#toQueryString(params);
+            while (count < maxItems && (nextUri < remainingUris.length || pending.length)) {
+                while (pending.length < concurrency && nextUri < remainingUris.length) {
+                    const pagePromise = this.#getCollectionPage(endpoint, remainingUris[nextUri++]);
+                    // Avoid unhandled rejections for pages we stop waiting for once maxItems has been reached.
+                    pagePromise.catch(() => {});
+                    pending.push(pagePromise);
+                }
 
-        console.log(url);
+                page = await pending.shift();
 
-        return await axios.get(url, {
-            headers: {
-                Authorization: `Bearer ${bearerToken}`
-            },
-            validateStatus: () => true
-        });
-    }
+                for (const item of page['hydra:member']) {
+                    if (count >= maxItems) {
+                        return;
+                    }
+                    count++;
+                    yield item;
+                }
+            }
+            return;
+        }
 
-    async getSpace(id, params) {
-        params = params || {};
+        // Otherwise follow the 'hydra:next' links until we run out of pages.
+        while (count < maxItems && page['hydra:view'] && page['hydra:view']['hydra:next']) {
+            page = await this.#getCollectionPage(endpoint, page['hydra:view']['hydra:next']);
 
-        const bearerToken = await this.#getToken();
-        const url = `https://api.onkadence.co/v1/public/spaces/${id}?` + this.#toQueryString(params);
+            for (const item of page['hydra:member']) {
+                if (count >= maxItems) {
+                    return;
+                }
+                count++;
+                yield item;
+            }
+        }
+    }
 
-        console.log(url);
+    async #getAll(iterator) {
+        const items = [];
+        for await (const item of iterator) {
+            items.push(item);
+        }
+        return items;
+    }
 
-        return await axios.get(url, {
-            headers: {
-                Authorization: `Bearer ${bearerToken}`
-            },
-            validateStatus: () => true
-        });
+    /**
+     * This is where the methods for each endpoint in endpoints.js are created, e.g. getBooking(bookingId, params),
+     * getBookings(params) and checkIn(bookingId, params, data). All methods resolve with the axios response when the
+     * request succeeds, and otherwise reject with one of the errors in errors.js (e.g. KadenceNotFoundError). Cached
+     * responses only have the status, headers and data of the response, plus `cache` ({ status, age }) describing
+     * whether it came from the cache, and responses read from the mirror have `mirror` ({ syncedAt }) instead.
+     *
+     * Collection endpoints also get pagination methods that follow the 'hydra:view' links of a collection so that you
+     * get every item back rather than a single page. The iterate* methods return an async iterator, so you can process
+     * items as they arrive:
+     *
+     *   for await (const booking of kadence.iterateBookings({ type: 'desk' })) { ... }
+     *
+     * The getAll* methods collect every item into an array. Both accept the same options as the paginator above,
+     * i.e. { maxItems, concurrency }.
+     *
+     * Only GET requests are retried by default. Requests that change bookings (e.g. createBooking or checkIn) are not
+     * idempotent, if you know a retry is safe (e.g. because you check the booking status before retrying) pass
+     * { idempotent: true } as the options.
+     */
+    static {
+        for (const endpoint of endpoints) {
+            const pathParamCount = (endpoint.path.match(/\{\w+\}/g) || []).length;
+            const hasBody = BODY_METHODS.indexOf(endpoint.method || 'get') >= 0;
+
+            this.prototype[endpoint.name] = async function (...args) {
+                const pathValues = args.slice(0, pathParamCount);
+                const [params, ...rest] = args.slice(pathParamCount);
+                const data = hasBody ? rest[0] : undefined;
+                const options = hasBody ? rest[1] : rest[0];
+
+                return await this.#request(endpoint, pathValues, params, data, options);
+            };
+
+            if (endpoint.collection) {
+                const collectionName = endpoint.name.replace(/^get/, '');
+
+                this.prototype[`iterate${collectionName}`] = function (...args) {
+                    const pathValues = args.slice(0, pathParamCount);
+                    const [params, options] = args.slice(pathParamCount);
+
+                    return this.#paginate(endpoint, pathValues, params, options);
+                };
+
+                this.prototype[`getAll${collectionName}`] = async function (...args) {
+                    return await this.#getAll(this[`iterate${collectionName}`](...args));
+                };
+            }
+        }
     }
 }
-module.exports = Kadence;
\ No newline at end of file
+module.exports = Kadence;
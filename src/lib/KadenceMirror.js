@@ -0,0 +1,588 @@
+/**
+ * This class keeps a copy of Kadence data (buildings, floors, neighborhoods, spaces, users and bookings) in a local
+ * SQLite database, so reports over months of bookings don't have to page through the Kadence API every time.
+ *
+ * sync() copies the data from the Kadence API using the Kadence client:
+ *
+ *  1. Buildings, floors, neighborhoods, spaces and users are copied in full every time, and anything that's no longer
+ *     returned by the API is removed.
+ *  2. The first time, bookings ending in the last `historyDays` days (or since a given date) onwards are copied. After
+ *     that only bookings ending from `recheckDays` days before the previous sync are fetched again (with an
+ *     endDateTime[after] filter). Kadence still changes the status of a booking for a while after it ends (e.g. to
+ *     completed or autoCancelled, or when someone checks out late), so bookings that ended shortly before the previous
+ *     sync are fetched again too. The Kadence API can't filter on when a booking was last changed. Bookings in that
+ *     range that are no longer returned by the API (e.g. because they were deleted) are removed.
+ *  3. The progress of each resource is kept in the sync_state table: when it was last synced, how many items were
+ *     copied and the error if the last sync failed.
+ *
+ * Each resource has its own table with the resource as JSON in the `data` column, along with columns for the filters
+ * the Kadence API supports, so you can also query the mirror directly, e.g.
+ *
+ *   SELECT status, COUNT(*) FROM bookings WHERE local_start >= '2024-01-01' GROUP BY status;
+ *
+ * The Kadence class can read from the mirror instead of the API, see the `mirror` option of the Kadence class. fetch()
+ * answers GET requests for endpoints declared with `mirror` in endpoints.js in the same shape as the Kadence API,
+ * including the filters, ordering and pagination. Requests the mirror can't answer completely (a resource that hasn't
+ * been synced recently, an item it doesn't have or bookings from before the copied history) return null, so they're
+ * sent to the Kadence API instead. As the mirror is only as fresh as the last sync, it's meant for reports rather than
+ * anything that needs to see a booking as soon as it's made, like checking in.
+ */
+
+const Database = require('better-sqlite3');
+const { DateTime } = require('luxon');
+const queryString = require('../shared/queryString');
+const { KadenceValidationError } = require('./errors');
+
+const DEFAULT_HISTORY_DAYS = 365;
+const DEFAULT_RECHECK_DAYS = 1;
+const DEFAULT_MAX_AGE = 3600;
+const DEFAULT_CONCURRENCY = 4;
+const PAGE_SIZE = 200;
+
+// Local filters compare against the wall clock time in the building, which can be up to 14 hours either side of UTC.
+const LOCAL_TIME_MARGIN_HOURS = 14;
+
+const DEFAULT_ITEMS_PER_PAGE = 30;
+const MAX_ITEMS_PER_PAGE = 1000;
+const LOCAL_DATE_FORMAT = "yyyy-MM-dd'T'HH:mm:ss";
+
+/**
+ * The resources in the mirror, in the order they're synced (bookings need the building time zones). Each has its
+ * JSON-LD type, the method of the Kadence client used to copy it and the columns stored alongside the JSON, worked out
+ * from each item.
+ */
+const RESOURCES = {
+    buildings: {
+        type: 'Building',
+        iterate: 'iterateBuildings',
+        columns: {
+            name: (building) => building.name
+        }
+    },
+    floors: {
+        type: 'Floor',
+        iterate: 'iterateFloors',
+        columns: {
+            name: (floor) => floor.name,
+            building_id: (floor) => toId(floor.buildingId || floor.building)
+        }
+    },
+    neighborhoods: {
+        type: 'Neighborhood',
+        iterate: 'iterateNeighborhoods',
+        columns: {
+            name: (neighborhood) => neighborhood.name,
+            building_id: (neighborhood) => toId(neighborhood.buildingId || neighborhood.building),
+            floor_id: (neighborhood) => toId(neighborhood.floorId || neighborhood.floor)
+        }
+    },
+    spaces: {
+        type: 'Space',
+        iterate: 'iterateSpaces',
+        columns: {
+            name: (space) => space.name,
+            type: (space) => space.type,
+            building_id: (space) => toId(space.buildingId || space.building),
+            floor_id: (space) => toId(space.floorId || space.floor),
+            neighborhood_id: (space) => toId(space.neighborhoodId || space.neighborhood)
+        }
+    },
+    users: {
+        type: 'User',
+        iterate: 'iterateUsers',
+        columns: {
+            email: (user) => user.email,
+            first_name: (user) => user.firstName,
+            last_name: (user) => user.lastName
+        }
+    },
+    bookings: {
+        type: 'Booking',
+        iterate: 'iterateBookings',
+        columns: {
+            type: (booking) => booking.type,
+            status: (booking) => booking.status,
+            source: (booking) => booking.source,
+            permanent: (booking) => booking.permanent ? '1' : '0',
+            user_id: (booking) => toId(booking.userId),
+            building_id: (booking) => toId(booking.building),
+            floor_id: (booking) => booking.space ? toId(booking.space.floor) : null,
+            neighborhood_id: (booking) => booking.space ? toId(booking.space.neighborhood) : null,
+            space_id: (booking) => booking.space ? booking.space.id : null,
+            start_date: (booking) => toUtc(booking.startDate),
+            end_date: (booking) => toUtc(booking.endDate),
+            local_start: (booking, timeZones) => toLocal(booking.startDate, timeZones.get(toId(booking.building))),
+            local_end: (booking, timeZones) => toLocal(booking.endDate, timeZones.get(toId(booking.building)))
+        }
+    }
+};
+
+// The Kadence API filters and the columns they're matched against, for the tables that have the column.
+const FILTER_COLUMNS = {
+    name: 'name',
+    type: 'type',
+    status: 'status',
+    source: 'source',
+    permanent: 'permanent',
+    email: 'email',
+    firstName: 'first_name',
+    lastName: 'last_name',
+    userId: 'user_id',
+    buildingId: 'building_id',
+    floorId: 'floor_id',
+    neighborhoodId: 'neighborhood_id',
+    spaceId: 'space_id'
+};
+
+const DATE_FILTER_COLUMNS = {
+    startDateTime: { utc: 'start_date', local: 'local_start' },
+    endDateTime: { utc: 'end_date', local: 'local_end' }
+};
+
+const DATE_OPERATORS = {
+    after: '>=',
+    before: '<=',
+    strictly_after: '>',
+    strictly_before: '<'
+};
+
+const ORDER_COLUMNS = {
+    name: 'name',
+    startDateTime: 'start_date',
+    endDateTime: 'end_date'
+};
+
+class KadenceMirror {
+
+    static RESOURCES = Object.keys(RESOURCES);
+    static DEFAULT_FILE = 'kadence-mirror.sqlite';
+
+    #db;
+    #historyDays;
+    #recheckDays;
+    #concurrency;
+    #maxAge;
+
+    /**
+     * Opens (or creates) the mirror in the SQLite database file. Supported options:
+     *
+     *  - historyDays: how many days of past bookings the first sync copies (defaults to 365).
+     *  - recheckDays: bookings that ended from the start of this many days before the previous sync are fetched again,
+     *    so changes made to them after they ended are copied too (defaults to 1, i.e. from the start of the day before).
+     *  - concurrency: how many pages to request from the Kadence API at the same time while syncing (defaults to 4).
+     *  - maxAge: how many seconds after a resource was last synced fetch() stops answering for it, so reads go back to
+     *    the Kadence API if the sync stops running (defaults to 3600).
+     */
+    constructor(file, options) {
+        options = options || {};
+
+        this.#db = new Database(file || KadenceMirror.DEFAULT_FILE);
+        this.#historyDays = options.historyDays > 0 ? options.historyDays : DEFAULT_HISTORY_DAYS;
+        this.#recheckDays = options.recheckDays >= 0 ? options.recheckDays : DEFAULT_RECHECK_DAYS;
+        this.#concurrency = Math.max(1, parseInt(options.concurrency, 10) || DEFAULT_CONCURRENCY);
+        this.#maxAge = options.maxAge > 0 ? options.maxAge : DEFAULT_MAX_AGE;
+
+        // Write-ahead logging lets the server keep reading from the mirror while a sync is writing to it.
+        this.#db.pragma('journal_mode = WAL');
+        this.#createTables();
+    }
+
+    #createTables() {
+        for (const resource of KadenceMirror.RESOURCES) {
+            const columns = Object.keys(RESOURCES[resource].columns).map((column) => `${column} TEXT COLLATE NOCASE`);
+
+            this.#db.exec(`CREATE TABLE IF NOT EXISTS ${resource} (
+                id TEXT PRIMARY KEY,
+                ${columns.join(',\n')},
+                data TEXT NOT NULL,
+                synced_at TEXT NOT NULL
+            )`);
+        }
+
+        this.#db.exec(`
+            CREATE INDEX IF NOT EXISTS bookings_start_date ON bookings (start_date);
+            CREATE INDEX IF NOT EXISTS bookings_end_date ON bookings (end_date);
+            CREATE INDEX IF NOT EXISTS bookings_local_start ON bookings (local_start);
+            CREATE INDEX IF NOT EXISTS bookings_user_id ON bookings (user_id);
+            CREATE INDEX IF NOT EXISTS bookings_building_id ON bookings (building_id);
+            CREATE TABLE IF NOT EXISTS sync_state (
+                resource TEXT PRIMARY KEY,
+                status TEXT NOT NULL,
+                started_at TEXT,
+                finished_at TEXT,
+                last_synced_at TEXT,
+                history_from TEXT,
+                items INTEGER,
+                error TEXT
+            )
+        `);
+    }
+
+    /**
+     * Returns the sync state of every resource that has been synced, e.g.
+     * [{ resource: 'bookings', status: 'succeeded', lastSyncedAt: '...', historyFrom: '...', items: 120, ... }]
+     */
+    getSyncState() {
+        return this.#db.prepare('SELECT * FROM sync_state ORDER BY resource').all().map((state) => ({
+            resource: state.resource,
+            status: state.status,
+            startedAt: state.started_at,
+            finishedAt: state.finished_at,
+            lastSyncedAt: state.last_synced_at,
+            historyFrom: state.history_from,
+            items: state.items,
+            error: state.error
+        }));
+    }
+
+    /**
+     * Copies the resources from the Kadence API into the mirror. The Kadence client must read from the API, not from
+     * this mirror. Supported options:
+     *
+     *  - resources: the resources to sync, e.g. ['bookings'] (defaults to all of them).
+     *  - full: copy every resource in full, including all bookings since `since`, rather than only what's changed.
+     *  - since: the date (YYYY-MM-DD) to copy bookings from on the first or a full sync (defaults to historyDays ago).
+     *  - onProgress({ resource, status, items, error }): called as each resource starts and finishes.
+     *
+     * Resolves with the number of items copied for each resource. If a resource fails, the error is recorded in the
+     * sync state and thrown, and the resources after it aren't synced.
+     */
+    async sync(kadence, options) {
+        options = options || {};
+
+        const resources = options.resources || KadenceMirror.RESOURCES;
+        const unknown = resources.filter((resource) => KadenceMirror.RESOURCES.indexOf(resource) < 0);
+        const onProgress = options.onProgress || (() => {});
+        const results = {};
+
+        if (unknown.length) {
+            throw new KadenceValidationError(`Unknown resource(s) "${unknown.join(', ')}", expected: ${KadenceMirror.RESOURCES.join(', ')}`, {
+                status: 400,
+                title: 'Unknown resource',
+                violations: [{ propertyPath: 'resources', message: `This value should be one of: ${KadenceMirror.RESOURCES.join(', ')}.`, code: null }]
+            });
+        }
+
+        if (options.since && !DateTime.fromISO(String(options.since)).isValid) {
+            throw new KadenceValidationError(`Invalid since date "${options.since}", expected YYYY-MM-DD`, {
+                status: 400,
+                title: 'Validation failed',
+                violations: [{ propertyPath: 'since', message: 'This value should be a date in the format YYYY-MM-DD.', code: null }]
+            });
+        }
+
+        // Keep to the order of RESOURCES, whatever order they were asked for in.
+        for (const resource of KadenceMirror.RESOURCES.filter((name) => resources.indexOf(name) >= 0)) {
+            const startedAt = new Date().toISOString();
+
+            this.#updateState(resource, { status: 'running', started_at: startedAt, error: null });
+            onProgress({ resource: resource, status: 'running' });
+
+            try {
+                const items = resource === 'bookings'
+                    ? await this.#syncBookings(kadence, startedAt, options)
+                    : await this.#syncResource(kadence, resource, startedAt);
+
+                results[resource] = items;
+                onProgress({ resource: resource, status: 'succeeded', items: items });
+            } catch (e) {
+                this.#updateState(resource, { status: 'failed', finished_at: new Date().toISOString(), error: e.message });
+                onProgress({ resource: resource, status: 'failed', error: e });
+                throw e;
+            }
+        }
+
+        return results;
+    }
+
+    async #syncResource(kadence, resource, startedAt) {
+        const items = await this.#copy(kadence, resource, {}, startedAt);
+
+        // Anything the API didn't return this time has been removed from Kadence.
+        this.#db.prepare(`DELETE FROM ${resource} WHERE synced_at != ?`).run(startedAt);
+        this.#updateState(resource, {
+            status: 'succeeded',
+            finished_at: new Date().toISOString(),
+            last_synced_at: startedAt,
+            items: items
+        });
+
+        return items;
+    }
+
+    async #syncBookings(kadence, startedAt, options) {
+        const state = this.#getState('bookings');
+        const incremental = !options.full && state && state.last_synced_at;
+        const from = incremental
+            ? DateTime.fromISO(state.last_synced_at, { zone: 'utc' }).minus({ days: this.#recheckDays }).startOf('day')
+            : (options.since ? DateTime.fromISO(String(options.since), { zone: 'utc' }) : DateTime.utc().minus({ days: this.#historyDays }).startOf('day'));
+        const historyFrom = incremental ? state.history_from : from.toISO();
+
+        const items = await this.#copy(kadence, 'bookings', {
+            endDateTime: { after: from.toISO() }
+        }, startedAt);
+
+        // Bookings in the range we asked for that weren't returned have been deleted. After a full sync, anything
+        // older than the history we asked for is removed too.
+        if (incremental) {
+            this.#db.prepare('DELETE FROM bookings WHERE end_date >= ? AND synced_at != ?').run(toUtc(from.toISO()), startedAt);
+        } else {
+            this.#db.prepare('DELETE FROM bookings WHERE synced_at != ?').run(startedAt);
+        }
+
+        this.#updateState('bookings', {
+            status: 'succeeded',
+            finished_at: new Date().toISOString(),
+            last_synced_at: startedAt,
+            history_from: historyFrom,
+            items: items
+        });
+
+        return items;
+    }
+
+    // Copies every item the API returns for the params into the table, a page at a time.
+    async #copy(kadence, resource, params, startedAt) {
+        const definition = RESOURCES[resource];
+        const columns = Object.keys(definition.columns);
+        const timeZones = this.#getTimeZones();
+        const upsert = this.#db.prepare(`
+            INSERT INTO ${resource} (id, ${columns.join(', ')}, data, synced_at)
+            VALUES (@id, ${columns.map((column) => '@' + column).join(', ')}, @data, @synced_at)
+            ON CONFLICT (id) DO UPDATE SET
+                ${columns.map((column) => `${column} = excluded.${column}`).join(', ')},
+                data = excluded.data,
+                synced_at = excluded.synced_at
+        `);
+        const upsertPage = this.#db.transaction((items) => {
+            for (const item of items) {
+                const row = { id: item.id, data: JSON.stringify(item), synced_at: startedAt };
+
+                columns.forEach((column) => {
+                    const value = definition.columns[column](item, timeZones);
+                    row[column] = value === undefined ? null : value;
+                });
+
+                upsert.run(row);
+            }
+        });
+        let page = [];
+        let count = 0;
+
+        for await (const item of kadence[definition.iterate]({ ...params, itemsPerPage: PAGE_SIZE }, { concurrency: this.#concurrency })) {
+            page.push(item);
+            count++;
+
+            if (page.length === PAGE_SIZE) {
+                upsertPage(page);
+                page = [];
+            }
+        }
+
+        upsertPage(page);
+
+        return count;
+    }
+
+    #getTimeZones() {
+        const buildings = this.#db.prepare('SELECT id, data FROM buildings').all();
+        return new Map(buildings.map((building) => [building.id, JSON.parse(building.data).timeZone || 'UTC']));
+    }
+
+    #getState(resource) {
+        return this.#db.prepare('SELECT * FROM sync_state WHERE resource = ?').get(resource) || null;
+    }
+
+    #updateState(resource, changes) {
+        const state = { ...this.#getState(resource), ...changes, resource: resource };
+        const columns = ['resource', 'status', 'started_at', 'finished_at', 'last_synced_at', 'history_from', 'items', 'error'];
+
+        this.#db.prepare(`INSERT OR REPLACE INTO sync_state (${columns.join(', ')}) VALUES (${columns.map((column) => '@' + column).join(', ')})`)
+            .run(Object.fromEntries(columns.map((column) => [column, state[column] === undefined ? null : state[column]])));
+    }
+
+    /**
+     * Answers a GET request to the Kadence API (the full URL) for the resource from the mirror, resolving with a
+     * response in the same shape as the Kadence client's: { status, headers, data, mirror: { syncedAt } }. Resolves
+     * with null if the request should be sent to the Kadence API instead.
+     */
+    async fetch(resource, url) {
+        const state = this.#getState(resource);
+
+        if (!state || !state.last_synced_at || !RESOURCES[resource]) {
+            return null;
+        }
+
+        if (Date.now() - Date.parse(state.last_synced_at) > this.#maxAge * 1000) {
+            return null;
+        }
+
+        const { pathname, search } = new URL(url);
+        // e.g. ['bookings'], ['bookings', '<id>'] or ['users', '<id>', 'bookings']
+        const parts = pathname.replace(/^\/v1\/public\//, '').split('/').map(decodeURIComponent);
+        let data;
+
+        if (parts.length === 2) {
+            data = this.#getItem(resource, parts[1]);
+        } else {
+            const params = queryString.parse(search);
+
+            // Users' bookings are the only nested collection.
+            if (parts.length === 3) {
+                params.userId = parts[1];
+            }
+
+            data = resource === 'bookings' && !isWithinHistory(params, state.history_from)
+                ? null
+                : this.#getCollection(resource, pathname, params);
+        }
+
+        if (!data) {
+            return null;
+        }
+
+        return {
+            status: 200,
+            headers: {},
+            data: data,
+            mirror: { syncedAt: state.last_synced_at }
+        };
+    }
+
+    #getItem(resource, id) {
+        const row = this.#db.prepare(`SELECT data FROM ${resource} WHERE id = ?`).get(id);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    #getCollection(resource, pathname, params) {
+        const columns = Object.keys(RESOURCES[resource].columns);
+        const where = [];
+        const values = [];
+
+        Object.keys(FILTER_COLUMNS).forEach((filter) => {
+            const column = FILTER_COLUMNS[filter];
+
+            if (params[filter] === undefined || columns.indexOf(column) < 0) {
+                return;
+            }
+
+            const allowed = [].concat(params[filter]).map((value) => column === 'permanent' ? toBoolean(value) : String(value));
+            where.push(`${column} IN (${allowed.map(() => '?').join(', ')})`);
+            values.push(...allowed);
+        });
+
+        Object.keys(DATE_FILTER_COLUMNS).forEach((filter) => {
+            if (!params[filter] || typeof params[filter] !== 'object' || columns.indexOf(DATE_FILTER_COLUMNS[filter].utc) < 0) {
+                return;
+            }
+
+            Object.keys(params[filter]).forEach((operator) => {
+                const isLocal = operator.startsWith('local_');
+                const comparison = DATE_OPERATORS[isLocal ? operator.substring('local_'.length) : operator];
+
+                if (!comparison) {
+                    return;
+                }
+
+                // Local filters compare the wall clock time in the building's time zone, so any offset is ignored.
+                where.push(`${DATE_FILTER_COLUMNS[filter][isLocal ? 'local' : 'utc']} ${comparison} ?`);
+                values.push(isLocal ? String(params[filter][operator]).substring(0, 19) : toUtc(params[filter][operator]));
+            });
+        });
+
+        const order = params.order && typeof params.order === 'object'
+            ? Object.keys(params.order)
+                .filter((key) => ORDER_COLUMNS[key] && columns.indexOf(ORDER_COLUMNS[key]) >= 0)
+                .map((key) => `${ORDER_COLUMNS[key]} ${String(params.order[key]).toLowerCase() === 'desc' ? 'DESC' : 'ASC'}`)
+            : [];
+        const sql = `FROM ${resource}${where.length ? ' WHERE ' + where.join(' AND ') : ''}`;
+        const total = this.#db.prepare(`SELECT COUNT(*) AS total ${sql}`).get(...values).total;
+        const paginated = params.pagination !== 'false';
+        const itemsPerPage = Math.min(MAX_ITEMS_PER_PAGE, parseInt(params.itemsPerPage, 10) || DEFAULT_ITEMS_PER_PAGE);
+        const page = Math.max(1, parseInt(params.page, 10) || 1);
+        const lastPage = Math.max(1, Math.ceil(total / itemsPerPage));
+        const rows = this.#db.prepare(`SELECT data ${sql} ORDER BY ${[...order, 'rowid'].join(', ')}${paginated ? ' LIMIT ? OFFSET ?' : ''}`)
+            .all(...values, ...(paginated ? [itemsPerPage, (page - 1) * itemsPerPage] : []));
+
+        const collection = {
+            '@context': `/v1/public/contexts/${RESOURCES[resource].type}`,
+            '@id': pathname,
+            '@type': 'hydra:Collection',
+            'hydra:totalItems': total,
+            'hydra:member': rows.map((row) => JSON.parse(row.data))
+        };
+
+        if (paginated && lastPage > 1) {
+            const getPageUri = (pageNumber) => `${pathname}?${queryString.stringify({ ...params, page: pageNumber })}`;
+
+            collection['hydra:view'] = {
+                '@id': getPageUri(page),
+                '@type': 'hydra:PartialCollectionView',
+                'hydra:first': getPageUri(1),
+                'hydra:last': getPageUri(lastPage)
+            };
+            if (page > 1) {
+                collection['hydra:view']['hydra:previous'] = getPageUri(page - 1);
+            }
+            if (page < lastPage) {
+                collection['hydra:view']['hydra:next'] = getPageUri(page + 1);
+            }
+        }
+
+        return collection;
+    }
+
+    close() {
+        this.#db.close();
+    }
+}
+
+// Items refer to other resources by IRI, e.g. /v1/public/buildings/<id>, or as an embedded resource.
+function toId(value) {
+    if (!value) {
+        return null;
+    }
+
+    return typeof value === 'object' ? value.id : String(value).split('/').pop();
+}
+
+// Dates are stored in UTC in the same format, so they can be compared as text.
+function toUtc(value) {
+    const date = DateTime.fromISO(String(value), { zone: 'utc' });
+    return date.isValid ? date.toUTC().toISO() : null;
+}
+
+function toLocal(value, timeZone) {
+    const date = DateTime.fromISO(String(value)).setZone(timeZone || 'UTC');
+    return date.isValid ? date.toFormat(LOCAL_DATE_FORMAT) : null;
+}
+
+function toBoolean(value) {
+    return value === true || value === 'true' || value === '1' ? '1' : '0';
+}
+
+/**
+ * The mirror only has bookings that end after history_from, so it can only answer queries that can't match anything
+ * older, i.e. that only ask for bookings starting or ending after a date within the history.
+ */
+function isWithinHistory(params, historyFrom) {
+    const from = DateTime.fromISO(historyFrom);
+
+    return Object.keys(DATE_FILTER_COLUMNS).some((filter) => {
+        const operators = params[filter] && typeof params[filter] === 'object' ? params[filter] : {};
+
+        return ['after', 'strictly_after', 'local_after', 'local_strictly_after'].some((operator) => {
+            if (!operators[operator]) {
+                return false;
+            }
+
+            const value = operator.startsWith('local_')
+                ? DateTime.fromISO(String(operators[operator]).substring(0, 19), { zone: 'utc' }).minus({ hours: LOCAL_TIME_MARGIN_HOURS })
+                : DateTime.fromISO(String(operators[operator]), { zone: 'utc' });
+
+            return value.isValid && value >= from;
+        });
+    });
+}
+
+module.exports = KadenceMirror;
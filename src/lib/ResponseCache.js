@@ -0,0 +1,230 @@
+/**
+ * This class caches responses from the Kadence API for reference data that rarely changes (buildings, floors, spaces
+ * and neighborhoods), so pages that load the same data over and over are served from memory. The Kadence class uses it
+ * for every GET endpoint declared with `cache` in endpoints.js, see the `cache` option of the Kadence class.
+ *
+ *  1. Each kind of resource has its own time to live (ttl), after which a cached response is stale.
+ *  2. A stale response is still returned for up to `staleWhileRevalidate` seconds, while a fresh copy is fetched in the
+ *     background for the next caller. After that it's fetched again before returning.
+ *  3. The least recently used responses are evicted once there are more than `maxEntries`.
+ *  4. Responses can optionally be saved to a file, so the cache survives restarts of the server.
+ *
+ * Responses returned by fetch() have a `cache` property describing where they came from: { status, age }, where status
+ * is HIT, STALE or MISS and age is the number of seconds since the response was received from the API.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Time to live in seconds for each kind of resource.
+const DEFAULT_TTL = {
+    buildings: 3600,
+    floors: 3600,
+    neighborhoods: 3600,
+    spaces: 900
+};
+const DEFAULT_STALE_WHILE_REVALIDATE = 300;
+const DEFAULT_MAX_ENTRIES = 1000;
+const SAVE_DELAY = 1000;
+
+class ResponseCache {
+
+    #ttl;
+    #staleWhileRevalidate;
+    #maxEntries;
+    #file;
+    #entries;
+    #pending;
+    #generation;
+    #saveTimer;
+
+    /**
+     * Supported options:
+     *
+     *  - ttl: time to live in seconds for each kind of resource, e.g. { buildings: 3600, spaces: 900 }. These are merged
+     *    with the defaults above, a ttl of 0 turns caching off for that resource.
+     *  - staleWhileRevalidate: how many seconds a stale response is still returned for while it's refreshed (defaults
+     *    to 300).
+     *  - maxEntries: the maximum number of responses to keep (defaults to 1000).
+     *  - file: the path of a JSON file to save the cache to. Any responses already in the file are loaded straight away.
+     */
+    constructor(options) {
+        options = options || {};
+
+        this.#ttl = { ...DEFAULT_TTL, ...options.ttl };
+        this.#staleWhileRevalidate = options.staleWhileRevalidate >= 0 ? options.staleWhileRevalidate : DEFAULT_STALE_WHILE_REVALIDATE;
+        this.#maxEntries = options.maxEntries > 0 ? options.maxEntries : DEFAULT_MAX_ENTRIES;
+        this.#file = options.file || null;
+        this.#entries = new Map();
+        this.#pending = new Map();
+        this.#generation = 0;
+
+        if (this.#file) {
+            this.#load();
+        }
+    }
+
+    isCached(resource) {
+        return this.#ttl[resource] > 0;
+    }
+
+    /**
+     * Returns the cached response for the key, calling load() to fetch it from the API if there's no usable response in
+     * the cache. Only successful responses are cached, errors thrown by load() are passed on to the caller.
+     */
+    async fetch(resource, key, load) {
+        if (!this.isCached(resource)) {
+            return await load();
+        }
+
+        const entry = this.#entries.get(key);
+        const age = entry ? Date.now() - entry.storedAt : Infinity;
+        const ttl = this.#ttl[resource] * 1000;
+
+        if (age < ttl) {
+            this.#touch(key, entry);
+            return this.#toResponse(entry, 'HIT');
+        }
+
+        if (age < ttl + this.#staleWhileRevalidate * 1000) {
+            this.#touch(key, entry);
+
+            // Errors are ignored here, the stale response will be fetched again by a later call.
+            this.#refresh(resource, key, load).catch((e) => console.error(`Unable to refresh ${key}`, e.message));
+
+            return this.#toResponse(entry, 'STALE');
+        }
+
+        const response = await this.#refresh(resource, key, load);
+        return this.#toResponse(this.#toEntry(resource, response), 'MISS');
+    }
+
+    /**
+     * Removes every cached response for a kind of resource (e.g. 'buildings'), or everything if no resource is given.
+     * Returns the number of responses removed. Requests that are still running were started before the invalidation,
+     * so their responses aren't cached and the next fetch() requests them again.
+     */
+    invalidate(resource) {
+        let count = 0;
+
+        this.#generation++;
+
+        for (const [key, entry] of this.#entries) {
+            if (!resource || entry.resource === resource) {
+                this.#entries.delete(key);
+                count++;
+            }
+        }
+
+        for (const [key, pending] of this.#pending) {
+            if (!resource || pending.resource === resource) {
+                this.#pending.delete(key);
+            }
+        }
+
+        this.#scheduleSave();
+
+        return count;
+    }
+
+    // Concurrent calls for the same key share a single request to the API.
+    #refresh(resource, key, load) {
+        if (!this.#pending.has(key)) {
+            const generation = this.#generation;
+            const pending = {
+                resource: resource,
+                promise: load()
+                    .then((response) => {
+                        if (generation === this.#generation) {
+                            this.#touch(key, this.#toEntry(resource, response));
+                            this.#evict();
+                            this.#scheduleSave();
+                        }
+
+                        return response;
+                    })
+                    .finally(() => {
+                        if (this.#pending.get(key) === pending) {
+                            this.#pending.delete(key);
+                        }
+                    })
+            };
+
+            this.#pending.set(key, pending);
+        }
+
+        return this.#pending.get(key).promise;
+    }
+
+    // Maps keep their insertion order, so moving an entry to the end keeps the least recently used entry first.
+    #touch(key, entry) {
+        this.#entries.delete(key);
+        this.#entries.set(key, entry);
+    }
+
+    #evict() {
+        while (this.#entries.size > this.#maxEntries) {
+            this.#entries.delete(this.#entries.keys().next().value);
+        }
+    }
+
+    #toEntry(resource, response) {
+        return {
+            resource: resource,
+            status: response.status,
+            headers: { 'content-type': response.headers ? response.headers['content-type'] : undefined },
+            data: response.data,
+            storedAt: Date.now()
+        };
+    }
+
+    // Callers get their own copy of the data, so changing it doesn't change what's in the cache.
+    #toResponse(entry, status) {
+        return {
+            status: entry.status,
+            headers: { ...entry.headers },
+            data: structuredClone(entry.data),
+            cache: {
+                status: status,
+                age: Math.floor((Date.now() - entry.storedAt) / 1000)
+            }
+        };
+    }
+
+    #load() {
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.#file, 'utf8'));
+            (saved.entries || []).forEach(([key, entry]) => this.#entries.set(key, entry));
+            this.#evict();
+        } catch (e) {
+            if (e.code !== 'ENOENT') {
+                console.error(`Unable to load the response cache from ${this.#file}`, e.message);
+            }
+        }
+    }
+
+    // Changes are saved shortly after they're made, so a burst of requests only results in one write. The file is
+    // written to a temporary file first so a crash part way through never leaves a half written cache behind.
+    #scheduleSave() {
+        if (!this.#file || this.#saveTimer) {
+            return;
+        }
+
+        this.#saveTimer = setTimeout(async () => {
+            this.#saveTimer = null;
+
+            const temporaryFile = `${this.#file}.tmp`;
+
+            try {
+                await fs.promises.mkdir(path.dirname(this.#file), { recursive: true });
+                await fs.promises.writeFile(temporaryFile, JSON.stringify({ entries: Array.from(this.#entries) }));
+                await fs.promises.rename(temporaryFile, this.#file);
+            } catch (e) {
+                console.error(`Unable to save the response cache to ${this.#file}`, e.message);
+            }
+        }, SAVE_DELAY);
+        this.#saveTimer.unref();
+    }
+}
+
+module.exports = ResponseCache;
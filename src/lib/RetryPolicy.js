@@ -0,0 +1,80 @@
+/**
+ * This class decides whether a request to the Kadence API should be retried, and how long to wait before doing so.
+ *
+ * Only idempotent requests are retried, i.e. GET requests or requests that have been explicitly marked with
+ * `idempotent: true`. They are retried when the API is rate limiting us (429), is temporarily unavailable (5xx) or
+ * the request failed with a network error. The delay between attempts grows exponentially with 'full jitter' so that
+ * several clients backing off at the same time don't retry in lockstep. If the API sends a Retry-After header we wait
+ * for as long as it asks instead.
+ */
+
+const { parseRetryAfter } = require('./errors');
+
+const RETRYABLE_METHODS = ['get', 'head', 'options'];
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+class RetryPolicy {
+
+    #retries;
+    #baseDelay;
+    #maxDelay;
+    #maxRetryAfter;
+
+    /**
+     * Supported options:
+     *
+     *  - retries: the maximum number of retries for a request (defaults to 3, set to 0 to disable retries).
+     *  - baseDelay: the delay in milliseconds the exponential backoff starts at (defaults to 500).
+     *  - maxDelay: the maximum backoff delay in milliseconds (defaults to 30000).
+     *  - maxRetryAfter: the longest Retry-After in milliseconds we are prepared to wait, if the API asks us to wait
+     *    longer the response is returned as-is (defaults to 60000).
+     */
+    constructor(options) {
+        options = options || {};
+
+        this.#retries = options.retries >= 0 ? options.retries : 3;
+        this.#baseDelay = options.baseDelay >= 0 ? options.baseDelay : 500;
+        this.#maxDelay = options.maxDelay >= 0 ? options.maxDelay : 30000;
+        this.#maxRetryAfter = options.maxRetryAfter >= 0 ? options.maxRetryAfter : 60000;
+    }
+
+    /**
+     * Returns the number of milliseconds to wait before retrying, or null if the request should not be retried.
+     * `attempt` is the number of retries that have already been made.
+     */
+    getRetryDelay(config, attempt, response, error) {
+        if (attempt >= this.#retries || !this.#isIdempotent(config)) {
+            return null;
+        }
+
+        if (error) {
+            // Errors with a response are not network errors (and anything else, e.g. a failure to retrieve an access
+            // token, isn't something a retry will fix).
+            return error.isAxiosError && !error.response ? this.#getBackoffDelay(attempt) : null;
+        }
+
+        if (RETRYABLE_STATUSES.indexOf(response.status) < 0) {
+            return null;
+        }
+
+        const retryAfter = parseRetryAfter(response.headers && response.headers['retry-after']);
+        if (retryAfter !== null) {
+            return retryAfter * 1000 <= this.#maxRetryAfter ? retryAfter * 1000 : null;
+        }
+
+        return this.#getBackoffDelay(attempt);
+    }
+
+    #isIdempotent(config) {
+        if (config.idempotent !== undefined) {
+            return !!config.idempotent;
+        }
+        return RETRYABLE_METHODS.indexOf((config.method || 'get').toLowerCase()) >= 0;
+    }
+
+    #getBackoffDelay(attempt) {
+        const ceiling = Math.min(this.#maxDelay, this.#baseDelay * Math.pow(2, attempt));
+        return Math.round(Math.random() * ceiling);
+    }
+}
+module.exports = RetryPolicy;
@@ -0,0 +1,127 @@
+/**
+ * This class retrieves and caches access tokens for the Kadence API using the OAuth client credentials grant.
+ *
+ *  1. Concurrent calls share a single token request, so firing off several API calls at once (e.g. with Promise.all)
+ *     only results in one call to the OAuth server.
+ *  2. Tokens are refreshed ahead of their expiry (see refreshMargin), both when they're requested and in the
+ *     background. The background timer is unref'd so it never keeps the Node process alive. Tokens that expire within
+ *     twice the margin are refreshed half way through their lifetime instead, so they're still used for a while.
+ *  3. A token rejected by the API can be invalidated, so that the next call retrieves a fresh one.
+ *
+ * Failures to retrieve a token are thrown as a KadenceAuthError, or a KadenceNetworkError if the OAuth server couldn't
+ * be reached.
+ */
+
+const axios = require('axios');
+const { KadenceAuthError, KadenceNetworkError } = require('./errors');
+
+const DEFAULT_REFRESH_MARGIN = 60;
+
+class TokenManager {
+
+    #authBaseUrl;
+    #apiIdentifier;
+    #apiSecret;
+    #refreshMargin;
+    #token;
+    #refreshAt;
+    #pendingToken;
+    #refreshTimer;
+
+    /**
+     * Supported options:
+     *
+     *  - authBaseUrl: the base URL of the OAuth server.
+     *  - refreshMargin: how many seconds before expiry a token is refreshed (defaults to 60).
+     */
+    constructor(identifier, secret, options) {
+        options = options || {};
+
+        this.#apiIdentifier = identifier;
+        this.#apiSecret = secret;
+        this.#authBaseUrl = options.authBaseUrl;
+        this.#refreshMargin = options.refreshMargin >= 0 ? options.refreshMargin : DEFAULT_REFRESH_MARGIN;
+    }
+
+    async getAccessToken() {
+        if (this.#token && Date.now() < this.#refreshAt) {
+            return this.#token;
+        }
+
+        return await this.#refresh();
+    }
+
+    // Forgets the given token (if it's still the current one), e.g. after the API has responded with a 401.
+    invalidate(accessToken) {
+        if (!accessToken || accessToken === this.#token) {
+            this.#token = null;
+            this.#refreshAt = 0;
+            clearTimeout(this.#refreshTimer);
+        }
+    }
+
+    #refresh() {
+        // If there's already a request in flight, share it rather than requesting another token.
+        if (!this.#pendingToken) {
+            this.#pendingToken = this.#requestToken()
+                .finally(() => {
+                    this.#pendingToken = null;
+                });
+        }
+        return this.#pendingToken;
+    }
+
+    async #requestToken() {
+        let authResponse;
+
+        try {
+            authResponse = await axios.post(`${this.#authBaseUrl}/oauth2/token`, {
+                grant_type: 'client_credentials',
+                client_id: this.#apiIdentifier,
+                client_secret: this.#apiSecret,
+                scope: 'public'
+            }, {
+                validateStatus: () => true
+            });
+        } catch (e) {
+            throw new KadenceNetworkError(`Unable to reach the Kadence OAuth server: ${e.message}`, { cause: e });
+        }
+
+        const data = authResponse.data || {};
+
+        if (authResponse.status !== 200 || !data.access_token) {
+            const description = data.error_description || data.error || 'no access token returned';
+            throw new KadenceAuthError(`Unable to retrieve an access token (${authResponse.status}): ${description}`, {
+                status: authResponse.status,
+                title: 'Authentication failed',
+                description: description,
+                data: data
+            });
+        }
+
+        const expiresIn = data.expires_in || 0;
+        const refreshIn = expiresIn - Math.min(this.#refreshMargin, expiresIn / 2);
+
+        this.#token = data.access_token;
+        this.#refreshAt = Date.now() + refreshIn * 1000;
+        this.#scheduleRefresh(refreshIn);
+
+        return this.#token;
+    }
+
+    #scheduleRefresh(refreshIn) {
+        clearTimeout(this.#refreshTimer);
+
+        const delay = refreshIn * 1000;
+        if (delay <= 0) {
+            return;
+        }
+
+        // A failed background refresh is not fatal, the next call to getAccessToken will try again.
+        this.#refreshTimer = setTimeout(() => {
+            this.#refresh().catch(() => {});
+        }, delay);
+        this.#refreshTimer.unref();
+    }
+}
+module.exports = TokenManager;
@@ -0,0 +1,206 @@
+/**
+ * This class receives webhooks from access control, WiFi and other systems and checks in the users they report
+ * arriving, using CheckInService. Each source has an adapter (see webhookAdapters.js) that turns its payload into
+ * events, which then go through the same steps:
+ *
+ *  1. The request is verified: it must be signed with the shared secret within the last `tolerance` seconds, see
+ *     verifySignature().
+ *  2. Repeated events are dropped. A sender may retry a webhook (same event ID), and people often swipe or reconnect
+ *     several times in a few minutes. Only the first event for a user from a source within `deduplicationWindow`
+ *     seconds is checked in.
+ *  3. The identity in the event (an email, user ID, username or badge number) is mapped to a Kadence user, see the
+ *     `identities` option of CheckInService.
+ *  4. The user is checked in to their bookings on the day of the event.
+ *
+ * receive() resolves with the outcome of each event: { id, identity, timestamp, details, result, message, checkIn },
+ * where result is one of the CheckInService results, or RESULT_IGNORED, RESULT_DUPLICATE or RESULT_UNMAPPED if the
+ * user wasn't checked in before getting that far.
+ */
+
+const crypto = require('crypto');
+const adapters = require('./webhookAdapters');
+const CheckInService = require('./CheckInService');
+const { KadenceAuthError, KadenceError, KadenceNotFoundError, KadenceValidationError } = require('./errors');
+
+const DEFAULT_DEDUPLICATION_WINDOW = 300;
+const DEFAULT_TOLERANCE = 300;
+const SIGNATURE = /^sha256=([0-9a-f]{64})$/i;
+
+class WebhookReceiver {
+
+    static SIGNATURE_HEADER = 'x-kadence-signature';
+    static TIMESTAMP_HEADER = 'x-kadence-timestamp';
+
+    static RESULT_IGNORED = 'ignored';
+    static RESULT_DUPLICATE = 'duplicate';
+    static RESULT_UNMAPPED = 'unmapped';
+
+    #checkInService;
+    #secret;
+    #tolerance;
+    #deduplicationWindow;
+    #recent;
+
+    /**
+     * Supported options:
+     *
+     *  - secret: the secret shared with the senders, used to verify the signature of each request. Webhooks are
+     *    refused until a secret is set.
+     *  - tolerance: how many seconds either side of the server's clock the signed timestamp of a request can be, so a
+     *    captured request can't be replayed later (defaults to 300).
+     *  - deduplicationWindow: seconds during which repeated events for the same user are dropped (defaults to 300).
+     */
+    constructor(checkInService, options) {
+        options = options || {};
+
+        this.#checkInService = checkInService;
+        this.#secret = options.secret || null;
+        this.#tolerance = (options.tolerance > 0 ? Number(options.tolerance) : DEFAULT_TOLERANCE) * 1000;
+        this.#deduplicationWindow = (options.deduplicationWindow >= 0 ? Number(options.deduplicationWindow) : DEFAULT_DEDUPLICATION_WINDOW) * 1000;
+        this.#recent = new Map();
+    }
+
+    static get sources() {
+        return adapters.map((adapter) => adapter.name);
+    }
+
+    /**
+     * Handles a webhook from a source (e.g. 'radius'). rawBody is the body exactly as it was received, which is what
+     * the signature is computed over, and body is the parsed payload.
+     */
+    async receive(source, rawBody, body, signature, timestamp) {
+        const adapter = adapters.find((candidate) => candidate.name === source);
+
+        if (!adapter) {
+            throw new KadenceNotFoundError(`Unknown webhook source "${source}", expected one of: ${WebhookReceiver.sources.join(', ')}`, {
+                status: 404
+            });
+        }
+
+        this.verifySignature(rawBody, signature, timestamp);
+
+        let events;
+
+        try {
+            events = adapter.parse(body);
+        } catch (e) {
+            throw new KadenceValidationError(`Invalid ${source} webhook: ${e.message}`, {
+                status: 400,
+                title: 'Invalid webhook',
+                violations: [{ propertyPath: '', message: e.message, code: null }]
+            });
+        }
+
+        this.#forgetOldEvents();
+
+        const results = [];
+
+        // Events are handled one at a time, so a repeated swipe later in the same payload is seen as a duplicate.
+        for (const event of events) {
+            results.push(await this.#handle(source, event));
+        }
+
+        return results;
+    }
+
+    /**
+     * Throws a KadenceAuthError unless the signature is the HMAC-SHA256 of `<timestamp>.<raw body>` with the shared
+     * secret, sent as a hex digest prefixed with 'sha256=' in the X-Kadence-Signature header, and the timestamp (in
+     * seconds since the epoch, sent in the X-Kadence-Timestamp header) is within `tolerance` of now. Signing the
+     * timestamp along with the body means a captured request can't be sent again once it's too old.
+     */
+    verifySignature(rawBody, signature, timestamp) {
+        if (!this.#secret) {
+            throw new KadenceError('Webhooks are not configured, set KADENCE_WEBHOOK_SECRET to receive them.', { status: 503 });
+        }
+
+        const match = SIGNATURE.exec(String(signature || ''));
+        const expected = crypto.createHmac('sha256', this.#secret).update(`${timestamp}.${rawBody || ''}`).digest();
+
+        // timingSafeEqual() stops the signature being guessed a character at a time from how long the comparison takes.
+        // The hex digest is checked by the pattern above, so both are always 32 bytes.
+        if (!match || !crypto.timingSafeEqual(Buffer.from(match[1], 'hex'), expected)) {
+            throw new KadenceAuthError('The webhook signature is missing or invalid.', { status: 401 });
+        }
+
+        if (!/^\d+$/.test(String(timestamp)) || Math.abs(Date.now() - Number(timestamp) * 1000) > this.#tolerance) {
+            throw new KadenceAuthError('The webhook timestamp is missing or too far from the current time.', { status: 401 });
+        }
+    }
+
+    async #handle(source, event) {
+        const outcome = {
+            id: event.id,
+            identity: event.identity,
+            timestamp: event.timestamp,
+            details: event.details,
+            result: null,
+            message: null,
+            checkIn: null
+        };
+
+        if (event.ignored) {
+            return { ...outcome, result: WebhookReceiver.RESULT_IGNORED, message: event.ignored };
+        }
+
+        if (this.#isDuplicate(source, event)) {
+            return { ...outcome, result: WebhookReceiver.RESULT_DUPLICATE };
+        }
+
+        try {
+            const user = await this.#checkInService.findUserByIdentity(event.identity);
+
+            if (user === undefined) {
+                return { ...outcome, result: WebhookReceiver.RESULT_UNMAPPED, message: `No user is mapped to ${event.identity.type} ${event.identity.value}.` };
+            }
+
+            if (!user) {
+                return { ...outcome, result: CheckInService.RESULT_USER_NOT_FOUND, message: `Unable to find the user for ${event.identity.type} ${event.identity.value}.` };
+            }
+
+            const checkIn = await this.#checkInService.checkInUser(user, event.method, { at: event.timestamp });
+
+            if (checkIn.result === CheckInService.RESULT_FAILED) {
+                this.#recent.delete(getKey(source, event));
+            }
+
+            return { ...outcome, result: checkIn.result, checkIn: checkIn };
+        } catch (e) {
+            // Let the sender retry this event, rather than treating the retry as a duplicate.
+            this.#recent.delete(getKey(source, event));
+            return { ...outcome, result: CheckInService.RESULT_FAILED, message: e.description || e.message };
+        }
+    }
+
+    // An event is a duplicate if we've seen its ID, or another event for the same user within the window.
+    #isDuplicate(source, event) {
+        const key = getKey(source, event);
+        const time = new Date(event.timestamp).getTime();
+        const previous = this.#recent.get(key);
+
+        if (previous && ((event.id && previous.ids.has(event.id)) || Math.abs(time - previous.time) < this.#deduplicationWindow)) {
+            previous.ids.add(event.id);
+            return true;
+        }
+
+        this.#recent.set(key, { time: time, receivedAt: Date.now(), ids: new Set([event.id]) });
+
+        return false;
+    }
+
+    #forgetOldEvents() {
+        const cutoff = Date.now() - this.#deduplicationWindow;
+
+        for (const [key, recent] of this.#recent) {
+            if (recent.receivedAt < cutoff) {
+                this.#recent.delete(key);
+            }
+        }
+    }
+}
+
+function getKey(source, event) {
+    return `${source}|${event.identity.type}|${event.identity.value.toLowerCase()}`;
+}
+
+module.exports = WebhookReceiver;
@@ -0,0 +1,90 @@
+/**
+ * The booking filters shared by the dashboard endpoints (analytics, reports and exports), so the same query string
+ * selects the same bookings everywhere:
+ *
+ *  - from / to: the first and last day (YYYY-MM-DD) the bookings start on, in each building's time zone. `from`
+ *    defaults to today, leave out `to` for every booking from `from` onwards.
+ *  - type, status, source, buildingId, floorId, neighborhoodId: only bookings with one of these values. Each accepts a
+ *    single value, a comma separated list (type=desk,room) or an array (type[]=desk&type[]=room).
+ *
+ * parseBookingFilters() returns the filters it understood, along with the parameters to send to the Kadence API's
+ * booking collection for them. Invalid filters are thrown as a KadenceValidationError listing each problem.
+ */
+
+const { DateTime } = require('luxon');
+const { KadenceValidationError } = require('./errors');
+
+const LIST_FILTERS = ['type', 'status', 'source', 'buildingId', 'floorId', 'neighborhoodId'];
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function toList(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    const list = [].concat(value)
+        .flatMap((item) => String(item).split(','))
+        .map((item) => item.trim())
+        .filter(Boolean);
+
+    return list.length ? list : null;
+}
+
+function isDate(value) {
+    return DATE.test(value) && DateTime.fromISO(value).isValid;
+}
+
+function parseBookingFilters(query) {
+    query = query || {};
+
+    const violations = [];
+    const filters = {
+        from: query.from || DateTime.now().toISODate(),
+        to: query.to || null
+    };
+
+    ['from', 'to'].forEach((name) => {
+        if (filters[name] && !isDate(String(filters[name]))) {
+            violations.push({ propertyPath: name, message: 'This value should be a date in the format YYYY-MM-DD.', code: null });
+        }
+    });
+
+    if (!violations.length && filters.to && filters.to < filters.from) {
+        violations.push({ propertyPath: 'to', message: 'This value should be on or after the from date.', code: null });
+    }
+
+    if (violations.length) {
+        throw new KadenceValidationError(
+            'Invalid booking filters: ' + violations.map((v) => `${v.propertyPath}: ${v.message}`).join(' '),
+            {
+                status: 400,
+                title: 'Validation failed',
+                violations: violations
+            }
+        );
+    }
+
+    LIST_FILTERS.forEach((name) => {
+        filters[name] = toList(query[name]);
+    });
+
+    // The local_* filters compare against the time in each booking's building, so a day is the building's day.
+    const params = {
+        startDateTime: {
+            local_after: `${filters.from}T00:00:00Z`,
+            local_before: filters.to ? `${filters.to}T23:59:59Z` : null
+        }
+    };
+
+    LIST_FILTERS.forEach((name) => {
+        if (filters[name]) {
+            params[name] = filters[name].length === 1 ? filters[name][0] : filters[name];
+        }
+    });
+
+    return { filters: filters, params: params };
+}
+
+module.exports = {
+    parseBookingFilters
+};
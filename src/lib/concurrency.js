@@ -0,0 +1,28 @@
+/**
+ * Helpers for running a limited number of asynchronous tasks at once, e.g. so that processing a large batch of users
+ * doesn't send hundreds of requests to the Kadence API at the same time.
+ */
+
+/**
+ * Calls fn for every item with at most `concurrency` calls in progress at once, resolving with the results in order.
+ * If a call rejects, the returned promise rejects with the same error.
+ */
+async function mapWithConcurrency(items, concurrency, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(Math.max(1, concurrency), items.length) }, worker));
+
+    return results;
+}
+
+module.exports = {
+    mapWithConcurrency
+};
@@ -0,0 +1,108 @@
+/**
+ * A small CSV parser for the files exported by door access and badge systems. It follows RFC 4180: fields are separated
+ * by commas, records by CRLF or LF, and fields containing commas, quotes or line breaks are wrapped in double quotes
+ * with any quotes inside doubled ("").
+ *
+ * parseCsv() returns an object for each record keyed by the (lower cased) column names in the first line, e.g.
+ *
+ *   email,timestamp,door
+ *   alice@example.com,2024-01-01T08:55:00Z,Main Entrance
+ *
+ * becomes [{ email: 'alice@example.com', timestamp: '2024-01-01T08:55:00Z', door: 'Main Entrance' }]. Blank lines are
+ * skipped. Each record also has the line it started on as `line`, so errors can point back to the file.
+ *
+ * toCsvRow() does the opposite for a single record, quoting only the fields that need it and ending with CRLF.
+ */
+
+function parseRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') {
+                    line++;
+                }
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            // CRLF is a single line break.
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+
+            row.push(field);
+            rows.push({ line: rowLine, fields: row });
+            row = [];
+            field = '';
+            rowLine = ++line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error(`Unterminated quoted field starting on line ${rowLine}.`);
+    }
+
+    if (field || row.length) {
+        row.push(field);
+        rows.push({ line: rowLine, fields: row });
+    }
+
+    // Skip blank lines, including the one left by a trailing line break.
+    return rows.filter((parsed) => parsed.fields.length > 1 || parsed.fields[0].trim() !== '');
+}
+
+function parseCsv(text) {
+    // Spreadsheet applications often start the file with a byte order mark.
+    const rows = parseRows(String(text).replace(/^\uFEFF/, ''));
+
+    if (!rows.length) {
+        return [];
+    }
+
+    const columns = rows[0].fields.map((column) => column.trim().toLowerCase());
+
+    return rows.slice(1).map((row) => {
+        const record = { line: row.line };
+
+        columns.forEach((column, index) => {
+            record[column] = row.fields[index] !== undefined ? row.fields[index].trim() : '';
+        });
+
+        return record;
+    });
+}
+
+function toCsvField(value) {
+    const field = value === null || value === undefined ? '' : String(value);
+
+    return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+function toCsvRow(values) {
+    return values.map(toCsvField).join(',') + '\r\n';
+}
+
+module.exports = {
+    parseCsv,
+    toCsvRow
+};
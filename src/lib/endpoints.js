@@ -0,0 +1,170 @@
+/**
+ * The Kadence API endpoints available on the Kadence class. Each entry here creates a method on the class with the
+ * same name, so adding support for another endpoint only takes one more declaration:
+ *
+ *  - name: the name of the method.
+ *  - path: the path of the endpoint. {placeholders} are filled in from the leading arguments of the method, in order.
+ *  - method: the HTTP method (defaults to 'get').
+ *  - filters: the query parameters the endpoint accepts. Anything else is rejected before the API is called.
+ *  - collection: set for collection endpoints. Paging parameters are accepted automatically and iterate<Name> and
+ *    getAll<Name> methods are created to page through the whole collection (e.g. iterateBookings, getAllBookings).
+ *  - headers: any additional headers to send.
+ *  - validate: a function from validation.js that checks the request body before it's sent.
+ *  - cache: the kind of resource returned, for endpoints whose responses can be cached when the Kadence client's cache
+ *    is enabled (see ResponseCache.js). Each kind of resource has its own time to live.
+ *  - mirror: the kind of resource returned, for endpoints that can be read from a local copy of the data when the
+ *    Kadence client is given a mirror (see KadenceMirror.js).
+ *
+ * The generated methods take the path parameters first, followed by (params, options) or, for endpoints that send a
+ * body, (params, data, options). For example: getBooking(bookingId, params), createBooking(params, data) and
+ * checkIn(bookingId, params, data).
+ *
+ * For the full list of endpoints and filters see the API specification: https://api.kadence.co/
+ */
+
+const { validateCreateBooking, validateUpdateBooking } = require('./validation');
+
+const BOOKING_FILTERS = [
+    'startDateTime',
+    'endDateTime',
+    'type',
+    'status',
+    'source',
+    'permanent',
+    'spaceId',
+    'floorId',
+    'buildingId',
+    'neighborhoodId'
+];
+
+module.exports = [
+    {
+        name: 'getBooking',
+        path: '/v1/public/bookings/{bookingId}',
+        mirror: 'bookings'
+    },
+    {
+        name: 'getBookings',
+        path: '/v1/public/bookings',
+        collection: true,
+        filters: [...BOOKING_FILTERS, 'userId'],
+        mirror: 'bookings'
+    },
+    {
+        name: 'createBooking',
+        method: 'post',
+        path: '/v1/public/bookings',
+        headers: {
+            'Content-Type': 'application/ld+json'
+        },
+        validate: validateCreateBooking
+    },
+    {
+        name: 'updateBooking',
+        method: 'patch',
+        path: '/v1/public/bookings/{bookingId}',
+        headers: {
+            'Content-Type': 'application/merge-patch+json'
+        },
+        validate: validateUpdateBooking
+    },
+    {
+        name: 'cancelBooking',
+        method: 'post',
+        path: '/v1/public/bookings/{bookingId}/cancel',
+        headers: {
+            'Content-Type': 'application/ld+json'
+        }
+    },
+    {
+        name: 'checkIn',
+        method: 'post',
+        path: '/v1/public/bookings/{bookingId}/check-in',
+        headers: {
+            'Content-Type': 'application/ld+json'
+        }
+    },
+    {
+        name: 'checkOut',
+        method: 'post',
+        path: '/v1/public/bookings/{bookingId}/check-out',
+        headers: {
+            'Content-Type': 'application/ld+json'
+        }
+    },
+    {
+        name: 'getUser',
+        path: '/v1/public/users/{userId}',
+        mirror: 'users'
+    },
+    {
+        name: 'getUsers',
+        path: '/v1/public/users',
+        collection: true,
+        filters: ['email', 'firstName', 'lastName'],
+        mirror: 'users'
+    },
+    {
+        name: 'getUserBookings',
+        path: '/v1/public/users/{userId}/bookings',
+        collection: true,
+        filters: BOOKING_FILTERS,
+        mirror: 'bookings'
+    },
+    {
+        name: 'getBuilding',
+        path: '/v1/public/buildings/{buildingId}',
+        cache: 'buildings',
+        mirror: 'buildings'
+    },
+    {
+        name: 'getBuildings',
+        path: '/v1/public/buildings',
+        collection: true,
+        filters: ['name'],
+        cache: 'buildings',
+        mirror: 'buildings'
+    },
+    {
+        name: 'getFloor',
+        path: '/v1/public/floors/{floorId}',
+        cache: 'floors',
+        mirror: 'floors'
+    },
+    {
+        name: 'getFloors',
+        path: '/v1/public/floors',
+        collection: true,
+        filters: ['name', 'buildingId'],
+        cache: 'floors',
+        mirror: 'floors'
+    },
+    {
+        name: 'getNeighborhood',
+        path: '/v1/public/neighborhoods/{neighborhoodId}',
+        cache: 'neighborhoods',
+        mirror: 'neighborhoods'
+    },
+    {
+        name: 'getNeighborhoods',
+        path: '/v1/public/neighborhoods',
+        collection: true,
+        filters: ['name', 'buildingId', 'floorId'],
+        cache: 'neighborhoods',
+        mirror: 'neighborhoods'
+    },
+    {
+        name: 'getSpace',
+        path: '/v1/public/spaces/{spaceId}',
+        cache: 'spaces',
+        mirror: 'spaces'
+    },
+    {
+        name: 'getSpaces',
+        path: '/v1/public/spaces',
+        collection: true,
+        filters: ['name', 'type', 'buildingId', 'floorId', 'neighborhoodId'],
+        cache: 'spaces',
+        mirror: 'spaces'
+    }
+];
@@ -0,0 +1,135 @@
+/**
+ * Errors thrown by the Kadence API wrapper. Catch KadenceError to handle every error raised by the wrapper, or one of
+ * its subclasses to handle a specific kind of failure:
+ *
+ *  - KadenceAuthError: an access token couldn't be retrieved, or the API rejected it (401/403).
+ *  - KadenceNotFoundError: the resource doesn't exist (404).
+ *  - KadenceValidationError: the request was invalid (400/422), `violations` lists the fields that failed validation.
+ *  - KadenceRateLimitError: we've been rate limited (429), `retryAfter` is the number of seconds to wait if known.
+ *  - KadenceNetworkError: no response was received from the API, e.g. a DNS failure or connection reset.
+ *
+ * Anything else (e.g. a 5xx response) is thrown as a KadenceError. All errors have the HTTP `status` (if there was a
+ * response), a human-readable `title` and `description` parsed from the error body, and the raw body as `data`.
+ */
+
+class KadenceError extends Error {
+    constructor(message, options) {
+        options = options || {};
+        super(message, { cause: options.cause });
+
+        this.name = this.constructor.name;
+        this.status = options.status || null;
+        this.title = options.title || null;
+        this.description = options.description || message;
+        this.data = options.data || null;
+    }
+}
+
+class KadenceAuthError extends KadenceError {}
+
+class KadenceNotFoundError extends KadenceError {}
+
+class KadenceValidationError extends KadenceError {
+    constructor(message, options) {
+        options = options || {};
+        super(message, options);
+
+        // [{ propertyPath, message, code }]
+        this.violations = options.violations || [];
+    }
+}
+
+class KadenceRateLimitError extends KadenceError {
+    constructor(message, options) {
+        options = options || {};
+        super(message, options);
+
+        this.retryAfter = options.retryAfter !== undefined ? options.retryAfter : null;
+    }
+}
+
+class KadenceNetworkError extends KadenceError {}
+
+/**
+ * Error bodies from the API come in a few shapes depending on where the error was raised: hydra errors
+ * ('hydra:title' / 'hydra:description'), RFC 7807 problem details ('title' / 'detail'), constraint violation lists
+ * ('violations'), authentication errors ('code' / 'message') and OAuth errors ('error' / 'error_description').
+ */
+function parseErrorBody(data) {
+    if (!data || typeof data !== 'object') {
+        return {
+            title: null,
+            description: typeof data === 'string' && data.length ? data : null,
+            violations: []
+        };
+    }
+
+    const violations = (data.violations || []).map((violation) => ({
+        propertyPath: violation.propertyPath || null,
+        message: violation.message || violation.title || null,
+        code: violation.code || null
+    }));
+
+    return {
+        title: data['hydra:title'] || data.title || data.error || null,
+        description: data['hydra:description'] || data.detail || data.message || data.error_description || null,
+        violations: violations
+    };
+}
+
+// Retry-After can either be a number of seconds or an HTTP date, we always return the number of seconds.
+function parseRetryAfter(header) {
+    if (!header) {
+        return null;
+    }
+
+    if (/^\d+$/.test(String(header).trim())) {
+        return parseInt(header, 10);
+    }
+
+    const date = Date.parse(header);
+    return isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+// Creates the appropriate error for an unsuccessful response from the API.
+function createErrorFromResponse(response) {
+    const body = parseErrorBody(response.data);
+    const status = response.status;
+    const message = `${body.description || body.title || 'Request failed'} (${status})`;
+    const options = {
+        status: status,
+        title: body.title,
+        description: body.description,
+        data: response.data
+    };
+
+    if (status === 401 || status === 403) {
+        return new KadenceAuthError(message, options);
+    }
+
+    if (status === 404) {
+        return new KadenceNotFoundError(message, options);
+    }
+
+    if (status === 400 || status === 422) {
+        return new KadenceValidationError(message, { ...options, violations: body.violations });
+    }
+
+    if (status === 429) {
+        const retryAfter = parseRetryAfter(response.headers && response.headers['retry-after']);
+        return new KadenceRateLimitError(message, { ...options, retryAfter: retryAfter });
+    }
+
+    return new KadenceError(message, options);
+}
+
+module.exports = {
+    KadenceError,
+    KadenceAuthError,
+    KadenceNotFoundError,
+    KadenceValidationError,
+    KadenceRateLimitError,
+    KadenceNetworkError,
+    createErrorFromResponse,
+    parseRetryAfter
+};
@@ -0,0 +1,160 @@
+/**
+ * Sanitisation of floorplan SVGs before they're inserted into a web page. A floorplan is just an image, but an SVG can
+ * contain scripts, event handler attributes and references to other files, all of which would run or be fetched in the
+ * page it's inserted into. sanitiseSvg() parses the SVG and only keeps what's needed to draw it:
+ *
+ *  - Elements that aren't in ALLOWED_ELEMENTS are removed along with their children (e.g. <script>, <foreignObject>
+ *    and editor metadata).
+ *  - Event handler attributes (onclick, onload...) and attributes from other namespaces are removed.
+ *  - Links and url() references are only kept if they point to something in the same SVG (#id), or are an embedded
+ *    image (data:image/...). Anything pointing to another file or site is removed.
+ *  - Style sheets and attributes are also removed if they contain anything else that can load from another file or
+ *    site: @import, image() and image-set() (which take plain strings as well as url()), quoted strings and escapes
+ *    (which could hide any of these).
+ *
+ * Space IDs are also normalised to the space::<type>::<spaceId> scheme used by the examples, as floorplans exported by
+ * different tools use slightly different separators and casing (e.g. SPACE:DESK:<spaceId> or space-desk-<spaceId>).
+ */
+
+const { DOMParser, XMLSerializer } = require('@xmldom/xmldom');
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const XLINK_NAMESPACE = 'http://www.w3.org/1999/xlink';
+
+const ALLOWED_ELEMENTS = [
+    'svg', 'g', 'defs', 'symbol', 'use', 'title', 'desc', 'style',
+    'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'path', 'image',
+    'text', 'tspan', 'textPath',
+    'linearGradient', 'radialGradient', 'stop', 'pattern', 'clipPath', 'mask', 'marker',
+    'filter', 'feBlend', 'feColorMatrix', 'feComposite', 'feFlood', 'feGaussianBlur', 'feMerge', 'feMergeNode',
+    'feMorphology', 'feOffset'
+];
+
+const URL_REFERENCE = /url\(\s*(['"]?)(.*?)\1\s*\)/gi;
+const SPACE_ID = /^space[\W_]+(?:([a-z]+)[\W_]+)?([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|[\w-]+)$/i;
+
+function isInternalReference(value) {
+    return String(value).trim().startsWith('#');
+}
+
+function isEmbeddedImage(value) {
+    return /^data:image\/(png|jpe?g|gif|webp);/i.test(String(value).trim());
+}
+
+// True if a style sheet or attribute value only references things in the same SVG.
+function hasOnlyInternalUrls(value) {
+    for (const match of value.matchAll(URL_REFERENCE)) {
+        if (!isInternalReference(match[2]) && !isEmbeddedImage(match[2])) {
+            return false;
+        }
+    }
+
+    // Once the url() references that are allowed are taken out, anything else that could load from elsewhere is
+    // refused rather than trying to parse the CSS, at the cost of e.g. dropping quoted font names.
+    const rest = value.replace(URL_REFERENCE, '');
+
+    return !/@import|url\(|image(-set)?\s*\(|expression\(|javascript:|['"\\]/i.test(rest);
+}
+
+// Both href and xlink:href, whatever prefix the XLink namespace is bound to.
+function isLinkAttribute(attribute) {
+    return attribute.localName === 'href' && (!attribute.namespaceURI || attribute.namespaceURI === XLINK_NAMESPACE);
+}
+
+// Returns the ID in the space::<type>::<spaceId> scheme, IDs that aren't for a space are returned unchanged.
+function normaliseSpaceId(id) {
+    const match = SPACE_ID.exec(id);
+
+    if (!match) {
+        return id;
+    }
+
+    return `space::${(match[1] || 'unknown').toLowerCase()}::${match[2]}`;
+}
+
+function sanitiseAttributes(element) {
+    for (const attribute of Array.from(element.attributes)) {
+        const name = attribute.name;
+        const value = attribute.value;
+        const isNamespaceDeclaration = name === 'xmlns' || name.startsWith('xmlns:');
+        const isAllowedNamespace = !attribute.namespaceURI || attribute.namespaceURI === XLINK_NAMESPACE;
+
+        let allowed = isNamespaceDeclaration || (isAllowedNamespace && !/^on/i.test(attribute.localName));
+
+        if (allowed && isLinkAttribute(attribute)) {
+            allowed = isInternalReference(value) || (element.localName === 'image' && isEmbeddedImage(value));
+        } else if (allowed && !isNamespaceDeclaration) {
+            allowed = hasOnlyInternalUrls(value);
+        }
+
+        if (!allowed) {
+            element.removeAttributeNode(attribute);
+        } else if (name === 'id') {
+            element.setAttribute('id', normaliseSpaceId(value));
+        }
+    }
+}
+
+function sanitiseElement(element) {
+    for (const child of Array.from(element.childNodes)) {
+        if (child.nodeType === child.ELEMENT_NODE) {
+            if (child.namespaceURI !== SVG_NAMESPACE || !ALLOWED_ELEMENTS.includes(child.localName)) {
+                element.removeChild(child);
+                continue;
+            }
+
+            sanitiseElement(child);
+        } else if (child.nodeType !== child.TEXT_NODE && child.nodeType !== child.CDATA_SECTION_NODE) {
+            // Comments and processing instructions aren't needed to draw the floorplan.
+            element.removeChild(child);
+        }
+    }
+
+    sanitiseAttributes(element);
+
+    // Style sheets that load anything from elsewhere are dropped entirely rather than trying to repair them.
+    if (element.localName === 'style' && !hasOnlyInternalUrls(element.textContent)) {
+        element.parentNode.removeChild(element);
+    }
+}
+
+/**
+ * Returns the sanitised SVG as a string. Throws an error if the SVG can't be parsed, or isn't an SVG at all.
+ */
+function sanitiseSvg(svg) {
+    let document = null;
+    let parseError = null;
+
+    // Fatal errors are thrown by the parser, anything less is only reported. Warnings (e.g. an unknown entity) are
+    // ignored, but we don't try to make sense of an SVG with errors in it.
+    try {
+        document = new DOMParser({
+            onError: (level, message) => {
+                if (level !== 'warning' && !parseError) {
+                    parseError = message;
+                }
+            }
+        }).parseFromString(String(svg), 'image/svg+xml');
+    } catch (e) {
+        parseError = parseError || e.message;
+    }
+
+    if (parseError) {
+        throw new Error(`Unable to parse the floorplan SVG: ${parseError}`);
+    }
+
+    const root = document.documentElement;
+
+    if (!root || root.namespaceURI !== SVG_NAMESPACE || root.localName !== 'svg') {
+        throw new Error('The floorplan is not an SVG.');
+    }
+
+    sanitiseElement(root);
+
+    return new XMLSerializer().serializeToString(root);
+}
+
+module.exports = {
+    sanitiseSvg,
+    normaliseSpaceId
+};
@@ -0,0 +1,95 @@
+/**
+ * Validation of request bodies before they're sent to the Kadence API. Each validator returns a list of violations in
+ * the same shape as the API ({ propertyPath, message, code }), an empty list means the data is valid. Endpoints
+ * reference these from endpoints.js with `validate`.
+ *
+ * This only catches obvious mistakes early (missing fields, invalid dates), the API remains the source of truth for
+ * e.g. whether a space is available.
+ */
+
+const BOOKING_TYPES = ['desk', 'room', 'onsite'];
+const BOOKING_UPDATE_FIELDS = ['spaceId', 'startDateTime', 'endDateTime'];
+
+function violation(propertyPath, message) {
+    return { propertyPath: propertyPath, message: message, code: null };
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+function isValidDateTime(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value) && !isNaN(Date.parse(value));
+}
+
+function validateDateRange(data, violations, required) {
+    for (const field of ['startDateTime', 'endDateTime']) {
+        if (isBlank(data[field])) {
+            if (required) {
+                violations.push(violation(field, 'This value should not be blank.'));
+            }
+        } else if (!isValidDateTime(data[field])) {
+            violations.push(violation(field, 'This value should be an ISO 8601 date and time, e.g. 2024-01-01T09:00:00Z.'));
+        }
+    }
+
+    if (isValidDateTime(data.startDateTime) && isValidDateTime(data.endDateTime) &&
+        Date.parse(data.endDateTime) <= Date.parse(data.startDateTime)) {
+        violations.push(violation('endDateTime', 'The end of a booking should be after its start.'));
+    }
+}
+
+function validateCreateBooking(data) {
+    data = data || {};
+    const violations = [];
+
+    if (isBlank(data.userId)) {
+        violations.push(violation('userId', 'This value should not be blank.'));
+    }
+
+    if (BOOKING_TYPES.indexOf(data.type) < 0) {
+        violations.push(violation('type', `This value should be one of: ${BOOKING_TYPES.join(', ')}.`));
+    }
+
+    // Desk and room bookings are for a space, onsite bookings are for a building.
+    if (data.type === 'onsite') {
+        if (isBlank(data.buildingId)) {
+            violations.push(violation('buildingId', 'This value should not be blank for onsite bookings.'));
+        }
+    } else if (isBlank(data.spaceId)) {
+        violations.push(violation('spaceId', 'This value should not be blank for desk and room bookings.'));
+    }
+
+    validateDateRange(data, violations, true);
+
+    return violations;
+}
+
+function validateUpdateBooking(data) {
+    data = data || {};
+    const violations = [];
+    const fields = Object.keys(data);
+
+    for (const field of fields) {
+        if (BOOKING_UPDATE_FIELDS.indexOf(field) < 0) {
+            violations.push(violation(field, `This field can't be updated, only ${BOOKING_UPDATE_FIELDS.join(', ')} can.`));
+        }
+    }
+
+    if (!fields.length) {
+        violations.push(violation('', `At least one of ${BOOKING_UPDATE_FIELDS.join(', ')} should be given.`));
+    }
+
+    if (fields.indexOf('spaceId') >= 0 && isBlank(data.spaceId)) {
+        violations.push(violation('spaceId', 'This value should not be blank.'));
+    }
+
+    validateDateRange(data, violations, false);
+
+    return violations;
+}
+
+module.exports = {
+    validateCreateBooking,
+    validateUpdateBooking
+};
@@ -0,0 +1,149 @@
+/**
+ * Adapters for the webhooks received by WebhookReceiver.js, one for each kind of system that can tell us someone has
+ * arrived. Each adapter turns the payload it's sent into a list of events in the same shape, so the receiver doesn't
+ * need to know anything about the system that sent them:
+ *
+ *   {
+ *       id: 'abc123',                                   // the sender's ID for the event, if it has one
+ *       identity: { type: 'email', value: '...' },      // who arrived: an email, userId, username or badge number
+ *       timestamp: '2024-01-01T08:55:00Z',              // when they arrived (ISO 8601)
+ *       method: 'doorAccess',                           // the check-in method recorded against their bookings
+ *       ignored: null,                                  // or why the event isn't an arrival, e.g. 'not_an_entry'
+ *       details: { ... }                                // anything else worth reporting, e.g. the door
+ *   }
+ *
+ * Each adapter has a name (used in the URL, /api/webhooks/<name>), the check-in method for its events and a parse()
+ * function. parse() throws an Error with a description of the problem if the payload isn't in the expected format.
+ */
+
+// Accepts ISO 8601 strings and Unix timestamps in seconds, which is what RADIUS servers and most controllers send.
+function toTimestamp(value) {
+    if (value === undefined || value === null || value === '') {
+        return new Date().toISOString();
+    }
+
+    const date = /^\d+$/.test(String(value)) ? new Date(Number(value) * 1000) : new Date(value);
+
+    if (isNaN(date.getTime())) {
+        throw new Error(`Invalid timestamp "${value}".`);
+    }
+
+    return date.toISOString();
+}
+
+function toList(body, key) {
+    if (!body || typeof body !== 'object') {
+        throw new Error('The payload should be a JSON object.');
+    }
+
+    return Array.isArray(body[key]) ? body[key] : [body];
+}
+
+/**
+ * Generic JSON, for anything that can send a simple webhook, e.g. a geofencing app or occupancy sensor:
+ *
+ *   { "id": "...", "email": "alice@example.com", "timestamp": "...", "method": "geofence" }
+ *
+ * Instead of an email the user can be identified by "userId", "username" or "badge". Several events can be sent at
+ * once as { "events": [...] }.
+ */
+const generic = {
+    name: 'generic',
+    method: 'geofence',
+    parse(body) {
+        return toList(body, 'events').map((event) => {
+            const type = ['email', 'userId', 'username', 'badge'].find((key) => event[key]);
+
+            if (!type) {
+                throw new Error('Each event needs an email, userId, username or badge to identify the user.');
+            }
+
+            return {
+                id: event.id ? String(event.id) : null,
+                identity: { type: type, value: String(event[type]).trim() },
+                timestamp: toTimestamp(event.timestamp),
+                method: event.method || generic.method,
+                ignored: null,
+                details: {}
+            };
+        });
+    }
+};
+
+/**
+ * RADIUS accounting, for WiFi. Most RADIUS servers (e.g. FreeRADIUS with rlm_rest) can post their accounting requests
+ * as JSON using the attribute names:
+ *
+ *   { "Acct-Status-Type": "Start", "User-Name": "alice@example.com", "Acct-Session-Id": "...", "Event-Timestamp": 1704099300 }
+ *
+ * Only Start records mean someone has connected, Interim-Update and Stop records are ignored. User names can be an
+ * email address, or a username on its own or with a domain (DOMAIN\alice), which is mapped to a user by the receiver.
+ */
+const radius = {
+    name: 'radius',
+    method: 'wifi',
+    parse(body) {
+        return toList(body, 'records').map((record) => {
+            const userName = String(record['User-Name'] || '').trim();
+            const statusType = String(record['Acct-Status-Type'] || '');
+
+            if (!userName) {
+                throw new Error('Each accounting record needs a User-Name.');
+            }
+
+            const username = userName.indexOf('@') >= 0 ? userName : userName.split('\\').pop();
+
+            return {
+                id: record['Acct-Session-Id'] ? `${record['Acct-Session-Id']}:${statusType}` : null,
+                identity: { type: username.indexOf('@') >= 0 ? 'email' : 'username', value: username },
+                timestamp: toTimestamp(record['Event-Timestamp']),
+                method: radius.method,
+                ignored: statusType.toLowerCase() === 'start' ? null : 'not_a_connection',
+                details: {
+                    accessPoint: record['Called-Station-Id'] || null,
+                    device: record['Calling-Station-Id'] || null
+                }
+            };
+        });
+    }
+};
+
+/**
+ * Door controllers. Access control systems vary, but most can send an event like this when a badge is swiped:
+ *
+ *   {
+ *       "eventId": "...", "eventType": "access_granted", "occurredAt": "...",
+ *       "credential": { "cardNumber": "0012345" }, "cardholder": { "email": "alice@example.com" },
+ *       "door": { "id": "...", "name": "Main Entrance" }
+ *   }
+ *
+ * Only granted access means someone has come in, denied swipes and other events (e.g. door held open) are ignored.
+ * The cardholder's email is used if it's sent, otherwise the card number is mapped to a user by the receiver.
+ */
+const door = {
+    name: 'door',
+    method: 'doorAccess',
+    parse(body) {
+        return toList(body, 'events').map((event) => {
+            const email = event.cardholder && event.cardholder.email;
+            const cardNumber = event.credential && event.credential.cardNumber;
+
+            if (!email && !cardNumber) {
+                throw new Error('Each event needs a cardholder email or credential card number.');
+            }
+
+            return {
+                id: event.eventId ? String(event.eventId) : null,
+                identity: email ? { type: 'email', value: String(email).trim() } : { type: 'badge', value: String(cardNumber).trim() },
+                timestamp: toTimestamp(event.occurredAt),
+                method: door.method,
+                ignored: String(event.eventType || '').toLowerCase() === 'access_granted' ? null : 'not_an_entry',
+                details: {
+                    door: event.door ? (event.door.name || event.door.id || null) : null
+                }
+            };
+        });
+    }
+};
+
+module.exports = [generic, radius, door];
@@ -0,0 +1,711 @@
+/**
+ * This is a small mock of the Kadence public API that can be used for offline development and for testing your own
+ * integrations without live credentials. It implements:
+ *
+ *  1. The OAuth client credentials token endpoint (POST /oauth2/token).
+ *  2. Hydra-shaped /v1/public/* collections and items for bookings, users, buildings, floors, neighborhoods and spaces,
+ *     including paging, ordering and the most commonly used filters.
+ *  3. Creating, updating and cancelling bookings, and checking in to and out of them.
+ *
+ * The data is seeded from the JSON files in ./fixtures. Bookings are stored relative to 'today' (a day offset and a
+ * local start/end time) and are turned into real dates in the time zone of their building when the server starts, so
+ * the examples always have something to show. All changes (e.g. check-ins) are kept in memory only.
+ *
+ * The mock is not a complete implementation of the Kadence API, refer to the API specification for the real
+ * behaviour: https://api.kadence.co/
+ */
+
+const express = require('express');
+const bodyParser = require('body-parser');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const START_PORT = 3100;
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const DEFAULT_TOKEN_EXPIRES_IN = 3600;
+const DEFAULT_ITEMS_PER_PAGE = 30;
+const MAX_ITEMS_PER_PAGE = 1000;
+
+/**
+ * Start of date helpers - i.e. functions used to convert between a building's local time and UTC without any
+ * additional dependencies.
+ */
+
+function getLocalParts(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    })
+        .formatToParts(date)
+        .forEach((part) => {
+            parts[part.type] = part.value;
+        });
+    return parts;
+}
+
+// Returns the local wall clock time of a date in the given time zone, formatted as YYYY-MM-DDTHH:mm:ss.
+function toLocalDateTime(date, timeZone) {
+    const parts = getLocalParts(date, timeZone);
+    return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}`;
+}
+
+// Converts a local date (YYYY-MM-DD) and time (HH:mm) in the given time zone to a UTC date.
+function fromLocalDateTime(localDate, localTime, timeZone) {
+    const guess = new Date(`${localDate}T${localTime}:00Z`);
+    const offset = new Date(toLocalDateTime(guess, timeZone) + 'Z').getTime() - guess.getTime();
+    return new Date(guess.getTime() - offset);
+}
+
+function addDays(localDate, days) {
+    const date = new Date(`${localDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().substring(0, 10);
+}
+
+/**
+ * Start of fixture loading - i.e. functions used to build the in-memory data store from the JSON fixtures.
+ */
+
+function readFixture(fixturesDir, name) {
+    return JSON.parse(fs.readFileSync(path.join(fixturesDir, `${name}.json`), 'utf8'));
+}
+
+function loadStore(fixturesDir, now) {
+    const store = {
+        buildings: readFixture(fixturesDir, 'buildings'),
+        floors: readFixture(fixturesDir, 'floors'),
+        neighborhoods: readFixture(fixturesDir, 'neighborhoods'),
+        spaces: readFixture(fixturesDir, 'spaces'),
+        users: readFixture(fixturesDir, 'users'),
+        bookings: []
+    };
+
+    for (const booking of readFixture(fixturesDir, 'bookings')) {
+        const space = store.spaces.find((spc) => spc.id === booking.spaceId) || null;
+        const buildingId = space ? space.buildingId : booking.buildingId;
+        const building = store.buildings.find((bld) => bld.id === buildingId);
+        const today = toLocalDateTime(now, building.timeZone).substring(0, 10);
+        const day = addDays(today, booking.day || 0);
+
+        store.bookings.push({
+            id: booking.id,
+            type: booking.type,
+            status: booking.status,
+            source: booking.source,
+            permanent: !!booking.permanent,
+            userId: booking.userId,
+            spaceId: space ? space.id : null,
+            floorId: space ? space.floorId : null,
+            neighborhoodId: space ? space.neighborhoodId : null,
+            buildingId: buildingId,
+            startDate: fromLocalDateTime(day, booking.start, building.timeZone).toISOString(),
+            endDate: fromLocalDateTime(day, booking.end, building.timeZone).toISOString(),
+            checkInDate: booking.status === 'checkedIn' ? fromLocalDateTime(day, booking.start, building.timeZone).toISOString() : null,
+            checkInMethod: booking.status === 'checkedIn' ? 'web' : null
+        });
+    }
+
+    return store;
+}
+
+/**
+ * Start of resource definitions - i.e. how each record in the store is filtered and presented in the same shape as the
+ * Kadence API.
+ */
+
+function iri(resource, id) {
+    return id ? `/v1/public/${resource}/${id}` : null;
+}
+
+function findById(records, id) {
+    return records.find((record) => record.id === id) || null;
+}
+
+function getResources(store) {
+    return {
+        buildings: {
+            type: 'Building',
+            filters: {},
+            present: (building) => ({
+                '@id': iri('buildings', building.id),
+                '@type': 'Building',
+                id: building.id,
+                name: building.name,
+                timeZone: building.timeZone,
+                address: building.address
+            })
+        },
+        floors: {
+            type: 'Floor',
+            filters: { buildingId: 'buildingId' },
+            present: (floor, baseUrl) => ({
+                '@id': iri('floors', floor.id),
+                '@type': 'Floor',
+                id: floor.id,
+                name: floor.name,
+                level: floor.level,
+                building: iri('buildings', floor.buildingId),
+                floorPlanUrl: floor.floorPlanUrl ? baseUrl + floor.floorPlanUrl : null
+            })
+        },
+        neighborhoods: {
+            type: 'Neighborhood',
+            filters: { buildingId: 'buildingId', floorId: 'floorId' },
+            present: (neighborhood) => ({
+                '@id': iri('neighborhoods', neighborhood.id),
+                '@type': 'Neighborhood',
+                id: neighborhood.id,
+                name: neighborhood.name,
+                building: iri('buildings', neighborhood.buildingId),
+                floor: iri('floors', neighborhood.floorId)
+            })
+        },
+        spaces: {
+            type: 'Space',
+            filters: { buildingId: 'buildingId', floorId: 'floorId', neighborhoodId: 'neighborhoodId', type: 'type' },
+            present: (space) => ({
+                '@id': iri('spaces', space.id),
+                '@type': 'Space',
+                id: space.id,
+                name: space.name,
+                type: space.type,
+                capacity: space.capacity,
+                amenities: space.amenities,
+                building: iri('buildings', space.buildingId),
+                floor: iri('floors', space.floorId),
+                neighborhood: iri('neighborhoods', space.neighborhoodId)
+            })
+        },
+        users: {
+            type: 'User',
+            filters: { email: 'email', firstName: 'firstName', lastName: 'lastName' },
+            present: (user) => ({
+                '@id': iri('users', user.id),
+                '@type': 'User',
+                id: user.id,
+                firstName: user.firstName,
+                lastName: user.lastName,
+                email: user.email
+            })
+        },
+        bookings: {
+            type: 'Booking',
+            filters: {
+                buildingId: 'buildingId',
+                floorId: 'floorId',
+                neighborhoodId: 'neighborhoodId',
+                spaceId: 'spaceId',
+                userId: 'userId',
+                type: 'type',
+                status: 'status',
+                source: 'source'
+            },
+            dateFilters: { startDateTime: 'startDate', endDateTime: 'endDate' },
+            timeZone: (booking) => findById(store.buildings, booking.buildingId).timeZone,
+            present: (booking) => {
+                const space = findById(store.spaces, booking.spaceId);
+                const floor = space ? findById(store.floors, space.floorId) : null;
+
+                return {
+                    '@id': iri('bookings', booking.id),
+                    '@type': 'Booking',
+                    id: booking.id,
+                    type: booking.type,
+                    status: booking.status,
+                    source: booking.source,
+                    permanent: booking.permanent,
+                    userId: iri('users', booking.userId),
+                    building: iri('buildings', booking.buildingId),
+                    space: space ? {
+                        '@id': iri('spaces', space.id),
+                        id: space.id,
+                        name: space.name,
+                        type: space.type,
+                        neighborhood: iri('neighborhoods', space.neighborhoodId),
+                        floor: {
+                            '@id': iri('floors', floor.id),
+                            id: floor.id,
+                            name: floor.name
+                        }
+                    } : null,
+                    startDate: booking.startDate,
+                    endDate: booking.endDate,
+                    checkInDate: booking.checkInDate,
+                    checkInMethod: booking.checkInMethod
+                };
+            }
+        }
+    };
+}
+
+/**
+ * Start of collection helpers - i.e. filtering, ordering and paging in the style of API Platform.
+ */
+
+function matchesDateFilter(value, operators, localValue) {
+    for (const operator of Object.keys(operators)) {
+        const isLocal = operator.startsWith('local_');
+        const name = isLocal ? operator.substring('local_'.length) : operator;
+        let compareValue;
+        let filterValue;
+
+        if (isLocal) {
+            // Local filters compare the wall clock time in the building's time zone, so any offset is ignored.
+            compareValue = localValue;
+            filterValue = String(operators[operator]).substring(0, 19);
+        } else {
+            compareValue = new Date(value).getTime();
+            filterValue = new Date(operators[operator]).getTime();
+        }
+
+        if (name === 'after' && !(compareValue >= filterValue)) return false;
+        if (name === 'before' && !(compareValue <= filterValue)) return false;
+        if (name === 'strictly_after' && !(compareValue > filterValue)) return false;
+        if (name === 'strictly_before' && !(compareValue < filterValue)) return false;
+    }
+    return true;
+}
+
+function filterRecords(records, resource, query) {
+    return records.filter((record) => {
+        for (const param of Object.keys(resource.filters)) {
+            if (query[param] === undefined) {
+                continue;
+            }
+
+            const allowed = [].concat(query[param]).map((value) => String(value).toLowerCase());
+            const value = String(record[resource.filters[param]]).toLowerCase();
+
+            if (allowed.indexOf(value) < 0) {
+                return false;
+            }
+        }
+
+        for (const param of Object.keys(resource.dateFilters || {})) {
+            if (!query[param] || typeof query[param] !== 'object') {
+                continue;
+            }
+
+            const value = record[resource.dateFilters[param]];
+            const localValue = toLocalDateTime(new Date(value), resource.timeZone(record));
+
+            if (!matchesDateFilter(value, query[param], localValue)) {
+                return false;
+            }
+        }
+
+        return true;
+    });
+}
+
+function orderRecords(records, resource, order) {
+    if (!order || typeof order !== 'object') {
+        return records;
+    }
+
+    const sorted = records.slice();
+    const keys = Object.keys(order).reverse();
+
+    for (const key of keys) {
+        const field = (resource.dateFilters && resource.dateFilters[key]) || key;
+        const direction = String(order[key]).toLowerCase() === 'desc' ? -1 : 1;
+
+        sorted.sort((a, b) => {
+            if (a[field] === b[field]) return 0;
+            return (a[field] > b[field] ? 1 : -1) * direction;
+        });
+    }
+
+    return sorted;
+}
+
+function getPageUri(req, page) {
+    const params = new URLSearchParams(req.originalUrl.split('?')[1] || '');
+    params.set('page', String(page));
+    return `${req.path}?${params.toString()}`;
+}
+
+function sendCollection(req, res, resource, records) {
+    const itemsPerPage = Math.min(MAX_ITEMS_PER_PAGE, parseInt(req.query.itemsPerPage, 10) || DEFAULT_ITEMS_PER_PAGE);
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const filtered = orderRecords(filterRecords(records, resource, req.query), resource, req.query.order);
+    const lastPage = Math.max(1, Math.ceil(filtered.length / itemsPerPage));
+    const members = filtered.slice((page - 1) * itemsPerPage, page * itemsPerPage);
+
+    const body = {
+        '@context': `/v1/public/contexts/${resource.type}`,
+        '@id': req.path,
+        '@type': 'hydra:Collection',
+        'hydra:totalItems': filtered.length,
+        'hydra:member': members.map((record) => resource.present(record, getBaseUrl(req)))
+    };
+
+    if (lastPage > 1) {
+        body['hydra:view'] = {
+            '@id': getPageUri(req, page),
+            '@type': 'hydra:PartialCollectionView',
+            'hydra:first': getPageUri(req, 1),
+            'hydra:last': getPageUri(req, lastPage)
+        };
+        if (page > 1) {
+            body['hydra:view']['hydra:previous'] = getPageUri(req, page - 1);
+        }
+        if (page < lastPage) {
+            body['hydra:view']['hydra:next'] = getPageUri(req, page + 1);
+        }
+    }
+
+    sendJsonLd(res, 200, body);
+}
+
+// Floorplan URLs are absolute in the Kadence API, so we build them from the host the mock is being accessed on.
+function getBaseUrl(req) {
+    return `${req.protocol}://${req.get('host')}`;
+}
+
+function sendJsonLd(res, status, body) {
+    res.setHeader('Content-Type', 'application/ld+json; charset=utf-8');
+    res.status(status);
+    res.send(JSON.stringify(body));
+}
+
+function sendError(res, status, description) {
+    sendJsonLd(res, status, {
+        '@context': '/v1/public/contexts/Error',
+        '@type': 'hydra:Error',
+        'hydra:title': 'An error occurred',
+        'hydra:description': description
+    });
+}
+
+function sendViolations(res, violations) {
+    sendJsonLd(res, 422, {
+        '@context': '/v1/public/contexts/ConstraintViolationList',
+        '@type': 'ConstraintViolationList',
+        'hydra:title': 'An error occurred',
+        'hydra:description': violations.map((violation) => `${violation.propertyPath}: ${violation.message}`).join('\n'),
+        violations: violations
+    });
+}
+
+// Returns an active booking for the same space that overlaps the given booking, if there is one.
+function findConflict(store, booking) {
+    if (!booking.spaceId) {
+        return null;
+    }
+
+    return store.bookings.find((other) => {
+        return other.id !== booking.id &&
+            other.spaceId === booking.spaceId &&
+            ['booked', 'checkedIn'].indexOf(other.status) >= 0 &&
+            other.startDate < booking.endDate &&
+            booking.startDate < other.endDate;
+    }) || null;
+}
+
+/**
+ * Creates the mock API as an Express application, so that it can be started on its own (see the bottom of this file)
+ * or mounted/started from your own tests. Supported options:
+ *
+ *  - fixturesDir: directory to load the JSON fixtures and floorplans from (defaults to ./fixtures).
+ *  - clientId / clientSecret: credentials the token endpoint accepts (defaults to accepting any non-empty credentials).
+ *  - tokenExpiresIn: lifetime of issued access tokens in seconds (defaults to 3600).
+ *  - now: the date used as 'today' when seeding bookings (defaults to the current date).
+ */
+function createMockApp(options) {
+    options = options || {};
+
+    const fixturesDir = options.fixturesDir || DEFAULT_FIXTURES_DIR;
+    const tokenExpiresIn = options.tokenExpiresIn || DEFAULT_TOKEN_EXPIRES_IN;
+    const store = loadStore(fixturesDir, options.now || new Date());
+    const tokens = new Map();
+
+    const resources = getResources(store);
+
+    const app = express();
+    app.locals.store = store;
+
+    app.use(bodyParser.urlencoded({ extended: true }));
+    app.use(bodyParser.json({ type: ['application/json', 'application/ld+json', 'application/merge-patch+json'] }));
+
+    // The floorplans are fetched directly by the browser, so they need to be available cross-origin.
+    app.use('/floorplans', (req, res, next) => {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        next();
+    }, express.static(path.join(fixturesDir, 'floorplans')));
+
+    /**
+     * OAuth - client credentials grant.
+     */
+
+    app.post('/oauth2/token', (req, res) => {
+        const body = req.body || {};
+        const validClient = options.clientId
+            ? body.client_id === options.clientId && body.client_secret === options.clientSecret
+            : !!body.client_id && !!body.client_secret;
+
+        if (body.grant_type !== 'client_credentials') {
+            res.status(400).json({ error: 'unsupported_grant_type', error_description: 'Only the client_credentials grant is supported.' });
+            return;
+        }
+
+        if (!validClient) {
+            res.status(401).json({ error: 'invalid_client', error_description: 'Client authentication failed.' });
+            return;
+        }
+
+        const accessToken = crypto.randomBytes(24).toString('hex');
+        tokens.set(accessToken, Date.now() + tokenExpiresIn * 1000);
+
+        res.json({
+            token_type: 'Bearer',
+            expires_in: tokenExpiresIn,
+            access_token: accessToken,
+            scope: body.scope || 'public'
+        });
+    });
+
+    /**
+     * Public API - every route requires a valid bearer token.
+     */
+
+    app.use('/v1/public', (req, res, next) => {
+        const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+        const expiresAt = match ? tokens.get(match[1]) : null;
+
+        if (!expiresAt || expiresAt < Date.now()) {
+            sendJsonLd(res, 401, { code: 401, message: 'Invalid JWT Token' });
+            return;
+        }
+
+        next();
+    });
+
+    app.get('/v1/public/users/:userId/bookings', (req, res) => {
+        if (!findById(store.users, req.params.userId)) {
+            sendError(res, 404, 'Not Found');
+            return;
+        }
+
+        const bookings = store.bookings.filter((booking) => booking.userId === req.params.userId);
+        sendCollection(req, res, resources.bookings, bookings);
+    });
+
+    app.post('/v1/public/bookings', (req, res) => {
+        const body = req.body || {};
+        const user = findById(store.users, body.userId);
+        const space = findById(store.spaces, body.spaceId);
+        const building = space ? findById(store.buildings, space.buildingId) : findById(store.buildings, body.buildingId);
+        const violations = [];
+
+        if (!user) {
+            violations.push({ propertyPath: 'userId', message: 'User not found.' });
+        }
+        if (['desk', 'room', 'onsite'].indexOf(body.type) < 0) {
+            violations.push({ propertyPath: 'type', message: 'The value you selected is not a valid choice.' });
+        }
+        if (body.type !== 'onsite' && (!space || space.type !== body.type)) {
+            violations.push({ propertyPath: 'spaceId', message: `No ${body.type} space found with this id.` });
+        }
+        if (!building) {
+            violations.push({ propertyPath: 'buildingId', message: 'Building not found.' });
+        }
+        if (!(Date.parse(body.startDateTime) < Date.parse(body.endDateTime))) {
+            violations.push({ propertyPath: 'endDateTime', message: 'The end date must be after the start date.' });
+        }
+
+        if (violations.length) {
+            sendViolations(res, violations);
+            return;
+        }
+
+        const booking = {
+            id: crypto.randomUUID(),
+            type: body.type,
+            status: 'booked',
+            source: 'publicApi',
+            permanent: false,
+            userId: user.id,
+            spaceId: space ? space.id : null,
+            floorId: space ? space.floorId : null,
+            neighborhoodId: space ? space.neighborhoodId : null,
+            buildingId: building.id,
+            startDate: new Date(body.startDateTime).toISOString(),
+            endDate: new Date(body.endDateTime).toISOString(),
+            checkInDate: null,
+            checkInMethod: null
+        };
+
+        if (findConflict(store, booking)) {
+            sendError(res, 409, 'The space is already booked for this time.');
+            return;
+        }
+
+        store.bookings.push(booking);
+        sendJsonLd(res, 201, resources.bookings.present(booking, getBaseUrl(req)));
+    });
+
+    app.patch('/v1/public/bookings/:bookingId', (req, res) => {
+        const booking = findById(store.bookings, req.params.bookingId);
+        const body = req.body || {};
+
+        if (!booking) {
+            sendError(res, 404, 'Not Found');
+            return;
+        }
+
+        if (booking.status !== 'booked') {
+            sendError(res, 422, `Booking with status "${booking.status}" cannot be updated.`);
+            return;
+        }
+
+        const space = body.spaceId ? findById(store.spaces, body.spaceId) : findById(store.spaces, booking.spaceId);
+        const updated = {
+            ...booking,
+            spaceId: space ? space.id : null,
+            floorId: space ? space.floorId : null,
+            neighborhoodId: space ? space.neighborhoodId : null,
+            buildingId: space ? space.buildingId : booking.buildingId,
+            startDate: body.startDateTime ? new Date(body.startDateTime).toISOString() : booking.startDate,
+            endDate: body.endDateTime ? new Date(body.endDateTime).toISOString() : booking.endDate
+        };
+
+        if (body.spaceId && (!space || space.type !== booking.type)) {
+            sendViolations(res, [{ propertyPath: 'spaceId', message: `No ${booking.type} space found with this id.` }]);
+            return;
+        }
+        if (!(updated.startDate < updated.endDate)) {
+            sendViolations(res, [{ propertyPath: 'endDateTime', message: 'The end date must be after the start date.' }]);
+            return;
+        }
+        if (findConflict(store, updated)) {
+            sendError(res, 409, 'The space is already booked for this time.');
+            return;
+        }
+
+        Object.assign(booking, updated);
+        sendJsonLd(res, 200, resources.bookings.present(booking, getBaseUrl(req)));
+    });
+
+    app.post('/v1/public/bookings/:bookingId/cancel', (req, res) => {
+        const booking = findById(store.bookings, req.params.bookingId);
+
+        if (!booking) {
+            sendError(res, 404, 'Not Found');
+            return;
+        }
+
+        if (booking.status !== 'booked') {
+            sendError(res, 422, `Booking with status "${booking.status}" cannot be cancelled.`);
+            return;
+        }
+
+        booking.status = 'cancelled';
+        sendJsonLd(res, 200, resources.bookings.present(booking, getBaseUrl(req)));
+    });
+
+    app.post('/v1/public/bookings/:bookingId/check-out', (req, res) => {
+        const booking = findById(store.bookings, req.params.bookingId);
+
+        if (!booking) {
+            sendError(res, 404, 'Not Found');
+            return;
+        }
+
+        if (booking.status !== 'checkedIn') {
+            sendError(res, 422, `Booking with status "${booking.status}" cannot be checked out.`);
+            return;
+        }
+
+        booking.status = 'checkedOut';
+        sendJsonLd(res, 200, resources.bookings.present(booking, getBaseUrl(req)));
+    });
+
+    app.post('/v1/public/bookings/:bookingId/check-in', (req, res) => {
+        const booking = findById(store.bookings, req.params.bookingId);
+        const body = req.body || {};
+
+        if (!booking) {
+            sendError(res, 404, 'Not Found');
+            return;
+        }
+
+        if (body.userId && body.userId !== booking.userId) {
+            sendError(res, 403, 'The user is not the owner of this booking.');
+            return;
+        }
+
+        if (booking.status !== 'booked') {
+            sendError(res, 422, `Booking with status "${booking.status}" cannot be checked in.`);
+            return;
+        }
+
+        booking.status = 'checkedIn';
+        booking.checkInDate = new Date().toISOString();
+        booking.checkInMethod = body.method || 'publicApi';
+
+        sendJsonLd(res, 200, resources.bookings.present(booking, getBaseUrl(req)));
+    });
+
+    for (const name of Object.keys(resources)) {
+        const resource = resources[name];
+
+        app.get(`/v1/public/${name}`, (req, res) => {
+            sendCollection(req, res, resource, store[name]);
+        });
+
+        app.get(`/v1/public/${name}/:id`, (req, res) => {
+            const record = findById(store[name], req.params.id);
+
+            if (!record) {
+                sendError(res, 404, 'Not Found');
+                return;
+            }
+
+            sendJsonLd(res, 200, resource.present(record, getBaseUrl(req)));
+        });
+    }
+
+    app.use('/v1/public', (req, res) => {
+        sendError(res, 404, `No route found for "${req.method} ${req.path}"`);
+    });
+
+    return app;
+}
+
+module.exports = { createMockApp };
+
+/**
+ * When run directly (npm run mock) we start the mock on port 3100, or the next available port, in the same way as the
+ * examples server.
+ */
+
+function startServer(port) {
+    const app = createMockApp({
+        clientId: process.env.KADENCE_MOCK_CLIENT_ID,
+        clientSecret: process.env.KADENCE_MOCK_CLIENT_SECRET,
+        tokenExpiresIn: parseInt(process.env.KADENCE_MOCK_TOKEN_EXPIRES_IN, 10) || undefined
+    });
+
+    app.listen(port, () => {
+        console.log(`Kadence - Mock API - Running on port ${port}\nhttp://localhost:${port}`);
+    }).on('error', (err) => {
+        if (err.code === 'EADDRINUSE') {
+            startServer(port + 1);
+        } else {
+            throw new Error(err || 'Unknown error: Unable to start server');
+        }
+    });
+}
+
+if (require.main === module) {
+    startServer(START_PORT);
+}
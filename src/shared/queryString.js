@@ -0,0 +1,105 @@
+/**
+ * This is a small query string serializer for the filter syntax used by the Kadence API (API Platform). It's shared by
+ * the Kadence API wrapper in Node.js and the example pages in the browser (where it's available as
+ * window.KadenceQueryString), so both build URLs in exactly the same way.
+ *
+ *   stringify({
+ *       email: 'a+b@example.com',                       // email=a%2Bb%40example.com
+ *       type: ['desk', 'room'],                         // type[]=desk&type[]=room
+ *       order: { startDateTime: 'asc' },                // order[startDateTime]=asc
+ *       startDateTime: { local_after: new Date() },     // startDateTime[local_after]=2024-01-01T09:00:00.000Z
+ *       floorId: null                                   // skipped
+ *   });
+ *
+ * Values are encoded with encodeURIComponent. Dates and Luxon DateTimes are converted to ISO 8601 strings, and null or
+ * undefined values are skipped at any level.
+ *
+ * parse() does the opposite, so parse(stringify(params)) returns the same params with every value as a string. Keys
+ * ending in [] become arrays and keys like order[startDateTime] become objects.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.KadenceQueryString = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+
+    function isDateTime(value) {
+        return value instanceof Date || (value !== null && typeof value === 'object' && typeof value.toISO === 'function');
+    }
+
+    function serializeValue(value) {
+        if (value instanceof Date) {
+            return value.toISOString();
+        }
+
+        // Luxon DateTime
+        if (isDateTime(value)) {
+            return value.toISO();
+        }
+
+        return String(value);
+    }
+
+    function appendPairs(pairs, key, value) {
+        if (value === null || value === undefined) {
+            return;
+        }
+
+        if (Array.isArray(value)) {
+            value.forEach((item) => {
+                appendPairs(pairs, key + '[]', item);
+            });
+            return;
+        }
+
+        if (typeof value === 'object' && !isDateTime(value)) {
+            Object.keys(value).forEach((subKey) => {
+                appendPairs(pairs, key + '[' + encodeURIComponent(subKey) + ']', value[subKey]);
+            });
+            return;
+        }
+
+        pairs.push(key + '=' + encodeURIComponent(serializeValue(value)));
+    }
+
+    function stringify(params) {
+        const pairs = [];
+
+        Object.keys(params || {}).forEach((key) => {
+            appendPairs(pairs, encodeURIComponent(key), params[key]);
+        });
+
+        return pairs.join('&');
+    }
+
+    function parse(query) {
+        const params = {};
+
+        String(query || '').replace(/^\?/, '').split('&').filter(Boolean).forEach((pair) => {
+            const separator = pair.indexOf('=');
+            const decode = (value) => decodeURIComponent(value.replace(/\+/g, ' '));
+            const key = decode(separator >= 0 ? pair.substring(0, separator) : pair);
+            const value = separator >= 0 ? decode(pair.substring(separator + 1)) : '';
+            const match = key.match(/^([^[]+)\[([^\]]*)\]$/);
+
+            if (!match) {
+                params[key] = value;
+            } else if (match[2] === '') {
+                params[match[1]] = [].concat(params[match[1]] || [], value);
+            } else {
+                params[match[1]] = typeof params[match[1]] === 'object' ? params[match[1]] : {};
+                params[match[1]][match[2]] = value;
+            }
+        });
+
+        return params;
+    }
+
+    return {
+        stringify: stringify,
+        parse: parse
+    };
+}));
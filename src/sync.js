@@ -0,0 +1,83 @@
+/**
+ * Copies Kadence data into the local mirror (see lib/KadenceMirror.js), e.g. from cron every 15 minutes:
+ *
+ *   npm run sync
+ *   npm run sync -- --full
+ *   npm run sync -- --resources=bookings --since=2024-01-01
+ *
+ * Options:
+ *
+ *  --full: copy everything again rather than only the bookings that could have changed since the last sync.
+ *  --since=YYYY-MM-DD: copy bookings ending on or after this date on the first or a full sync (defaults to a year ago).
+ *  --resources=a,b: only sync these resources (buildings, floors, neighborhoods, spaces, users, bookings).
+ *
+ * It uses the same KADENCE_* environment variables as the server, and KADENCE_MIRROR_FILE for the database.
+ */
+
+const Kadence = require('./lib/Kadence');
+const KadenceMirror = require('./lib/KadenceMirror');
+
+const KADENCE_API_IDENTIFIER = process.env.KADENCE_API_KEY_IDENTIFIER;
+const KADENCE_API_SECRET = process.env.KADENCE_API_KEY_SECRET;
+const KADENCE_AUTH_BASE_URL = process.env.KADENCE_AUTH_BASE_URL;
+const KADENCE_API_BASE_URL = process.env.KADENCE_API_BASE_URL;
+const KADENCE_MIRROR_FILE = process.env.KADENCE_MIRROR_FILE;
+
+function parseArguments(args) {
+    const options = { full: false };
+
+    args.forEach((arg) => {
+        const [name, value] = arg.replace(/^--/, '').split('=');
+
+        if (name === 'full') {
+            options.full = true;
+        } else if (name === 'since' && value) {
+            options.since = value;
+        } else if (name === 'resources' && value) {
+            options.resources = value.split(',').map((resource) => resource.trim()).filter(Boolean);
+        } else {
+            throw new Error(`Unknown option "${arg}", expected --full, --since=YYYY-MM-DD or --resources=a,b`);
+        }
+    });
+
+    return options;
+}
+
+async function main() {
+    if (!KADENCE_API_IDENTIFIER || !KADENCE_API_SECRET) {
+        throw new Error('KADENCE_API_KEY_IDENTIFIER or KADENCE_API_KEY_SECRET is not set. Please set up it up in your environment variables.');
+    }
+
+    const options = parseArguments(process.argv.slice(2));
+    // The sync has to read from the Kadence API, so this client doesn't use the mirror (or the cache).
+    const kadence = new Kadence(KADENCE_API_IDENTIFIER, KADENCE_API_SECRET, {
+        authBaseUrl: KADENCE_AUTH_BASE_URL,
+        apiBaseUrl: KADENCE_API_BASE_URL
+    });
+    const mirror = new KadenceMirror(KADENCE_MIRROR_FILE);
+    const started = Date.now();
+
+    try {
+        await mirror.sync(kadence, {
+            ...options,
+            onProgress: (progress) => {
+                if (progress.status === 'running') {
+                    console.log(`Syncing ${progress.resource}...`);
+                } else if (progress.status === 'succeeded') {
+                    console.log(`Synced ${progress.items} ${progress.resource}`);
+                } else {
+                    console.error(`Unable to sync ${progress.resource}: ${progress.error.message}`);
+                }
+            }
+        });
+    } finally {
+        mirror.close();
+    }
+
+    console.log(`Kadence - Mirror - Synced in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+}
+
+main().catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,88 @@
+const assert = require('node:assert/strict');
+const { PassThrough } = require('node:stream');
+const { afterEach, beforeEach, describe, it, mock } = require('node:test');
+const { createKadence, startMockApi } = require('./helpers');
+const BookingExport = require('../src/lib/BookingExport');
+const { parseCsv } = require('../src/lib/csv');
+
+const QUERY = { from: '2024-06-01', to: '2024-06-07' };
+
+// Collects what's written to the response, along with the headers.
+function createResponse() {
+    const res = new PassThrough();
+    const chunks = [];
+
+    res.headers = {};
+    res.setHeader = (name, value) => res.headers[name.toLowerCase()] = value;
+    res.on('data', (chunk) => chunks.push(chunk));
+    res.getBody = () => Buffer.concat(chunks).toString('utf8');
+
+    return res;
+}
+
+function parseNdjson(text) {
+    return text.trim().split('\n').map((line) => JSON.parse(line));
+}
+
+describe('BookingExport', () => {
+    let api;
+    let bookingExport;
+
+    beforeEach(async () => {
+        mock.method(console, 'log', () => {});
+
+        api = await startMockApi();
+        bookingExport = new BookingExport(createKadence(api.baseUrl));
+    });
+
+    afterEach(async () => {
+        await api.close();
+        mock.restoreAll();
+    });
+
+    it('exports the bookings as CSV with the names filled in', async () => {
+        const res = createResponse();
+
+        await bookingExport.export('csv', QUERY, res);
+
+        const rows = parseCsv(res.getBody());
+        assert.equal(res.headers['content-disposition'], 'attachment; filename="bookings-2024-06-01-to-2024-06-07.csv"');
+        assert.ok(rows.length > 0);
+        assert.ok(rows.every((row) => row.user && row.building && row.date >= '2024-06-01' && row.date <= '2024-06-07'));
+    });
+
+    it('stops spreadsheets running names as formulas', async () => {
+        api.store.users.forEach((user) => user.firstName = '=HYPERLINK("https://evil.example")');
+        const res = createResponse();
+
+        await bookingExport.export('csv', QUERY, res);
+
+        assert.ok(parseCsv(res.getBody()).every((row) => row.user.startsWith('\'=HYPERLINK')));
+    });
+
+    it('exports the booking counts with a row for the total and each count', async () => {
+        const res = createResponse();
+
+        await bookingExport.exportReport('booking-counts', 'ndjson', QUERY, res);
+
+        const rows = parseNdjson(res.getBody());
+        const total = rows[0].count;
+        assert.deepEqual(rows[0], { breakdown: 'total', key: null, label: 'Total', count: total });
+        assert.equal(rows.filter((row) => row.breakdown === 'type').reduce((sum, row) => sum + row.count, 0), total);
+        assert.equal(rows.filter((row) => row.breakdown === 'day').length, 7);
+    });
+
+    it('exports the utilisation with a row for each group, then for each day', async () => {
+        const res = createResponse();
+
+        await bookingExport.exportReport('utilisation', 'csv', { ...QUERY, groupBy: 'building' }, res);
+
+        const rows = parseCsv(res.getBody());
+        const totals = rows.filter((row) => row.date === '');
+        assert.equal(res.headers['content-disposition'], 'attachment; filename="utilisation-2024-06-01-to-2024-06-07.csv"');
+        assert.equal(totals[0].label, 'Total');
+        assert.equal(totals.length, 1 + api.store.buildings.length);
+        assert.equal(rows.length, totals.length * 8);
+        assert.equal(Number(totals[0].bookings), totals.slice(1).reduce((sum, row) => sum + Number(row.bookings), 0));
+    });
+});
@@ -0,0 +1,122 @@
+const assert = require('node:assert/strict');
+const { afterEach, beforeEach, describe, it, mock } = require('node:test');
+const { createKadence, startMockApi } = require('./helpers');
+const CheckInService = require('../src/lib/CheckInService');
+
+// The fixture bookings today (3 June 2024, see helpers.js) used below, in each building's local time:
+//  - alice.anderson@example.com: a desk 08:00 - 09:00 (booked) and a desk 13:00 - 17:30 (checked in) in London.
+//  - david.dubois@example.com: a desk 09:30 - 12:30 (completed) and a room 10:00 - 11:00 (booked) in London.
+//  - kemi.kone@example.com: a desk 08:00 - 09:00 (booked) and a desk 13:00 - 17:30 (checked in) in New York.
+const ALICE = 'alice.anderson@example.com';
+const DAVID = 'david.dubois@example.com';
+const KEMI = 'kemi.kone@example.com';
+
+function getResults(checkIn) {
+    return checkIn.bookings.map((booking) => booking.result);
+}
+
+describe('CheckInService', () => {
+    let api;
+    let kadence;
+
+    beforeEach(async () => {
+        mock.method(console, 'log', () => {});
+
+        // Check-ins change the mock's data, so each test gets a fresh copy.
+        api = await startMockApi();
+        kadence = createKadence(api.baseUrl);
+    });
+
+    afterEach(async () => {
+        await api.close();
+        mock.restoreAll();
+    });
+
+    it('checks in to booked desks on the day, skipping those already checked in', async () => {
+        // 08:30 in London.
+        const checkIn = await new CheckInService(kadence).checkInByEmail(ALICE, 'wifi', { at: '2024-06-03T07:30:00Z' });
+
+        assert.equal(checkIn.result, CheckInService.RESULT_CHECKED_IN);
+        assert.deepEqual(getResults(checkIn), [CheckInService.RESULT_CHECKED_IN, CheckInService.REASON_ALREADY_CHECKED_IN]);
+        assert.equal(api.store.bookings.find((booking) => booking.id === checkIn.bookings[0].id).checkInMethod, 'wifi');
+    });
+
+    it('reports users that cannot be found', async () => {
+        const checkIn = await new CheckInService(kadence).checkInByEmail('nobody@example.com', null, { at: '2024-06-03T07:30:00Z' });
+
+        assert.equal(checkIn.result, CheckInService.RESULT_USER_NOT_FOUND);
+        assert.deepEqual(checkIn.bookings, []);
+    });
+
+    it('reports when there are no bookings on the day', async () => {
+        const checkIn = await new CheckInService(kadence).checkInByEmail(ALICE, null, { at: '2024-06-10T07:30:00Z' });
+
+        assert.equal(checkIn.result, CheckInService.RESULT_NO_BOOKINGS);
+    });
+
+    it('is too early before the grace period opens the check-in window', async () => {
+        // 07:00 in London, the window opens at 07:30.
+        const checkIn = await new CheckInService(kadence, { gracePeriod: { before: 30 } }).checkInByEmail(ALICE, null, { at: '2024-06-03T06:00:00Z' });
+
+        assert.equal(checkIn.bookings[0].result, CheckInService.REASON_TOO_EARLY);
+        assert.equal(checkIn.bookings[0].checkInOpensAt, '2024-06-03T07:30:00.000+01:00');
+    });
+
+    it('is too late after the grace period closes the check-in window', async () => {
+        // 08:30 in London, the window closed at 08:15.
+        const checkIn = await new CheckInService(kadence, { gracePeriod: { after: 15 } }).checkInByEmail(ALICE, null, { at: '2024-06-03T07:30:00Z' });
+
+        assert.equal(checkIn.bookings[0].result, CheckInService.REASON_TOO_LATE);
+        assert.equal(checkIn.bookings[0].checkInClosesAt, '2024-06-03T08:15:00.000+01:00');
+    });
+
+    it('closes the check-in window when the booking ends without a grace period', async () => {
+        // 09:30 in London, after the booking ended at 09:00.
+        const checkIn = await new CheckInService(kadence).checkInByEmail(ALICE, null, { at: '2024-06-03T08:30:00Z' });
+
+        assert.equal(checkIn.bookings[0].result, CheckInService.REASON_TOO_LATE);
+    });
+
+    it('only checks in to rooms when allowed', async () => {
+        const at = { at: '2024-06-03T09:15:00Z' };
+
+        const skipped = await new CheckInService(kadence).checkInByEmail(DAVID, null, at);
+        assert.deepEqual(getResults(skipped), [CheckInService.REASON_ALREADY_COMPLETED, CheckInService.REASON_ROOM_BOOKING]);
+
+        const checkedIn = await new CheckInService(kadence).checkInByEmail(DAVID, null, { ...at, allowRoomCheckIn: true });
+        assert.deepEqual(getResults(checkedIn), [CheckInService.REASON_ALREADY_COMPLETED, CheckInService.RESULT_CHECKED_IN]);
+    });
+
+    it('reports why bookings were skipped when none could be checked in to', async () => {
+        const david = api.store.users.find((user) => user.email === DAVID);
+        const desk = api.store.bookings.find((booking) => booking.userId === david.id && booking.type === 'desk' && booking.startDate.startsWith('2024-06-03'));
+        desk.status = 'cancelled';
+
+        const checkIn = await new CheckInService(kadence).checkInByEmail(DAVID, null, { at: '2024-06-03T09:15:00Z' });
+
+        assert.deepEqual(getResults(checkIn), [CheckInService.REASON_BOOKING_CANCELLED, CheckInService.REASON_ROOM_BOOKING]);
+        assert.equal(checkIn.result, CheckInService.REASON_ROOM_BOOKING);
+    });
+
+    it('works out the day in the building\'s time zone', async () => {
+        // 21:00 on the 3rd in New York is already the 4th in UTC, but the bookings on the 3rd are still checked.
+        const checkIn = await new CheckInService(kadence).checkInByEmail(KEMI, null, { at: '2024-06-04T01:00:00Z' });
+
+        assert.equal(checkIn.bookings.length, 2);
+        assert.ok(checkIn.bookings.every((booking) => booking.timeZone === 'America/New_York'));
+        assert.equal(checkIn.bookings[0].result, CheckInService.REASON_TOO_LATE);
+    });
+
+    it('only checks in to bookings in the building asked for', async () => {
+        const london = api.store.buildings.find((building) => building.timeZone === 'Europe/London');
+        const newYork = api.store.buildings.find((building) => building.timeZone === 'America/New_York');
+        const service = new CheckInService(kadence);
+
+        assert.equal((await service.checkInByEmail(ALICE, null, { at: '2024-06-03T07:30:00Z', buildingId: newYork.id })).result, CheckInService.RESULT_NO_BOOKINGS);
+        assert.equal((await service.checkInByEmail(ALICE, null, { at: '2024-06-03T07:30:00Z', buildingId: london.id })).result, CheckInService.RESULT_CHECKED_IN);
+    });
+
+    it('rejects invalid check-in times', async () => {
+        await assert.rejects(new CheckInService(kadence).checkInByEmail(ALICE, null, { at: 'yesterday' }), { status: 400 });
+    });
+});
@@ -0,0 +1,52 @@
+const assert = require('node:assert/strict');
+const { afterEach, beforeEach, describe, it, mock } = require('node:test');
+const { createKadence, startMockApi } = require('./helpers');
+const KadenceMirror = require('../src/lib/KadenceMirror');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('KadenceMirror', () => {
+    let api;
+    let kadence;
+    let mirror;
+
+    async function getMirroredBooking(id) {
+        return (await mirror.fetch('bookings', `${api.baseUrl}/v1/public/bookings/${id}`)).data;
+    }
+
+    beforeEach(async () => {
+        mock.method(console, 'log', () => {});
+
+        // The mirror syncs relative to the current time, so the bookings are seeded around it too.
+        api = await startMockApi({ now: new Date() });
+        kadence = createKadence(api.baseUrl);
+        mirror = new KadenceMirror(':memory:');
+    });
+
+    afterEach(async () => {
+        mirror.close();
+        await api.close();
+        mock.restoreAll();
+    });
+
+    it('copies every resource on the first sync', async () => {
+        const results = await mirror.sync(kadence);
+
+        assert.equal(results.buildings, api.store.buildings.length);
+        assert.equal(results.users, api.store.users.length);
+        assert.ok(mirror.getSyncState().every((state) => state.status === 'succeeded'));
+    });
+
+    it('copies status changes to bookings that ended before the previous sync', async () => {
+        const booking = api.store.bookings[0];
+        booking.startDate = new Date(Date.now() - 3 * HOUR).toISOString();
+        booking.endDate = new Date(Date.now() - 2 * HOUR).toISOString();
+        booking.status = 'booked';
+
+        await mirror.sync(kadence);
+        booking.status = 'autoCancelled';
+        await mirror.sync(kadence, { resources: ['bookings'] });
+
+        assert.equal((await getMirroredBooking(booking.id)).status, 'autoCancelled');
+    });
+});
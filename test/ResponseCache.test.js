@@ -0,0 +1,54 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const ResponseCache = require('../src/lib/ResponseCache');
+
+function response(data) {
+    return { status: 200, headers: { 'content-type': 'application/ld+json' }, data: data };
+}
+
+// A load() that only resolves when the test says so.
+function deferred() {
+    let resolve;
+    const promise = new Promise((done) => resolve = done);
+    return { load: () => promise, resolve: resolve };
+}
+
+describe('ResponseCache', () => {
+    it('only calls load() once while a response is cached', async () => {
+        const cache = new ResponseCache();
+        let calls = 0;
+        const load = async () => response({ calls: ++calls });
+
+        const first = await cache.fetch('buildings', '/buildings', load);
+        const second = await cache.fetch('buildings', '/buildings', load);
+
+        assert.equal(first.cache.status, 'MISS');
+        assert.equal(second.cache.status, 'HIT');
+        assert.deepEqual(second.data, { calls: 1 });
+    });
+
+    it('does not cache resources without a ttl', async () => {
+        const cache = new ResponseCache({ ttl: { buildings: 0 } });
+        let calls = 0;
+        const load = async () => response({ calls: ++calls });
+
+        await cache.fetch('buildings', '/buildings', load);
+
+        assert.deepEqual((await cache.fetch('buildings', '/buildings', load)).data, { calls: 2 });
+    });
+
+    it('does not cache responses to requests started before an invalidation', async () => {
+        const cache = new ResponseCache();
+        const before = deferred();
+
+        const stale = cache.fetch('buildings', '/buildings', before.load);
+        cache.invalidate('buildings');
+        const fresh = cache.fetch('buildings', '/buildings', async () => response({ version: 2 }));
+
+        before.resolve(response({ version: 1 }));
+
+        assert.deepEqual((await stale).data, { version: 1 });
+        assert.deepEqual((await fresh).data, { version: 2 });
+        assert.deepEqual((await cache.fetch('buildings', '/buildings', before.load)).data, { version: 2 });
+    });
+});
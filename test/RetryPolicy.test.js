@@ -0,0 +1,77 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const RetryPolicy = require('../src/lib/RetryPolicy');
+
+const GET = { method: 'get' };
+const POST = { method: 'post' };
+
+function response(status, headers) {
+    return { status: status, headers: headers || {} };
+}
+
+function networkError() {
+    return Object.assign(new Error('socket hang up'), { isAxiosError: true });
+}
+
+describe('RetryPolicy', () => {
+    it('retries rate limited and unavailable GET requests', () => {
+        const policy = new RetryPolicy();
+
+        for (const status of [429, 500, 502, 503, 504]) {
+            assert.notEqual(policy.getRetryDelay(GET, 0, response(status)), null, `status ${status}`);
+        }
+    });
+
+    it('does not retry other responses', () => {
+        const policy = new RetryPolicy();
+
+        for (const status of [200, 400, 401, 404, 422]) {
+            assert.equal(policy.getRetryDelay(GET, 0, response(status)), null, `status ${status}`);
+        }
+    });
+
+    it('only retries requests that are idempotent', () => {
+        const policy = new RetryPolicy();
+
+        assert.equal(policy.getRetryDelay(POST, 0, response(503)), null);
+        assert.notEqual(policy.getRetryDelay({ ...POST, idempotent: true }, 0, response(503)), null);
+        assert.equal(policy.getRetryDelay({ ...GET, idempotent: false }, 0, response(503)), null);
+    });
+
+    it('stops after the maximum number of retries', () => {
+        const policy = new RetryPolicy({ retries: 2 });
+
+        assert.notEqual(policy.getRetryDelay(GET, 1, response(503)), null);
+        assert.equal(policy.getRetryDelay(GET, 2, response(503)), null);
+        assert.equal(new RetryPolicy({ retries: 0 }).getRetryDelay(GET, 0, response(503)), null);
+    });
+
+    it('backs off exponentially with jitter, up to the maximum delay', () => {
+        const policy = new RetryPolicy({ retries: 10, baseDelay: 100, maxDelay: 1000 });
+
+        for (let i = 0; i < 50; i++) {
+            const first = policy.getRetryDelay(GET, 0, response(503));
+            const third = policy.getRetryDelay(GET, 2, response(503));
+            const tenth = policy.getRetryDelay(GET, 9, response(503));
+
+            assert.ok(first >= 0 && first <= 100, `first retry ${first}`);
+            assert.ok(third >= 0 && third <= 400, `third retry ${third}`);
+            assert.ok(tenth >= 0 && tenth <= 1000, `tenth retry ${tenth}`);
+        }
+    });
+
+    it('waits as long as Retry-After asks, unless that is too long', () => {
+        const policy = new RetryPolicy({ maxRetryAfter: 5000 });
+
+        assert.equal(policy.getRetryDelay(GET, 0, response(429, { 'retry-after': '2' })), 2000);
+        assert.equal(policy.getRetryDelay(GET, 0, response(429, { 'retry-after': '10' })), null);
+    });
+
+    it('retries network errors, but not other errors', () => {
+        const policy = new RetryPolicy();
+
+        assert.notEqual(policy.getRetryDelay(GET, 0, null, networkError()), null);
+        assert.equal(policy.getRetryDelay(GET, 0, null, Object.assign(networkError(), { response: response(400) })), null);
+        assert.equal(policy.getRetryDelay(GET, 0, null, new Error('Unable to retrieve an access token')), null);
+    });
+});
@@ -0,0 +1,54 @@
+const assert = require('node:assert/strict');
+const { after, before, describe, it } = require('node:test');
+const { startMockApi } = require('./helpers');
+const TokenManager = require('../src/lib/TokenManager');
+const { KadenceAuthError } = require('../src/lib/errors');
+
+describe('TokenManager', () => {
+    let api;
+
+    before(async () => {
+        // Tokens that expire within the default refresh margin of 60 seconds.
+        api = await startMockApi({ tokenExpiresIn: 30 });
+    });
+
+    after(async () => {
+        await api.close();
+    });
+
+    function createTokenManager() {
+        return new TokenManager('test', 'test', { authBaseUrl: api.baseUrl });
+    }
+
+    it('shares a single token request between concurrent calls', async () => {
+        const tokenManager = createTokenManager();
+        const tokens = await Promise.all([1, 2, 3].map(() => tokenManager.getAccessToken()));
+
+        assert.equal(new Set(tokens).size, 1);
+    });
+
+    it('reuses tokens that expire within the refresh margin', async () => {
+        const tokenManager = createTokenManager();
+
+        assert.equal(await tokenManager.getAccessToken(), await tokenManager.getAccessToken());
+    });
+
+    it('requests a new token once the current one is invalidated', async () => {
+        const tokenManager = createTokenManager();
+        const token = await tokenManager.getAccessToken();
+
+        tokenManager.invalidate(token);
+
+        assert.notEqual(await tokenManager.getAccessToken(), token);
+    });
+
+    it('throws a KadenceAuthError when the credentials are refused', async () => {
+        const refusing = await startMockApi({ clientId: 'client', clientSecret: 'secret' });
+
+        try {
+            await assert.rejects(new TokenManager('client', 'wrong', { authBaseUrl: refusing.baseUrl }).getAccessToken(), KadenceAuthError);
+        } finally {
+            await refusing.close();
+        }
+    });
+});
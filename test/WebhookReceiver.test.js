@@ -0,0 +1,134 @@
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { afterEach, beforeEach, describe, it, mock } = require('node:test');
+const { createKadence, startMockApi } = require('./helpers');
+const CheckInService = require('../src/lib/CheckInService');
+const WebhookReceiver = require('../src/lib/WebhookReceiver');
+const { KadenceAuthError } = require('../src/lib/errors');
+
+const SECRET = 'webhook-secret';
+
+function now() {
+    return Math.floor(Date.now() / 1000);
+}
+
+function sign(rawBody, timestamp, secret) {
+    return 'sha256=' + crypto.createHmac('sha256', secret || SECRET).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+describe('WebhookReceiver signatures', () => {
+    const receiver = new WebhookReceiver(null, { secret: SECRET });
+    const rawBody = JSON.stringify({ email: 'alice.anderson@example.com' });
+
+    it('accepts the HMAC-SHA256 of the timestamp and body', () => {
+        const timestamp = now();
+
+        assert.doesNotThrow(() => receiver.verifySignature(rawBody, sign(rawBody, timestamp), String(timestamp)));
+    });
+
+    it('rejects missing, malformed and wrong signatures', () => {
+        const timestamp = now();
+
+        assert.throws(() => receiver.verifySignature(rawBody, undefined, timestamp), KadenceAuthError);
+        assert.throws(() => receiver.verifySignature(rawBody, 'sha256=abc', timestamp), KadenceAuthError);
+        assert.throws(() => receiver.verifySignature(rawBody, sign(rawBody, timestamp, 'another-secret'), timestamp), KadenceAuthError);
+        assert.throws(() => receiver.verifySignature(rawBody + ' ', sign(rawBody, timestamp), timestamp), KadenceAuthError);
+        assert.throws(() => receiver.verifySignature(rawBody, sign(rawBody, timestamp), timestamp + 1), KadenceAuthError);
+    });
+
+    it('rejects signatures with multi-byte characters rather than failing', () => {
+        const signature = sign(rawBody, now());
+
+        assert.throws(() => receiver.verifySignature(rawBody, signature.slice(0, -1) + 'é', now()), KadenceAuthError);
+    });
+
+    it('rejects timestamps outside the tolerance, so requests cannot be replayed', () => {
+        const old = now() - 301;
+        const future = now() + 301;
+
+        assert.throws(() => receiver.verifySignature(rawBody, sign(rawBody, old), old), { status: 401, message: /timestamp/ });
+        assert.throws(() => receiver.verifySignature(rawBody, sign(rawBody, future), future), { status: 401, message: /timestamp/ });
+        assert.throws(() => receiver.verifySignature(rawBody, sign(rawBody, 'soon'), 'soon'), { status: 401, message: /timestamp/ });
+        assert.doesNotThrow(() => new WebhookReceiver(null, { secret: SECRET, tolerance: 600 }).verifySignature(rawBody, sign(rawBody, old), old));
+    });
+
+    it('refuses every webhook until a secret is set', () => {
+        assert.throws(() => new WebhookReceiver(null).verifySignature(rawBody, sign(rawBody, now()), now()), { status: 503 });
+    });
+
+    it('checks the signature before anything else', async () => {
+        await assert.rejects(receiver.receive('generic', rawBody, JSON.parse(rawBody), 'sha256=abc', now()), KadenceAuthError);
+    });
+});
+
+describe('WebhookReceiver', () => {
+    let api;
+    let receiver;
+
+    async function receive(source, body) {
+        const rawBody = JSON.stringify(body);
+        const timestamp = now();
+        return await receiver.receive(source, rawBody, body, sign(rawBody, timestamp), timestamp);
+    }
+
+    beforeEach(async () => {
+        mock.method(console, 'log', () => {});
+
+        api = await startMockApi();
+        receiver = new WebhookReceiver(new CheckInService(createKadence(api.baseUrl), {
+            identities: { emailDomain: 'example.com', badges: { '0012345': 'alice.anderson@example.com' } }
+        }), { secret: SECRET, deduplicationWindow: 300 });
+    });
+
+    afterEach(async () => {
+        await api.close();
+        mock.restoreAll();
+    });
+
+    it('checks in the user at the time of the event', async () => {
+        // 08:30 in London, see CheckInService.test.js for the bookings.
+        const [outcome] = await receive('generic', { email: 'alice.anderson@example.com', timestamp: '2024-06-03T07:30:00Z' });
+
+        assert.equal(outcome.result, CheckInService.RESULT_CHECKED_IN);
+        assert.equal(outcome.checkIn.method, 'geofence');
+    });
+
+    it('drops repeated events for the same user within the window', async () => {
+        const outcomes = await receive('generic', {
+            events: [
+                { id: '1', badge: '0012345', timestamp: '2024-06-03T07:30:00Z' },
+                { id: '2', badge: '0012345', timestamp: '2024-06-03T07:32:00Z' }
+            ]
+        });
+        const [retried] = await receive('generic', { id: '1', badge: '0012345', timestamp: '2024-06-03T07:30:00Z' });
+
+        assert.deepEqual(outcomes.map((outcome) => outcome.result), [CheckInService.RESULT_CHECKED_IN, WebhookReceiver.RESULT_DUPLICATE]);
+        assert.equal(retried.result, WebhookReceiver.RESULT_DUPLICATE);
+    });
+
+    it('maps usernames and badges to users', async () => {
+        const outcomes = await receive('generic', {
+            events: [
+                { username: 'nobody', timestamp: '2024-06-03T07:30:00Z' },
+                { badge: '9999999', timestamp: '2024-06-03T07:30:00Z' }
+            ]
+        });
+
+        assert.deepEqual(outcomes.map((outcome) => outcome.result), [CheckInService.RESULT_USER_NOT_FOUND, WebhookReceiver.RESULT_UNMAPPED]);
+    });
+
+    it('only checks in when a RADIUS session starts', async () => {
+        const outcomes = await receive('radius', {
+            'Acct-Status-Type': 'Interim-Update',
+            'User-Name': 'alice.anderson@example.com',
+            'Event-Timestamp': Date.parse('2024-06-03T07:30:00Z') / 1000
+        });
+
+        assert.equal(outcomes[0].result, WebhookReceiver.RESULT_IGNORED);
+    });
+
+    it('rejects unknown sources and invalid payloads', async () => {
+        await assert.rejects(receive('smoke-signals', {}), { status: 404 });
+        await assert.rejects(receive('generic', { timestamp: '2024-06-03T07:30:00Z' }), { status: 400 });
+    });
+});
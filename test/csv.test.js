@@ -0,0 +1,52 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { parseCsv, toCsvRow } = require('../src/lib/csv');
+
+describe('parseCsv', () => {
+    it('returns a record for each line keyed by the lower cased column names', () => {
+        const records = parseCsv('Email,Timestamp,Door\nalice@example.com,2024-01-01T08:55:00Z,Main Entrance\n');
+
+        assert.deepEqual(records, [
+            { line: 2, email: 'alice@example.com', timestamp: '2024-01-01T08:55:00Z', door: 'Main Entrance' }
+        ]);
+    });
+
+    it('handles quoted fields with commas, escaped quotes and line breaks', () => {
+        const records = parseCsv('email,door\r\n"bob@example.com","Door ""A"", West"\r\n"carla@example.com","Line 1\nLine 2"\r\ndavid@example.com,B\r\n');
+
+        assert.equal(records[0].door, 'Door "A", West');
+        assert.equal(records[1].door, 'Line 1\nLine 2');
+        // Records keep the line they started on, even after a field spanning two lines.
+        assert.deepEqual(records.map((record) => record.line), [2, 3, 5]);
+    });
+
+    it('skips blank lines and a byte order mark', () => {
+        const records = parseCsv('﻿email,door\n\nalice@example.com,A\n\n');
+
+        assert.deepEqual(records, [{ line: 3, email: 'alice@example.com', door: 'A' }]);
+    });
+
+    it('fills in missing fields and trims whitespace', () => {
+        assert.deepEqual(parseCsv('email,door\n alice@example.com \n'), [{ line: 2, email: 'alice@example.com', door: '' }]);
+    });
+
+    it('returns nothing for an empty file', () => {
+        assert.deepEqual(parseCsv(''), []);
+    });
+
+    it('throws on an unterminated quoted field', () => {
+        assert.throws(() => parseCsv('email,door\n"alice@example.com,A\n'), /Unterminated quoted field starting on line 2/);
+    });
+});
+
+describe('toCsvRow', () => {
+    it('only quotes the fields that need it and ends with CRLF', () => {
+        assert.equal(toCsvRow(['plain', 'a,b', 'say "hi"', 'two\nlines', null, undefined, 3, false]), 'plain,"a,b","say ""hi""","two\nlines",,,3,false\r\n');
+    });
+
+    it('is read back by parseCsv', () => {
+        const values = ['Door "A", West', 'Line 1\r\nLine 2'];
+
+        assert.deepEqual(parseCsv(toCsvRow(['a', 'b']) + toCsvRow(values)), [{ line: 2, a: values[0], b: values[1] }]);
+    });
+});
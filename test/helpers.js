@@ -0,0 +1,44 @@
+/**
+ * Helpers shared by the tests: starting the mock Kadence API (see ../src/mock) on a free port and creating a Kadence
+ * client pointed at it.
+ */
+
+const Kadence = require('../src/lib/Kadence');
+const { createMockApp } = require('../src/mock');
+
+// The bookings in the fixtures are seeded relative to this date, so the tests don't depend on when they're run.
+const NOW = new Date('2024-06-03T12:00:00Z');
+
+/**
+ * Starts the mock API, resolving with { baseUrl, store, close }. The store is the mock's in-memory data, so tests can
+ * check what was changed. Accepts the same options as createMockApp(), `now` defaults to NOW.
+ */
+function startMockApi(options) {
+    const app = createMockApp({ now: NOW, ...options });
+
+    return new Promise((resolve, reject) => {
+        const server = app.listen(0, () => {
+            resolve({
+                baseUrl: `http://localhost:${server.address().port}`,
+                store: app.locals.store,
+                close: () => new Promise((done) => server.close(done))
+            });
+        }).on('error', reject);
+    });
+}
+
+// Retries are turned off so that failures show up straight away rather than after the backoff.
+function createKadence(baseUrl, options) {
+    return new Kadence('test', 'test', {
+        authBaseUrl: baseUrl,
+        apiBaseUrl: baseUrl,
+        retry: { retries: 0 },
+        ...options
+    });
+}
+
+module.exports = {
+    NOW,
+    startMockApi,
+    createKadence
+};
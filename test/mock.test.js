@@ -0,0 +1,96 @@
+const assert = require('node:assert/strict');
+const { after, before, describe, it, mock } = require('node:test');
+const { createKadence, startMockApi } = require('./helpers');
+const Kadence = require('../src/lib/Kadence');
+const { KadenceAuthError, KadenceNotFoundError } = require('../src/lib/errors');
+
+describe('mock Kadence API', () => {
+    let api;
+    let kadence;
+
+    before(async () => {
+        // The Kadence client logs every request.
+        mock.method(console, 'log', () => {});
+
+        api = await startMockApi();
+        kadence = createKadence(api.baseUrl);
+    });
+
+    after(async () => {
+        await api.close();
+        mock.restoreAll();
+    });
+
+    it('returns hydra collections a page at a time', async () => {
+        const response = await kadence.getBookings({ itemsPerPage: 5 });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.data['@type'], 'hydra:Collection');
+        assert.equal(response.data['hydra:member'].length, 5);
+        assert.equal(response.data['hydra:totalItems'], api.store.bookings.length);
+        assert.match(response.data['hydra:view']['hydra:next'], /page=2/);
+    });
+
+    it('follows the pagination links to return every item', async () => {
+        const bookings = await kadence.getAllBookings({ itemsPerPage: 7 }, { concurrency: 2 });
+
+        assert.equal(bookings.length, api.store.bookings.length);
+        assert.equal(new Set(bookings.map((booking) => booking.id)).size, bookings.length);
+    });
+
+    it('filters and orders collections', async () => {
+        const bookings = await kadence.getAllBookings({
+            type: 'room',
+            status: ['booked', 'checkedIn'],
+            order: { startDateTime: 'asc' }
+        });
+
+        assert.ok(bookings.length > 0);
+        assert.ok(bookings.every((booking) => booking.type === 'room' && ['booked', 'checkedIn'].includes(booking.status)));
+        assert.deepEqual(bookings.map((booking) => booking.startDate), bookings.map((booking) => booking.startDate).sort());
+    });
+
+    it('finds users by email address, ignoring case', async () => {
+        const users = (await kadence.getUsers({ email: 'ALICE.ANDERSON@example.com' })).data['hydra:member'];
+
+        assert.equal(users.length, 1);
+        assert.equal(users[0].firstName, 'Alice');
+    });
+
+    it('throws a KadenceNotFoundError for unknown items', async () => {
+        await assert.rejects(kadence.getBooking('00000000-0000-0000-0000-000000000000'), KadenceNotFoundError);
+    });
+
+    it('checks in to bookings', async () => {
+        const booking = api.store.bookings.find((candidate) => candidate.status === 'booked' && candidate.type === 'desk');
+        const response = await kadence.checkIn(booking.id, {}, { userId: booking.userId, method: 'wifi' });
+
+        assert.equal(response.data.status, 'checkedIn');
+        assert.equal(api.store.bookings.find((candidate) => candidate.id === booking.id).checkInMethod, 'wifi');
+    });
+});
+
+describe('mock Kadence API authentication', () => {
+    let api;
+
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        api = await startMockApi({ clientId: 'client', clientSecret: 'secret' });
+    });
+
+    after(async () => {
+        await api.close();
+        mock.restoreAll();
+    });
+
+    it('only issues tokens for the configured credentials', async () => {
+        await assert.rejects(createKadence(api.baseUrl).getBuildings(), KadenceAuthError);
+
+        const buildings = await new Kadence('client', 'secret', {
+            authBaseUrl: api.baseUrl,
+            apiBaseUrl: api.baseUrl
+        }).getBuildings();
+
+        assert.equal(buildings.status, 200);
+    });
+});
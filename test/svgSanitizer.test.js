@@ -0,0 +1,54 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { sanitiseSvg, normaliseSpaceId } = require('../src/lib/svgSanitizer');
+
+function svg(content) {
+    return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:x="http://www.w3.org/1999/xlink">${content}</svg>`;
+}
+
+describe('sanitiseSvg', () => {
+    it('removes scripts, event handlers and foreign content', () => {
+        const sanitised = sanitiseSvg(svg('<script>alert(1)</script><rect onclick="alert(1)" width="10"/><foreignObject><p/></foreignObject>'));
+
+        assert.doesNotMatch(sanitised, /script|onclick|foreignObject/);
+        assert.match(sanitised, /<rect width="10"\/>/);
+    });
+
+    it('only keeps links within the SVG, whatever the XLink prefix is', () => {
+        const sanitised = sanitiseSvg(svg(
+            '<image x:href="https://evil.example/a.png"/><use x:href="https://evil.example/b.svg#c"/>' +
+            '<image href="https://evil.example/d.png"/><use x:href="#desk"/>'
+        ));
+
+        assert.doesNotMatch(sanitised, /evil\.example/);
+        assert.match(sanitised, /<use x:href="#desk"\/>/);
+    });
+
+    it('keeps embedded images', () => {
+        assert.match(sanitiseSvg(svg('<image href="data:image/png;base64,iVBORw0KGgo="/>')), /data:image\/png/);
+    });
+
+    it('removes styles that can load anything from elsewhere', () => {
+        const sanitised = sanitiseSvg(svg(
+            '<rect style="fill: url(#gradient)"/>' +
+            '<rect style="background: image-set(\'https://evil.example/a.png\' 1x)"/>' +
+            '<rect style="background: url(https://evil.example/b.png)"/>' +
+            '<rect style="background: u\\72 l(https://evil.example/c.png)"/>' +
+            '<style>rect { background: image-set("https://evil.example/d.png" 1x) }</style>' +
+            '<style>@import "https://evil.example/e.css";</style>' +
+            '<style>rect { fill: url("#gradient") }</style>'
+        ));
+
+        assert.doesNotMatch(sanitised, /evil\.example/);
+        assert.match(sanitised, /style="fill: url\(#gradient\)"/);
+        assert.match(sanitised, /<style>rect { fill: url\("#gradient"\) }<\/style>/);
+    });
+});
+
+describe('normaliseSpaceId', () => {
+    it('normalises the separators and casing of space IDs', () => {
+        assert.equal(normaliseSpaceId('SPACE:DESK:1234'), 'space::desk::1234');
+        assert.equal(normaliseSpaceId('space-room-1234'), 'space::room::1234');
+        assert.equal(normaliseSpaceId('wall-1'), 'wall-1');
+    });
+});